@@ -0,0 +1,103 @@
+import { ItemCategories } from './items.js'
+
+/**
+ * Condition kinds an achievement can be unlocked by. The parameters each kind
+ * reads are listed next to it.
+ *
+ * @enum {string}
+ */
+export const AchievementConditions = Object.freeze({
+  /** Reach a level in a run: `level`. */
+  REACH_LEVEL: 'reachLevel',
+  /** Clear the final level. */
+  VICTORY: 'victory',
+  /** Finish a level without picking up a hazard item: `level`. */
+  CLEAN_LEVEL: 'cleanLevel',
+  /** Finish any level without taking damage. */
+  FLAWLESS_LEVEL: 'flawlessLevel',
+  /** Block hits with the boost in one run: `count`. */
+  IMMUNE_COUNT: 'immuneCount',
+  /** Pick up items in one run: `count`. */
+  ITEM_COUNT: 'itemCount',
+  /** Pick up every item of a category, over any number of runs: `category`. */
+  COLLECT_CATEGORY: 'collectCategory',
+  /** Stay below a share of the maximum RAM: `threshold`, `duration` (ms). */
+  LOW_HEALTH: 'lowHealth'
+})
+
+/**
+ * Every achievement, in the order the achievements screen lists them.
+ *
+ * @type {ReadonlyArray<{
+ *   id: string
+ *   emoji: string
+ *   name: string
+ *   description: string
+ *   condition: { type: string; [param: string]: any }
+ * }>}
+ */
+export const ACHIEVEMENTS = Object.freeze([
+  {
+    id: 'hello-world',
+    emoji: '👋',
+    name: 'Hello, World',
+    description: 'Clear level 1',
+    condition: { type: AchievementConditions.REACH_LEVEL, level: 2 }
+  },
+  {
+    id: 'clean-code',
+    emoji: '🧼',
+    name: 'Clean Code',
+    description: 'Finish level 3 without touching a hazard',
+    condition: { type: AchievementConditions.CLEAN_LEVEL, level: 3 }
+  },
+  {
+    id: 'zero-warnings',
+    emoji: '✅',
+    name: 'Zero Warnings',
+    description: 'Finish a level without taking damage',
+    condition: { type: AchievementConditions.FLAWLESS_LEVEL }
+  },
+  {
+    id: 'firewall',
+    emoji: '🛡️',
+    name: 'Firewall',
+    description: 'Block 10 hits with a boost in one run',
+    condition: { type: AchievementConditions.IMMUNE_COUNT, count: 10 }
+  },
+  {
+    id: 'hoarder',
+    emoji: '📦',
+    name: 'Memory Hoarder',
+    description: 'Pick up 100 items in one run',
+    condition: { type: AchievementConditions.ITEM_COUNT, count: 100 }
+  },
+  {
+    id: 'running-on-fumes',
+    emoji: '🔥',
+    name: 'Running on Fumes',
+    description: 'Survive 60 s under 10% RAM',
+    condition: {
+      type: AchievementConditions.LOW_HEALTH,
+      threshold: 0.1,
+      duration: 60000
+    }
+  },
+  {
+    id: 'legendary',
+    emoji: '👑',
+    name: 'Legendary Loot',
+    description: 'Collect every legendary item',
+    condition: {
+      type: AchievementConditions.COLLECT_CATEGORY,
+      category: ItemCategories.LEGENDARY
+    }
+  },
+  {
+    id: 'garbage-collected',
+    emoji: '🏆',
+    name: 'Garbage Collected',
+    description: 'Clear all five levels',
+    condition: { type: AchievementConditions.VICTORY }
+  }
+])
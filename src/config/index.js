@@ -1,4 +1,5 @@
-import { ITEM_REGISTRY } from './items.js'
+import { ITEM_REGISTRY, ItemCategories } from './items.js'
+import { ACHIEVEMENTS, AchievementConditions } from './achievements.js'
 import {
   ScreenConfig,
   LayoutConfig,
@@ -8,9 +9,20 @@ import {
   UIConfig,
   ItemOutlineColors,
   LevelThemes,
-  PlayerVisualConfig
+  PlayerVisualConfig,
+  MenuConfig,
+  HighScoreTableConfig,
+  AchievementListConfig,
+  CodexListConfig,
+  ColorPalettes
 } from './styles.js'
-import { ParticleConfig } from './render.js'
+import {
+  FogConfig,
+  ParticleConfig,
+  RouteConfig,
+  ShakeConfig,
+  TileCacheConfig
+} from './render.js'
 import { SoundPresets } from './sound.js'
 
 /**
@@ -30,6 +42,23 @@ export const PhysicsConfig = Object.freeze({
   TileSize: 64
 })
 
+/**
+ * Fixed-step simulation timing. Game logic always advances in ticks of
+ * `TickInterval` milliseconds; rendering interpolates between the last two
+ * ticks so motion stays smooth on any refresh rate.
+ *
+ * @type {Readonly<{
+ *   TickRate: number
+ *   TickInterval: number
+ *   MaxFrameDelta: number
+ * }>}
+ */
+export const SimulationConfig = Object.freeze({
+  TickRate: 60,
+  TickInterval: 1000 / 60,
+  MaxFrameDelta: 250
+})
+
 /**
  * Sprite sheet metadata used by the renderer and player animation.
  *
@@ -66,6 +95,35 @@ export const StatsConfig = Object.freeze({
   MemoryLeakRate: 8
 })
 
+/**
+ * Identifiers for timed status effects applied to the player.
+ *
+ * @type {Readonly<{ BOOST: string; SLOW: string }>}
+ */
+export const StatusEffectTypes = Object.freeze({ BOOST: 'boost', SLOW: 'slow' })
+
+/**
+ * Per-effect tuning. `multiplier` scales player speed while the effect is
+ * active and `cancels` lists effects that are removed when this one is applied.
+ * Re-applying an active effect extends its remaining time.
+ *
+ * @type {Readonly<
+ *   Record<string, { label: string; multiplier: number; cancels: string[] }>
+ * >}
+ */
+export const StatusEffectConfig = Object.freeze({
+  [StatusEffectTypes.BOOST]: Object.freeze({
+    label: 'FLOW',
+    multiplier: StatsConfig.SpeedBoostMultiplier,
+    cancels: [StatusEffectTypes.SLOW]
+  }),
+  [StatusEffectTypes.SLOW]: Object.freeze({
+    label: 'LAG',
+    multiplier: 0.5,
+    cancels: [StatusEffectTypes.BOOST]
+  })
+})
+
 /**
  * Enumerates the world tile types.
  *
@@ -93,28 +151,162 @@ export const Directions = Object.freeze({ UP: 0, RIGHT: 1, DOWN: 2, LEFT: 3 })
  *   PLAYING: number
  *   GAMEOVER: number
  *   VICTORY: number
+ *   PAUSED: number
  * }>}
  */
 export const GameStates = Object.freeze({
   START: 0,
   PLAYING: 1,
   GAMEOVER: 2,
-  VICTORY: 3
+  VICTORY: 3,
+  PAUSED: 4
+})
+
+/**
+ * Run modes selectable from the start screen. Daily runs share one seed per UTC
+ * day and only the first finished attempt is scored.
+ *
+ * @type {Readonly<{ CLASSIC: string; DAILY: string }>}
+ */
+export const GameModes = Object.freeze({ CLASSIC: 'classic', DAILY: 'daily' })
+
+/**
+ * Cheat codes that can be typed during a run. Replay files may only toggle
+ * these.
+ *
+ * @enum {string}
+ */
+export const CheatCodes = Object.freeze({
+  JUMP: 'jump',
+  HITBOX: 'hitbox',
+  FLOWSTATE: 'flowstate',
+  LAG: 'lag',
+  RAWTILES: 'rawtiles',
+  FRAMETIME: 'frametime'
+})
+
+/**
+ * Persistent high-score table: how many runs are kept.
+ *
+ * @type {Readonly<{ Size: number }>}
+ */
+export const HighScoreConfig = Object.freeze({ Size: 10 })
+
+/**
+ * Keyboard bindings for engine-level controls. Menus are navigated with the
+ * `MovementKeys` of the chosen control scheme.
+ *
+ * @type {Readonly<{
+ *   Pause: string[]
+ *   MenuSelect: string[]
+ *   Minimap: string[]
+ * }>}
+ */
+export const KeyBindings = Object.freeze({
+  Pause: ['Escape', 'p', 'P'],
+  MenuSelect: ['Enter', ' '],
+  Minimap: ['m', 'M']
+})
+
+/**
+ * Movement key layouts selectable in the settings. The arrow keys work in every
+ * layout.
+ *
+ * @type {Readonly<{ WASD: string; ZQSD: string; ARROWS: string }>}
+ */
+export const ControlSchemes = Object.freeze({
+  WASD: 'wasd',
+  ZQSD: 'zqsd', // AZERTY keyboards
+  ARROWS: 'arrows'
+})
+
+/**
+ * Movement keys per `ControlSchemes` value.
+ *
+ * @type {Readonly<
+ *   Record<
+ *     string,
+ *     Readonly<{
+ *       up: string[]
+ *       down: string[]
+ *       left: string[]
+ *       right: string[]
+ *     }>
+ *   >
+ * >}
+ */
+export const MovementKeys = Object.freeze({
+  [ControlSchemes.WASD]: Object.freeze({
+    up: ['ArrowUp', 'w'],
+    down: ['ArrowDown', 's'],
+    left: ['ArrowLeft', 'a'],
+    right: ['ArrowRight', 'd']
+  }),
+  [ControlSchemes.ZQSD]: Object.freeze({
+    up: ['ArrowUp', 'z'],
+    down: ['ArrowDown', 's'],
+    left: ['ArrowLeft', 'q'],
+    right: ['ArrowRight', 'd']
+  }),
+  [ControlSchemes.ARROWS]: Object.freeze({
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight']
+  })
+})
+
+/**
+ * Player preferences kept by `SettingsStore`: the defaults and, per setting,
+ * its kind (`range` in `step`s between `min` and `max`, `boolean`, or one of
+ * `options`).
+ */
+export const SettingsConfig = Object.freeze({
+  Defaults: Object.freeze({
+    musicVolume: 0.8,
+    sfxVolume: 1,
+    muted: false,
+    screenShake: true,
+    reducedMotion: false,
+    hudScale: 1,
+    controlScheme: ControlSchemes.WASD,
+    palette: 'default'
+  }),
+  Fields: Object.freeze({
+    musicVolume: Object.freeze({ type: 'range', min: 0, max: 1, step: 0.1 }),
+    sfxVolume: Object.freeze({ type: 'range', min: 0, max: 1, step: 0.1 }),
+    muted: Object.freeze({ type: 'boolean' }),
+    screenShake: Object.freeze({ type: 'boolean' }),
+    reducedMotion: Object.freeze({ type: 'boolean' }),
+    hudScale: Object.freeze({ type: 'choice', options: [0.75, 1, 1.25, 1.5] }),
+    controlScheme: Object.freeze({
+      type: 'choice',
+      options: Object.values(ControlSchemes)
+    }),
+    palette: Object.freeze({
+      type: 'choice',
+      options: Object.keys(ColorPalettes)
+    })
+  })
 })
 
 /**
- * Collision box dimensions in view space.
+ * Collision box dimensions in view space. `MaxStep` is the longest distance the
+ * box moves between wall checks, kept below a tile so fast movement cannot skip
+ * over a wall.
  *
  * @type {Readonly<{
  *   Width: number
  *   Height: number
  *   VerticalOffset: number
+ *   MaxStep: number
  * }>}
  */
 export const CollisionConfig = Object.freeze({
   Width: 32,
   Height: 48,
-  VerticalOffset: 52
+  VerticalOffset: 52,
+  MaxStep: 16
 })
 
 /**
@@ -126,6 +318,13 @@ export const CollisionConfig = Object.freeze({
  *   ItemSeed: { X: number; Y: number }
  *   SpawnChance: number
  *   ConnectionThresholds: { One: number; Two: number }
+ *   LevelGenerators: ReadonlyArray<string>
+ *   RegionSize: number
+ *   RegionCacheSize: number
+ *   Cave: { FillChance: number; Iterations: number }
+ *   Rooms: { MinSize: number; MaxSize: number }
+ *   ChunkSize: number
+ *   ChunkCacheSize: number
  * }>}
  */
 export const ProcGenConfig = Object.freeze({
@@ -133,7 +332,79 @@ export const ProcGenConfig = Object.freeze({
   Primes: { X: 73856093, Y: 19349663 },
   ItemSeed: { X: 1234567, Y: 9876543 },
   SpawnChance: 0.08,
-  ConnectionThresholds: { One: 0.33, Two: 0.66 }
+  ConnectionThresholds: { One: 0.33, Two: 0.66 },
+  // Maze generator per level (see src/world/generators); the last one repeats
+  LevelGenerators: Object.freeze(['cells', 'rooms', 'cave', 'rooms', 'cave']),
+  RegionSize: 16, // Tiles per region edge for region-based generators
+  RegionCacheSize: 256,
+  Cave: { FillChance: 0.55, Iterations: 4 },
+  Rooms: { MinSize: 4, MaxSize: 10 },
+  ChunkSize: 32, // Tiles per edge of a cached world chunk
+  ChunkCacheSize: 96 // Chunks kept before the least recently used is dropped
+})
+
+/**
+ * Player sight and the level area explored percentages are measured against.
+ *
+ * @type {Readonly<{ SightRadius: number; AreaPadding: number }>}
+ */
+export const ExplorationConfig = Object.freeze({
+  SightRadius: 7, // Tiles the player can see, blocked by walls
+  AreaPadding: 6 // Tiles added around spawn and the guaranteed items' bounds
+})
+
+/**
+ * Click/tap-to-move route search and following.
+ *
+ * @type {Readonly<{ MaxNodes: number; StuckTicks: number }>}
+ */
+export const PathfindingConfig = Object.freeze({
+  MaxNodes: 6000, // Tiles A* may expand before giving up on a target
+  StuckTicks: 30 // Ticks without progress before a route is abandoned
+})
+
+/**
+ * Roaming enemies. Speeds are in pixels per 60 Hz frame like
+ * `PhysicsConfig.BaseSpeed`, distances in tiles and times in milliseconds.
+ *
+ * @type {Readonly<{
+ *   ContactCooldown: number
+ *   GarbageCollector: {
+ *     Emoji: string
+ *     Name: string
+ *     CountPerLevel: ReadonlyArray<number>
+ *     BaseSpeed: number
+ *     SpeedPerLevel: number
+ *     Damage: number
+ *     HitboxSize: number
+ *     MinSpawnDistance: number
+ *     PatrolRadius: number
+ *     PatrolPause: number
+ *     ChaseRadius: number
+ *     LoseRadius: number
+ *     RepathInterval: number
+ *     PathNodes: number
+ *   }
+ * }>}
+ */
+export const EnemyConfig = Object.freeze({
+  ContactCooldown: 1200, // Grace period after any entity hurts the player
+  GarbageCollector: Object.freeze({
+    Emoji: '🗑️',
+    Name: 'Garbage Collector',
+    CountPerLevel: Object.freeze([1, 1, 2, 2, 3]), // The last one repeats
+    BaseSpeed: 2.2,
+    SpeedPerLevel: 0.3,
+    Damage: 40, // KB before the level's damage multiplier
+    HitboxSize: 40, // Square edge in pixels, centered on the enemy
+    MinSpawnDistance: 8, // Walking distance from the player spawn
+    PatrolRadius: 6, // Patrol targets are picked around the spawn tile
+    PatrolPause: 600,
+    ChaseRadius: 5,
+    LoseRadius: 9,
+    RepathInterval: 400, // How often a chase route is recomputed
+    PathNodes: 1500
+  })
 })
 
 /**
@@ -147,6 +418,8 @@ export const ProcGenConfig = Object.freeze({
  *   DistributionZones: number
  *   MaxPlacementAttempts: number
  *   RelaxDistanceOnFailure: boolean
+ *   MinDistanceSameTypeFallback: number
+ *   MaxSearchTiles: number
  * }>}
  */
 export const ItemPlacementConfig = Object.freeze({
@@ -156,7 +429,8 @@ export const ItemPlacementConfig = Object.freeze({
   UseEuclideanDistance: false,
   MaxPlacementAttempts: 2000,
   RelaxDistanceOnFailure: true,
-  MinDistanceSameTypeFallback: 2 // Minimum distance even in fallback
+  MinDistanceSameTypeFallback: 2, // Minimum distance even in fallback
+  MaxSearchTiles: 20000 // Flood-fill budget when collecting reachable tiles
 })
 
 /**
@@ -165,28 +439,43 @@ export const ItemPlacementConfig = Object.freeze({
  * @type {ReadonlyArray<(typeof ITEM_REGISTRY)[number]>}
  */
 export const TARGET_ITEMS = ITEM_REGISTRY.filter(
-  item => !item.isBoost && !item.isSlow && !item.health
+  item => !item.isBoost && !item.isSlow && !item.health && !item.isCompass
 )
 
 /** Aggregates gameplay constants for quick imports. */
 export const GameConfig = Object.freeze({
   Physics: PhysicsConfig,
+  Simulation: SimulationConfig,
   Sprite: SpriteConfig,
   Stats: StatsConfig,
+  StatusEffects: StatusEffectConfig,
   TileTypes,
   Directions,
   GameStates,
+  GameModes,
+  CheatCodes,
+  HighScores: HighScoreConfig,
+  KeyBindings,
+  ControlSchemes,
+  MovementKeys,
+  Settings: SettingsConfig,
   Collision: CollisionConfig,
   ProcGen: ProcGenConfig,
+  Exploration: ExplorationConfig,
+  Pathfinding: PathfindingConfig,
+  Enemies: EnemyConfig,
   ItemRegistry: ITEM_REGISTRY,
-  TargetItems: TARGET_ITEMS
+  TargetItems: TARGET_ITEMS,
+  Achievements: ACHIEVEMENTS
 })
 
-export { ParticleConfig }
+export { FogConfig, ParticleConfig, RouteConfig, ShakeConfig, TileCacheConfig }
 export { SoundPresets }
+export { ACHIEVEMENTS, AchievementConditions }
 
 export {
   ITEM_REGISTRY,
+  ItemCategories,
   ScreenConfig,
   LayoutConfig,
   Fonts,
@@ -195,5 +484,10 @@ export {
   UIConfig,
   ItemOutlineColors,
   LevelThemes,
-  PlayerVisualConfig
+  PlayerVisualConfig,
+  MenuConfig,
+  HighScoreTableConfig,
+  AchievementListConfig,
+  CodexListConfig,
+  ColorPalettes
 }
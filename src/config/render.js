@@ -13,3 +13,57 @@ export const ParticleConfig = Object.freeze({
   Gravity: 0.05,
   WobbleSpeed: 50
 })
+
+/**
+ * Pre-rendered world chunk settings used by the renderer's tile cache.
+ *
+ * @type {Readonly<{
+ *   ChunkTiles: number
+ *   MarginChunks: number
+ *   FrameStatsSmoothing: number
+ * }>}
+ */
+export const TileCacheConfig = Object.freeze({
+  ChunkTiles: 8, // 512px canvases at the 64px tile size
+  MarginChunks: 1, // Extra ring of chunks kept cached around the view
+  FrameStatsSmoothing: 0.1 // Weight of the newest frame in the debug timings
+})
+
+/**
+ * Fog of war shading drawn over the world.
+ *
+ * @type {Readonly<{ ExploredShade: string; UnexploredShade: string }>}
+ */
+export const FogConfig = Object.freeze({
+  ExploredShade: 'rgba(8, 10, 14, 0.55)', // Seen before but out of sight
+  UnexploredShade: 'rgba(8, 10, 14, 0.94)'
+})
+
+/**
+ * Click/tap-to-move route drawn over the world.
+ *
+ * @type {Readonly<{
+ *   LineColor: string
+ *   LineWidth: number
+ *   LineDash: ReadonlyArray<number>
+ *   MarkerRadius: number
+ * }>}
+ */
+export const RouteConfig = Object.freeze({
+  LineColor: 'rgba(255, 255, 255, 0.55)',
+  LineWidth: 4,
+  LineDash: Object.freeze([10, 12]),
+  MarkerRadius: 10 // Target ring at the end of the route
+})
+
+/**
+ * Screen shake on damage. Hits add trauma (0-1) that decays over time; the
+ * camera offset grows with the square of the trauma.
+ *
+ * @type {Readonly<{ MaxOffset: number; Decay: number; Damage: number }>}
+ */
+export const ShakeConfig = Object.freeze({
+  MaxOffset: 10, // Pixels at full trauma
+  Decay: 1.8, // Trauma lost per second
+  Damage: 0.45 // Trauma added by a hit
+})
@@ -39,6 +39,45 @@ export const ItemOutlineColors = Object.freeze({
   boost: Colors.Info
 })
 
+/**
+ * Item outline palettes selectable in the settings. `default` is
+ * `ItemOutlineColors`; the others keep hazard, heal, slow and boost apart for
+ * the common kinds of color blindness (Okabe-Ito and Tol colors).
+ *
+ * @type {Readonly<
+ *   Record<
+ *     string,
+ *     Readonly<{
+ *       hazard: string
+ *       heal: string
+ *       slow: string
+ *       boost: string
+ *     }>
+ *   >
+ * >}
+ */
+export const ColorPalettes = Object.freeze({
+  default: ItemOutlineColors,
+  deuteranopia: Object.freeze({
+    hazard: '#d55e00',
+    heal: '#0072b2',
+    slow: '#f0e442',
+    boost: '#56b4e9'
+  }),
+  protanopia: Object.freeze({
+    hazard: '#e69f00',
+    heal: '#0072b2',
+    slow: '#f0e442',
+    boost: '#cc79a7'
+  }),
+  tritanopia: Object.freeze({
+    hazard: '#cc3311',
+    heal: '#009988',
+    slow: '#ee3377',
+    boost: '#33bbee'
+  })
+})
+
 export const LevelThemes = [
   // Level 1: The Cloud
   {
@@ -105,6 +144,26 @@ export const Fonts = Object.freeze({
  *   gridPulseDuration: number
  *   gridPulseMaxScale: number
  *   gridPulseAlphaBoost: number
+ *   effectBarHeight: number
+ *   minimapVisible: boolean
+ *   minimapCorner: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+ *   minimapSize: number
+ *   minimapRadius: number
+ *   minimapPadding: number
+ *   minimapShowItems: boolean
+ *   minimapFloorColor: string
+ *   minimapWallColor: string
+ *   minimapPlayerColor: string
+ *   minimapItemColor: string
+ *   minimapTargetColor: string
+ *   compassEdgeMargin: number
+ *   compassArrowSize: number
+ *   compassColor: string
+ *   toastDuration: number
+ *   toastWidth: number
+ *   toastHeight: number
+ *   toastTopMargin: number
+ *   toastColor: string
  * }>}
  */
 export const HudConfig = Object.freeze({
@@ -115,7 +174,30 @@ export const HudConfig = Object.freeze({
   textVerticalOffset: 2,
   gridPulseDuration: 450,
   gridPulseMaxScale: 0.55,
-  gridPulseAlphaBoost: 0.35
+  gridPulseAlphaBoost: 0.35,
+  effectBarHeight: 4,
+  // Minimap panel (toggled in game with KeyBindings.Minimap)
+  minimapVisible: true,
+  minimapCorner: 'bottom-left',
+  minimapSize: 180, // Panel edge before HUD scaling
+  minimapRadius: 32, // Tiles shown on each side of the player
+  minimapPadding: 8,
+  minimapShowItems: true, // Mark items on explored tiles
+  minimapFloorColor: 'rgba(140, 170, 210, 0.85)',
+  minimapWallColor: 'rgba(255, 255, 255, 0.12)',
+  minimapPlayerColor: Colors.Success,
+  minimapItemColor: Colors.Warning,
+  minimapTargetColor: Colors.Danger, // Fragments still missing from the grid
+  // Objective compass (unlocked by the stack trace item)
+  compassEdgeMargin: 56, // Inset of the edge arrow from the canvas border
+  compassArrowSize: 14,
+  compassColor: Colors.Danger,
+  // Achievement unlock toasts, shown one at a time at the top center
+  toastDuration: 3500,
+  toastWidth: 340,
+  toastHeight: 56,
+  toastTopMargin: 16,
+  toastColor: Colors.Warning
 })
 
 /**
@@ -158,6 +240,8 @@ export const ScreenConfig = Object.freeze({
  *   memoryBarHeight: number
  *   memoryBarBottomMargin: number
  *   memoryBarInnerPadding: number
+ *   effectPillWidth: number
+ *   effectPillSpacing: number
  *   muteButtonSize: number
  *   messageBottomMargin: number
  *   titleFontSize: number
@@ -199,6 +283,10 @@ export const LayoutConfig = Object.freeze({
   memoryBarBottomMargin: 60,
   memoryBarInnerPadding: 5,
 
+  // Status effect countdowns
+  effectPillWidth: 120,
+  effectPillSpacing: 12,
+
   // Mute button
   muteButtonSize: 40,
 
@@ -304,10 +392,113 @@ export const PlayerVisualConfig = Object.freeze({
   }
 })
 
+/**
+ * Layout and colors for canvas-rendered menus (pause menu and friends).
+ *
+ * @type {Readonly<{
+ *   overlayColor: string
+ *   titleFontSize: number
+ *   subtitleFontSize: number
+ *   titleSpacing: number
+ *   itemWidth: number
+ *   itemHeight: number
+ *   itemSpacing: number
+ *   itemFontSize: number
+ *   itemRadius: number
+ *   selectedBackground: string
+ *   selectedBorder: string
+ * }>}
+ */
+export const MenuConfig = Object.freeze({
+  overlayColor: 'rgba(12, 16, 22, 0.75)',
+  titleFontSize: 48,
+  subtitleFontSize: 16,
+  titleSpacing: 48,
+  itemWidth: 320,
+  itemHeight: 52,
+  itemSpacing: 14,
+  itemFontSize: 20,
+  itemRadius: 10,
+  selectedBackground: 'rgba(0, 242, 255, 0.18)',
+  selectedBorder: Colors.Info
+})
+
+/**
+ * Layout and colors of the high-score table on the start and end screens.
+ *
+ * @type {Readonly<{
+ *   headerHeight: number
+ *   rowHeight: number
+ *   headerFontSize: number
+ *   rowFontSize: number
+ *   highlightColor: string
+ * }>}
+ */
+export const HighScoreTableConfig = Object.freeze({
+  headerHeight: 32,
+  rowHeight: 20,
+  headerFontSize: 18,
+  rowFontSize: 14,
+  highlightColor: Colors.Warning
+})
+
+/**
+ * Layout and colors of the achievements screen.
+ *
+ * @type {Readonly<{
+ *   width: number
+ *   rowHeight: number
+ *   iconSize: number
+ *   nameFontSize: number
+ *   detailFontSize: number
+ *   lockedAlpha: number
+ *   unlockedColor: string
+ * }>}
+ */
+export const AchievementListConfig = Object.freeze({
+  width: 560,
+  rowHeight: 52,
+  iconSize: 28,
+  nameFontSize: 16,
+  detailFontSize: 12,
+  lockedAlpha: 0.4,
+  unlockedColor: Colors.Warning
+})
+
+/**
+ * Layout and colors of the item codex screen. Same shape as
+ * `AchievementListConfig`, plus the fill of undiscovered item silhouettes.
+ *
+ * @type {Readonly<{
+ *   width: number
+ *   rowHeight: number
+ *   iconSize: number
+ *   nameFontSize: number
+ *   detailFontSize: number
+ *   lockedAlpha: number
+ *   unlockedColor: string
+ *   silhouetteColor: string
+ * }>}
+ */
+export const CodexListConfig = Object.freeze({
+  width: 600,
+  rowHeight: 44,
+  iconSize: 26,
+  nameFontSize: 14,
+  detailFontSize: 12,
+  lockedAlpha: 0.6,
+  unlockedColor: '#fff',
+  silhouetteColor: '#4a5568'
+})
+
 /** Aggregates UI-facing constants to simplify consumer imports. */
 export const UIConfig = Object.freeze({
   Screen: ScreenConfig,
   Layout: LayoutConfig,
   Fonts,
-  Colors
+  Colors,
+  Menu: MenuConfig,
+  HighScoreTable: HighScoreTableConfig,
+  AchievementList: AchievementListConfig,
+  CodexList: CodexListConfig
 })
@@ -0,0 +1,345 @@
+import {
+  ACHIEVEMENTS,
+  AchievementConditions,
+  ITEM_REGISTRY,
+  ItemCategories,
+  StatsConfig
+} from '../config/index.js'
+import { SimulationEvents } from './simulation.js'
+import { readJson, resolveStorage, writeJson } from './storage.js'
+
+/**
+ * Storage key for unlocked achievements and lifetime progress.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:achievements'
+
+/**
+ * @typedef {(typeof ACHIEVEMENTS)[number]} Achievement
+ */
+
+/**
+ * @typedef {Object} AchievementStatus
+ * @property {Achievement} achievement
+ * - The definition.
+ * @property {string | null} unlockedAt
+ * - When it was unlocked, as an ISO timestamp, or null while locked.
+ * @property {{ current: number; total: number } | null} progress
+ * - Lifetime progress toward it, for achievements that span runs.
+ */
+
+/**
+ * @typedef {Object} FinishedLevel
+ * @property {number}  level          - The finished level.
+ * @property {boolean} touchedHazard  - A hazard was picked up on it.
+ * @property {boolean} damaged        - Damage was taken on it.
+ */
+
+/**
+ * @typedef {Object} RunProgress
+ * @property {number} items
+ * - Items picked up this run.
+ * @property {number} immune
+ * - Hits blocked by the boost this run.
+ * @property {boolean} touchedHazard
+ * - A hazard was picked up on this level.
+ * @property {boolean} damaged
+ * - Damage was taken on this level.
+ * @property {number} lastElapsed
+ * - `stats.elapsed` at the previous tick.
+ * @property {FinishedLevel[]} finishedLevels
+ * - Levels finished this run, and how.
+ * @property {boolean} victory
+ * - The final level was cleared.
+ * @property {Map<string, Object>} states
+ * - Per-achievement scratch state (e.g. timers).
+ */
+
+/**
+ * Unlock checks per `AchievementConditions` kind. Each one gets the
+ * achievement's condition, the run progress, the tick context and its own
+ * scratch state, and says whether the achievement is earned.
+ *
+ * @type {Readonly<Record<string, function(Object, RunProgress, {
+ *   stats: Object
+ *   dt: number
+ *   collected: Set<string>
+ * }, Object): boolean>>}
+ */
+const ConditionChecks = Object.freeze({
+  [AchievementConditions.REACH_LEVEL]: ({ level }, run, { stats }) =>
+    stats.level >= level,
+  [AchievementConditions.VICTORY]: (condition, run) => run.victory,
+  [AchievementConditions.CLEAN_LEVEL]: ({ level }, run) =>
+    run.finishedLevels.some(
+      finished => finished.level === level && !finished.touchedHazard
+    ),
+  [AchievementConditions.FLAWLESS_LEVEL]: (condition, run) =>
+    run.finishedLevels.some(finished => !finished.damaged),
+  [AchievementConditions.IMMUNE_COUNT]: ({ count }, run) => run.immune >= count,
+  [AchievementConditions.ITEM_COUNT]: ({ count }, run) => run.items >= count,
+  [AchievementConditions.COLLECT_CATEGORY]: (
+    { category },
+    run,
+    { collected }
+  ) => getCategoryIds(category).every(id => collected.has(id)),
+  [AchievementConditions.LOW_HEALTH]: (
+    { threshold, duration },
+    run,
+    { stats, dt },
+    state
+  ) => {
+    const isLow = stats.playerHealth < threshold * StatsConfig.MaxHealth
+    state.time = isLow && stats.playerHealth > 0 ? (state.time ?? 0) + dt : 0
+    return state.time >= duration
+  }
+})
+
+/**
+ * Unlocks achievements from the gameplay events of a run and keeps them, with
+ * lifetime progress, across sessions. The engine feeds it every simulation
+ * tick; what unlocks an achievement is described by its `condition` in
+ * `ACHIEVEMENTS`.
+ */
+export class AchievementTracker {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for unlocks. Default is `localStorage` when available,
+   * in-memory storage otherwise.
+   * @param {ReadonlyArray<Achievement>} [options.achievements=ACHIEVEMENTS]
+   * - Achievement definitions. Default is `ACHIEVEMENTS`
+   */
+  constructor({
+    storage = resolveStorage(),
+    achievements = ACHIEVEMENTS
+  } = {}) {
+    this._storage = storage
+    this._achievements = achievements
+
+    const stored = readJson(storage, STORAGE_KEY, {})
+
+    /**
+     * Unlock timestamps per achievement id.
+     *
+     * @type {Record<string, string>}
+     */
+    this._unlocked = { ...stored?.unlocked }
+
+    /**
+     * Item ids picked up in any run.
+     *
+     * @type {Set<string>}
+     */
+    this._collected = new Set(
+      Array.isArray(stored?.collected) ? stored.collected : []
+    )
+
+    /**
+     * @type {RunProgress}
+     */
+    this._run = this._createRunProgress()
+  }
+
+  /**
+   * Number of unlocked achievements.
+   *
+   * @returns {number}
+   */
+  get unlockedCount() {
+    return this._achievements.filter(({ id }) => this.isUnlocked(id)).length
+  }
+
+  /**
+   * Whether an achievement has been unlocked.
+   *
+   * @param {string} id  - Achievement id.
+   * @returns {boolean}
+   */
+  isUnlocked(id) {
+    return id in this._unlocked
+  }
+
+  /**
+   * Every achievement with its unlock state, in display order.
+   *
+   * @returns {AchievementStatus[]}
+   */
+  list() {
+    return this._achievements.map(achievement => {
+      const { condition } = achievement
+      let progress = null
+      if (condition.type === AchievementConditions.COLLECT_CATEGORY) {
+        const ids = getCategoryIds(condition.category)
+        progress = {
+          current: ids.filter(id => this._collected.has(id)).length,
+          total: ids.length
+        }
+      }
+      return {
+        achievement,
+        unlockedAt: this._unlocked[achievement.id] ?? null,
+        progress
+      }
+    })
+  }
+
+  /**
+   * Starts tracking a new or resumed run. Per-run counters begin at zero.
+   *
+   * @param {Object} stats  - The run's statistics.
+   * @returns {void}
+   */
+  startRun(stats) {
+    this._run = this._createRunProgress(stats.elapsed)
+  }
+
+  /**
+   * Takes in one simulation tick and unlocks whatever it earned.
+   *
+   * @param {{ type: string }[]} events  - Events the tick raised.
+   * @param {Object}             stats   - Run statistics after the tick.
+   * @returns {Achievement[]} Achievements unlocked by this tick.
+   */
+  handleTick(events, stats) {
+    const run = this._run
+    const dt = Math.max(0, stats.elapsed - run.lastElapsed)
+    run.lastElapsed = stats.elapsed
+
+    let collectedNew = false
+    for (const event of events) {
+      collectedNew = this._handleEvent(event, stats) || collectedNew
+    }
+
+    const context = { stats, dt, collected: this._collected }
+    const unlocked = []
+    for (const achievement of this._achievements) {
+      if (this.isUnlocked(achievement.id)) continue
+
+      const { condition } = achievement
+      const check = ConditionChecks[condition.type]
+      let state = run.states.get(achievement.id)
+      if (!state) {
+        state = {}
+        run.states.set(achievement.id, state)
+      }
+      if (check?.(condition, run, context, state)) {
+        this._unlocked[achievement.id] = new Date().toISOString()
+        unlocked.push(achievement)
+      }
+    }
+
+    if (collectedNew || unlocked.length > 0) this._save()
+    return unlocked
+  }
+
+  /**
+   * Forgets every unlock and all lifetime progress.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._unlocked = {}
+    this._collected.clear()
+    this._save()
+  }
+
+  /**
+   * Updates the run progress from one event.
+   *
+   * @param {{ type: string }} event
+   * @param {Object}           stats
+   * @returns {boolean} True if an item was picked up for the first time ever.
+   * @access private
+   */
+  _handleEvent(event, stats) {
+    const run = this._run
+    switch (event.type) {
+      case SimulationEvents.ITEM_COLLECTED: {
+        run.items++
+        if (event.item.category === ItemCategories.HAZARD) {
+          run.touchedHazard = true
+        }
+        const isNew = !this._collected.has(event.item.id)
+        this._collected.add(event.item.id)
+        return isNew
+      }
+      case SimulationEvents.DAMAGE:
+        run.damaged = true
+        break
+      case SimulationEvents.IMMUNE:
+        run.immune++
+        break
+      case SimulationEvents.LEVEL_ADVANCED:
+        this._finishLevel(event.level - 1)
+        break
+      case SimulationEvents.VICTORY:
+        this._finishLevel(stats.level)
+        run.victory = true
+        break
+    }
+    return false
+  }
+
+  /**
+   * Records how a level was finished and starts the next one clean.
+   *
+   * @param {number} level
+   * @returns {void}
+   * @access private
+   */
+  _finishLevel(level) {
+    const run = this._run
+    run.finishedLevels.push({
+      level,
+      touchedHazard: run.touchedHazard,
+      damaged: run.damaged
+    })
+    run.touchedHazard = false
+    run.damaged = false
+  }
+
+  /**
+   * @param {number} [elapsed=0]
+   * @returns {RunProgress}
+   * @access private
+   */
+  _createRunProgress(elapsed = 0) {
+    return {
+      items: 0,
+      immune: 0,
+      touchedHazard: false,
+      damaged: false,
+      lastElapsed: elapsed,
+      finishedLevels: [],
+      victory: false,
+      states: new Map()
+    }
+  }
+
+  /**
+   * @returns {void}
+   * @access private
+   */
+  _save() {
+    writeJson(this._storage, STORAGE_KEY, {
+      unlocked: this._unlocked,
+      collected: [...this._collected]
+    })
+  }
+}
+
+/**
+ * Ids of every registry item in a category.
+ *
+ * @param {string} category  - An `ItemCategories` value.
+ * @returns {string[]}
+ */
+function getCategoryIds(category) {
+  return ITEM_REGISTRY.filter(item => item.category === category).map(
+    item => item.id
+  )
+}
@@ -4,6 +4,9 @@ import {
 } from '../utils/environment.js'
 import { SoundPresets } from '../config/index.js'
 
+/** Music gain at full music volume, kept low under the sound effects. */
+const MUSIC_LEVEL = 0.08
+
 /**
  * Manages the Web Audio API context, background music streaming, and procedural
  * sound effect generation.
@@ -16,15 +19,22 @@ export class AudioController {
    * - The AudioContext constructor (dependency injection).
    * @param {Function} [options.fetcher]
    * - The fetch implementation for loading assets.
+   * @param {import('./settings.js').SettingsStore | null}
+   * [options.settings=null]
+   * - Source of the mute state and volumes, followed live. Default is `null`
+   * (full volume, mute kept in memory).
    */
   constructor({
     audioContextCtor = defaultAudioContextCtor,
-    fetcher = defaultFetcher
+    fetcher = defaultFetcher,
+    settings = null
   } = {}) {
     // --- Private State ---
     this._context = null
     this._masterGain = null
     this._isMuted = false
+    this._musicVolume = 1
+    this._sfxVolume = 1
 
     this._musicSource = null
     this._musicGain = null
@@ -33,6 +43,31 @@ export class AudioController {
 
     this._AudioContextCtor = audioContextCtor
     this._fetcher = fetcher
+
+    this._settings = settings
+    this._unsubscribe = null
+    if (settings) {
+      this._applySettings(settings.values)
+      this._unsubscribe = settings.subscribe(values =>
+        this._applySettings(values)
+      )
+    }
+  }
+
+  /**
+   * Takes over the mute state and volumes from the settings.
+   *
+   * @param {import('./settings.js').Settings} values
+   * @returns {void}
+   * @access private
+   */
+  _applySettings(values) {
+    this._musicVolume = values.musicVolume
+    this._sfxVolume = values.sfxVolume
+    if (this._musicGain) {
+      this._musicGain.gain.value = MUSIC_LEVEL * this._musicVolume
+    }
+    this._applyMuteState(values.muted)
   }
 
   /**
@@ -55,13 +90,38 @@ export class AudioController {
   }
 
   /**
-   * Toggles the global mute state of the game.
+   * Suspends the AudioContext, freezing music and any in-flight sound effects
+   * until `resume()` is called.
+   *
+   * @returns {void}
+   */
+  suspend() {
+    if (this._context?.state === 'running') {
+      this._context.suspend().catch(() => {})
+    }
+  }
+
+  /**
+   * Resumes a previously suspended AudioContext.
+   *
+   * @returns {void}
+   */
+  resume() {
+    if (this._context?.state === 'suspended') {
+      this._context.resume().catch(() => {})
+    }
+  }
+
+  /**
+   * Toggles the global mute state of the game, through the settings when there
+   * are any so the choice is remembered.
    *
    * @returns {boolean} The new mute state (true = muted).
    */
   toggleMute() {
     const newState = !this._isMuted
-    this._applyMuteState(newState)
+    if (this._settings) this._settings.set('muted', newState)
+    else this._applyMuteState(newState)
     return newState
   }
 
@@ -165,7 +225,7 @@ export class AudioController {
     this._musicSource.loop = true
 
     this._musicGain = this._context.createGain()
-    this._musicGain.gain.value = 0.08 // Background level
+    this._musicGain.gain.value = MUSIC_LEVEL * this._musicVolume
 
     this._musicSource.connect(this._musicGain)
     this._musicGain.connect(this._masterGain)
@@ -194,7 +254,8 @@ export class AudioController {
    *                                         triangle).
    * @param {number} params.duration         - How long the tone lasts in
    *                                         seconds.
-   * @param {number} params.volume           - Peak volume (0.0 to 1.0).
+   * @param {number} params.volume           - Peak volume (0.0 to 1.0) before
+   *                                         the SFX volume setting.
    * @param {number} [params.startOffset=0]  - Delay before playing in seconds.
    *                                         Default is `0`
    * @param {number} [params.pitchBend=0]    - Frequency shift over the duration
@@ -209,7 +270,7 @@ export class AudioController {
     startOffset = 0,
     pitchBend = 0
   }) {
-    if (!this._context) return
+    if (!this._context || this._sfxVolume === 0) return
 
     const startTime = this._context.currentTime + startOffset
     const stopTime = startTime + duration
@@ -231,7 +292,10 @@ export class AudioController {
 
     // Envelope: Ramp up (Attack) -> sustain -> Ramp down (Release)
     gain.gain.setValueAtTime(0.0001, startTime)
-    gain.gain.exponentialRampToValueAtTime(volume, startTime + attackTime)
+    gain.gain.exponentialRampToValueAtTime(
+      Math.max(0.0001, volume * this._sfxVolume),
+      startTime + attackTime
+    )
     gain.gain.exponentialRampToValueAtTime(0.0001, stopTime)
 
     osc.connect(gain)
@@ -292,6 +356,7 @@ export class AudioController {
    * @returns {void}
    */
   dispose() {
+    this._unsubscribe?.()
     this._stopMusic()
     if (this._context) {
       this._context.close().catch(() => {})
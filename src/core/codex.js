@@ -0,0 +1,167 @@
+import { ITEM_REGISTRY, ItemCategories } from '../config/index.js'
+import { readJson, resolveStorage, writeJson } from './storage.js'
+
+/**
+ * Storage key for the lifetime pickup counts.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:codex'
+
+/**
+ * Codex page headings per `ItemCategories` value.
+ *
+ * @type {Readonly<Record<string, string>>}
+ */
+const CATEGORY_LABELS = Object.freeze({
+  [ItemCategories.LEGENDARY]: 'LEGENDARY',
+  [ItemCategories.HARDWARE]: 'HARDWARE',
+  [ItemCategories.BOOST]: 'BOOSTS',
+  [ItemCategories.HEALING]: 'HEALING',
+  [ItemCategories.COMMON]: 'DEV STUFF',
+  [ItemCategories.SLOW]: 'SLOW-DOWNS',
+  [ItemCategories.UTILITY]: 'UTILITIES',
+  [ItemCategories.HAZARD]: 'HAZARDS'
+})
+
+/**
+ * @typedef {(typeof ITEM_REGISTRY)[number]} Item
+ */
+
+/**
+ * @typedef {Object} CodexPage
+ * @property {string} category
+ * - An `ItemCategories` value.
+ * @property {string} label
+ * - Page heading.
+ * @property {{ item: Item; count: number }[]} entries
+ * - The category's items in registry order, with lifetime pickup counts.
+ */
+
+/**
+ * Collection log of every registry item: how often each one was picked up
+ * over all runs. Items count as discovered from their first pickup.
+ */
+export class ItemCodex {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for the counts. Default is `localStorage` when
+   * available, in-memory storage otherwise.
+   * @param {ReadonlyArray<Item>} [options.items=ITEM_REGISTRY]
+   * - Items the codex lists. Default is `ITEM_REGISTRY`
+   */
+  constructor({ storage = resolveStorage(), items = ITEM_REGISTRY } = {}) {
+    this._storage = storage
+    this._items = items
+    const stored = readJson(storage, STORAGE_KEY, {})
+
+    /**
+     * Lifetime pickups per item id.
+     *
+     * @type {Record<string, number>}
+     */
+    this._counts = {}
+    for (const { id } of items) {
+      const count = stored?.[id]
+      if (Number.isInteger(count) && count > 0) this._counts[id] = count
+    }
+  }
+
+  /**
+   * Number of items in the codex.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this._items.length
+  }
+
+  /**
+   * Number of items picked up at least once.
+   *
+   * @returns {number}
+   */
+  get discoveredCount() {
+    return Object.keys(this._counts).length
+  }
+
+  /**
+   * Lifetime pickups of an item.
+   *
+   * @param {string} id  - Item id.
+   * @returns {number}
+   */
+  getCount(id) {
+    return this._counts[id] ?? 0
+  }
+
+  /**
+   * Whether an item has been picked up in any run.
+   *
+   * @param {string} id  - Item id.
+   * @returns {boolean}
+   */
+  isDiscovered(id) {
+    return this.getCount(id) > 0
+  }
+
+  /**
+   * Counts a pickup.
+   *
+   * @param {Item} item  - The picked up item.
+   * @returns {boolean} True if this was the item's first pickup ever.
+   */
+  record(item) {
+    const count = this.getCount(item.id)
+    this._counts[item.id] = count + 1
+    writeJson(this._storage, STORAGE_KEY, this._counts)
+    return count === 0
+  }
+
+  /**
+   * The codex grouped into one page per category, in `ItemCategories` order.
+   * Categories without items are left out.
+   *
+   * @returns {CodexPage[]}
+   */
+  getPages() {
+    return Object.values(ItemCategories)
+      .map(category => ({
+        category,
+        label: CATEGORY_LABELS[category],
+        entries: this._items
+          .filter(item => item.category === category)
+          .map(item => ({ item, count: this.getCount(item.id) }))
+      }))
+      .filter(page => page.entries.length > 0)
+  }
+
+  /**
+   * Forgets every pickup.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._counts = {}
+    writeJson(this._storage, STORAGE_KEY, this._counts)
+  }
+}
+
+/**
+ * Short description of what picking up an item does, at its base strength
+ * (level 1). Items without an effect are the level's collection targets.
+ *
+ * @param {Item} item  - A registry item.
+ * @returns {string}
+ */
+export function describeItemEffect(item) {
+  if (item.health > 0) return `+${item.health}KB RAM`
+  if (item.health < 0) return `${item.health}KB RAM`
+  if (item.isBoost) return 'SPEED BOOST'
+  if (item.isSlow) return 'SLOWDOWN'
+  if (item.isCompass) return 'OBJECTIVE COMPASS'
+  return 'CACHE FRAGMENT'
+}
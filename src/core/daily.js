@@ -0,0 +1,167 @@
+import { TARGET_ITEMS } from '../config/index.js'
+import { formatDuration, formatUtcDate } from '../utils/format.js'
+import { parseSeed } from '../utils/seed.js'
+import { FINAL_LEVEL } from './simulation.js'
+import { readJson, resolveStorage, writeJson } from './storage.js'
+
+/**
+ * Storage key for the daily attempt record.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:daily'
+
+/** Squares used for the per-level progress bars in the shareable summary. */
+const SUMMARY_FILLED = '🟩'
+const SUMMARY_EMPTY = '⬛'
+const SUMMARY_BAR_LENGTH = 5
+
+/**
+ * Derives the daily challenge run seed for a UTC calendar day.
+ *
+ * @param {string} dateKey  - Day in `YYYY-MM-DD` form.
+ * @returns {number}
+ */
+export function getDailySeed(dateKey) {
+  return parseSeed(`daily-${dateKey}`)
+}
+
+/**
+ * Builds the spoiler-free, copyable result text for a daily run. It lists how
+ * far the player got without revealing the seed or which items were found.
+ *
+ * @param {string}   dateKey          - Day in `YYYY-MM-DD` form.
+ * @param {Object}   result           - The finished run.
+ * @param {number}   result.level     - Highest level reached.
+ * @param {number}   result.score     - Final score.
+ * @param {number}   result.duration  - Run length in milliseconds of game time.
+ * @param {boolean}  result.victory   - Whether the final level was cleared.
+ * @param {number[]} result.levels    - Unique target items found, one entry per
+ *                                    level played.
+ * @returns {string}
+ */
+export function formatDailySummary(dateKey, result) {
+  const total = TARGET_ITEMS.length
+  const lines = [
+    `Memory Leak Daily ${dateKey}`,
+    `${result.victory ? '✅' : '💥'} Level ${result.level}/${FINAL_LEVEL} · ${result.score} pts · ${formatDuration(result.duration)}`
+  ]
+
+  result.levels.forEach((found, i) => {
+    const filled = Math.round((found / total) * SUMMARY_BAR_LENGTH)
+    const bar =
+      SUMMARY_FILLED.repeat(filled) +
+      SUMMARY_EMPTY.repeat(SUMMARY_BAR_LENGTH - filled)
+    lines.push(`L${i + 1} ${bar} ${found}/${total}`)
+  })
+
+  return lines.join('\n')
+}
+
+/**
+ * Tracks the once-per-day scored attempt of the daily challenge. Every player
+ * gets the same maze sequence for a given UTC day; only the first finished run
+ * of the day is recorded, later runs are practice.
+ */
+export class DailyChallenge {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for the attempt record. Default is `localStorage`
+   * when available, in-memory storage otherwise.
+   * @param {function(): Date} [options.now]
+   * - Clock used to determine the current day. Default is `() => new Date()`
+   */
+  constructor({ storage = resolveStorage(), now = () => new Date() } = {}) {
+    this._storage = storage
+    this._now = now
+  }
+
+  /**
+   * The current UTC day in `YYYY-MM-DD` form.
+   *
+   * @returns {string}
+   */
+  get dateKey() {
+    return formatUtcDate(this._now())
+  }
+
+  /**
+   * The run seed shared by everyone playing today.
+   *
+   * @returns {number}
+   */
+  get seed() {
+    return getDailySeed(this.dateKey)
+  }
+
+  /**
+   * Returns the recorded attempt for a day, if any.
+   *
+   * @param {string} [dateKey=this.dateKey]  - Day in `YYYY-MM-DD` form.
+   *                                         Default is today.
+   * @returns {Object | null}
+   */
+  getRecord(dateKey = this.dateKey) {
+    const record = this._read()
+    return record && record.date === dateKey ? record : null
+  }
+
+  /**
+   * Whether today's scored attempt has already been used (or is in progress).
+   *
+   * @returns {boolean}
+   */
+  hasPlayedToday() {
+    return this.getRecord() !== null
+  }
+
+  /**
+   * Claims the scored attempt for a day as soon as the run begins, so quitting
+   * or reloading mid-run cannot be used to retry.
+   *
+   * @param {string} dateKey  - Day the run is started on.
+   * @returns {boolean} True if this run is the day's scored attempt.
+   */
+  startAttempt(dateKey) {
+    if (this.getRecord(dateKey)) return false
+    this._write({ date: dateKey, finished: false })
+    return true
+  }
+
+  /**
+   * Stores the result of the day's scored attempt. Ignored once the day already
+   * has a finished result.
+   *
+   * @param {string} dateKey  - Day the run was started on.
+   * @param {Object} result   - The finished run (see `formatDailySummary`).
+   * @returns {boolean} True if the run was recorded.
+   */
+  recordAttempt(dateKey, result) {
+    if (this.getRecord(dateKey)?.finished) return false
+    this._write({ date: dateKey, finished: true, ...result })
+    return true
+  }
+
+  /**
+   * @returns {Object | null}
+   * @access private
+   */
+  _read() {
+    return readJson(this._storage, STORAGE_KEY)
+  }
+
+  /**
+   * Stores the attempt record. When storage is full or unavailable the attempt
+   * simply isn't remembered.
+   *
+   * @param {Object} record
+   * @returns {void}
+   * @access private
+   */
+  _write(record) {
+    writeJson(this._storage, STORAGE_KEY, record)
+  }
+}
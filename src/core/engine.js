@@ -1,23 +1,97 @@
-import { clamp } from '../utils/math.js'
 import { AudioController } from './audio.js'
 import { InputController } from './system/input-controller.js'
 import { CheatCodeHandler } from './system/cheat-code-handler.js'
-import { World } from '../world/world.js'
-import { Player } from '../world/player.js'
+import { ClickToMove } from './system/click-to-move.js'
 import { Camera } from '../world/camera.js'
 import { Renderer, FloatingTextSystem } from './renderer.js'
 import {
   Colors,
   GameStates,
-  StatsConfig,
+  GameModes,
+  CheatCodes,
+  SimulationConfig,
+  StatusEffectTypes,
+  HudConfig,
+  KeyBindings,
+  MovementKeys,
+  ControlSchemes,
   PhysicsConfig,
-  SpriteConfig,
-  CollisionConfig,
-  TARGET_ITEMS,
-  ItemOutlineColors,
-  HudConfig
+  ShakeConfig
 } from '../config/index.js'
 import { defaultDocument, defaultWindow } from '../utils/environment.js'
+import { generateSeed, readSeedParam } from '../utils/seed.js'
+import { DailyChallenge, formatDailySummary, getDailySeed } from './daily.js'
+import { HighScoreTable } from './high-scores.js'
+import { AchievementTracker } from './achievements.js'
+import { ItemCodex } from './codex.js'
+import { SaveSlot } from './save.js'
+import { SettingsStore, getOutlineColors } from './settings.js'
+import { GameSimulation, SimulationEvents } from './simulation.js'
+import {
+  ReplayPlayer,
+  ReplayRecorder,
+  parseReplay,
+  serializeReplay
+} from './replay.js'
+
+/**
+ * Sub-views of the start and pause menus: the main entries, the settings
+ * overview and one page per settings group.
+ *
+ * @enum {string}
+ */
+const MenuViews = Object.freeze({
+  MAIN: 'main',
+  SETTINGS: 'settings',
+  AUDIO: 'audio',
+  DISPLAY: 'display',
+  CONTROLS: 'controls',
+  ACHIEVEMENTS: 'achievements',
+  CODEX: 'codex'
+})
+
+/**
+ * Title and settings of every settings group page.
+ *
+ * @type {Readonly<Record<string, { title: string; keys: string[] }>>}
+ */
+const SettingsPages = Object.freeze({
+  [MenuViews.AUDIO]: {
+    title: 'AUDIO',
+    keys: ['musicVolume', 'sfxVolume', 'muted']
+  },
+  [MenuViews.DISPLAY]: {
+    title: 'DISPLAY',
+    keys: ['screenShake', 'reducedMotion', 'hudScale', 'palette']
+  },
+  [MenuViews.CONTROLS]: {
+    title: 'CONTROLS',
+    keys: ['controlScheme']
+  }
+})
+
+/**
+ * Menu labels of the settings.
+ *
+ * @type {Readonly<Record<string, string>>}
+ */
+const SettingLabels = Object.freeze({
+  musicVolume: 'MUSIC',
+  sfxVolume: 'EFFECTS',
+  muted: 'SOUND',
+  screenShake: 'SCREEN SHAKE',
+  reducedMotion: 'REDUCED MOTION',
+  hudScale: 'HUD SCALE',
+  controlScheme: 'MOVE KEYS',
+  palette: 'COLORS'
+})
+
+/**
+ * Prefix of menu item ids that change a setting (`setting:<key>`).
+ *
+ * @constant {string}
+ */
+const SETTING_ITEM_PREFIX = 'setting:'
 
 /**
  * Orchestrates the primary game loop, state management, and subsystem
@@ -43,6 +117,7 @@ export class GameEngine {
   } = {}) {
     this._isRunning = false
     this._animationFrameId = null
+    this._accumulator = 0
     this._boundHandlers = {}
 
     this.window = windowRef
@@ -51,25 +126,68 @@ export class GameEngine {
     this.canvas = canvasElement ?? this.document.getElementById?.('gameCanvas')
     if (!this.canvas) throw new Error('GameEngine: Canvas element not found')
 
+    // Player preferences; every subsystem below reads them from here
+    this.settings = new SettingsStore()
+
     this.audio = new AudioController({
       audioContextCtor:
         this.window.AudioContext || this.window.webkitAudioContext,
-      fetcher: this.window.fetch?.bind(this.window)
+      fetcher: this.window.fetch?.bind(this.window),
+      settings: this.settings
     })
 
-    this.input = new InputController({ target: this.window })
+    this.input = new InputController({
+      target: this.window,
+      settings: this.settings
+    })
 
     // Hide gamepad initially (on START screen)
     if (this.input._gamepad) {
       this.input._gamepad.hide()
     }
 
-    this.world = new World()
-    this.player = new Player()
+    // Routes to clicked/tapped tiles; keyboard or gamepad input cancels them
+    this.clickToMove = new ClickToMove()
+
+    // A `?seed=` URL parameter pins every run to the same maze sequence
+    this._urlSeed = readSeedParam(this.window)
+
+    this.mode = GameModes.CLASSIC
+    this.daily = new DailyChallenge()
+    this._dailyRun = null
+
+    // Best finished runs across sessions, and where the last run placed
+    this.highScores = new HighScoreTable()
+    this._highScoreResult = null
+
+    // Unlocks across sessions, and the ones earned in the current run
+    this.achievements = new AchievementTracker()
+    this._runAchievements = []
+
+    // Lifetime item pickups, and the codex page shown on the start screen
+    this.codex = new ItemCodex()
+    this._codexPage = 0
+
+    // The classic run saved on pause, offered on the start screen, and whether
+    // it is the run in progress. A new run only takes over the slot once it is
+    // saved itself, so starting one does not throw the saved run away.
+    this.saves = new SaveSlot()
+    this._savedRun = this.saves.load()
+    this._ownsSave = false
+
+    // Input recording of the current run, and the replay being played back
+    this._recording = null
+    this._replay = null
+
+    // World, player, stats and item rules; the engine only presents them
+    this.simulation = new GameSimulation({
+      seed: this._urlSeed ?? generateSeed()
+    })
 
     this.renderer = new Renderer(this.canvas, {
       windowRef: this.window,
-      documentRef: this.document
+      documentRef: this.document,
+      settings: this.settings
     })
 
     // Camera uses renderer's effective viewport to show more world on mobile
@@ -77,23 +195,97 @@ export class GameEngine {
       viewport: () => this.renderer.getEffectiveViewport()
     })
 
-    this.particles = new FloatingTextSystem()
+    this.particles = new FloatingTextSystem({ seed: this.runSeed })
     this.state = GameStates.START
 
-    this.stats = this._createInitialStats()
     this.hud = this._createInitialHud()
-    this.collectedUniqueIds = new Set()
+    // Survives restarts; toggled with KeyBindings.Minimap
+    this.minimapVisible = HudConfig.minimapVisible
 
     this._boundHandlers.pointer = this.handlePointer.bind(this)
     this.window.addEventListener('pointerdown', this._boundHandlers.pointer)
 
     // Cheat code handler
     this.cheats = new CheatCodeHandler()
-    this.cheats.register('jump', () => this._activateJumpCheat())
-    this.cheats.register('hitbox', () => {}) // Toggle handled by CheatCodeHandler
-    this.cheats.register('flowstate', () => this._activateFlowStateCheat())
-    this.cheats.register('lag', () => this._activateLagCheat())
+    this.cheats.register(CheatCodes.JUMP, () => this._applyCheat('jump'))
+    // Toggle handled by CheatCodeHandler
+    this.cheats.register(CheatCodes.HITBOX, () => {})
+    this.cheats.register(CheatCodes.FLOWSTATE, () =>
+      this._applyCheat('flowstate')
+    )
+    this.cheats.register(CheatCodes.LAG, () => this._applyCheat('lag'))
+    // Render-only debug toggles, read by the renderer
+    this.cheats.register(CheatCodes.RAWTILES, () => {})
+    this.cheats.register(CheatCodes.FRAMETIME, () => {})
     this.cheats.attach(this.window)
+    this.cheats.onToggle(code => this._recordCheat(code))
+
+    // Attached after the cheat handler so keys that finish a cheat code can be
+    // recognized and ignored (e.g. the `p` in `jump`)
+    this._boundHandlers.keydown = this._handleKeyDown.bind(this)
+    this.window.addEventListener('keydown', this._boundHandlers.keydown)
+
+    // Auto-pause when the tab is hidden or the window loses focus
+    this._boundHandlers.visibility = this._handleVisibilityChange.bind(this)
+    this._boundHandlers.blur = this._handleFocusLoss.bind(this)
+    this.document.addEventListener(
+      'visibilitychange',
+      this._boundHandlers.visibility
+    )
+    this.window.addEventListener('blur', this._boundHandlers.blur)
+
+    // Replay files can be dropped anywhere on the page
+    this._boundHandlers.dragover = event => event.preventDefault()
+    this._boundHandlers.drop = this._handleDrop.bind(this)
+    this.window.addEventListener('dragover', this._boundHandlers.dragover)
+    this.window.addEventListener('drop', this._boundHandlers.drop)
+
+    this._menu = { view: MenuViews.MAIN, selectedIndex: 0 }
+  }
+
+  /**
+   * The game world of the current run.
+   *
+   * @returns {World}
+   */
+  get world() {
+    return this.simulation.world
+  }
+
+  /**
+   * The player of the current run.
+   *
+   * @returns {Player}
+   */
+  get player() {
+    return this.simulation.player
+  }
+
+  /**
+   * Statistics of the current run.
+   *
+   * @returns {Object}
+   */
+  get stats() {
+    return this.simulation.stats
+  }
+
+  /**
+   * Ids of the target items found on the current level.
+   *
+   * @returns {Set<string>}
+   */
+  get collectedUniqueIds() {
+    return this.simulation.collectedUniqueIds
+  }
+
+  /**
+   * Seed of the current run.
+   *
+   * @returns {number}
+   */
+  get runSeed() {
+    return this.simulation.runSeed
   }
 
   /**
@@ -129,6 +321,14 @@ export class GameEngine {
   destroy() {
     this.stop()
     this.window.removeEventListener('pointerdown', this._boundHandlers.pointer)
+    this.window.removeEventListener('keydown', this._boundHandlers.keydown)
+    this.window.removeEventListener('blur', this._boundHandlers.blur)
+    this.window.removeEventListener('dragover', this._boundHandlers.dragover)
+    this.window.removeEventListener('drop', this._boundHandlers.drop)
+    this.document.removeEventListener(
+      'visibilitychange',
+      this._boundHandlers.visibility
+    )
     this.input.dispose()
     this.renderer.dispose()
     this.audio.dispose()
@@ -145,13 +345,17 @@ export class GameEngine {
   _startLoop() {
     if (!this._isRunning) {
       this._isRunning = true
+      this._accumulator = 0
       this.lastTime = performance.now()
       this._loop(this.lastTime)
     }
   }
 
   /**
-   * Core frame loop. Caps delta time to prevent physics anomalies during lag.
+   * Core frame loop. Accumulates real elapsed time and drains it in fixed
+   * simulation ticks, then renders with the leftover fraction of a tick as the
+   * interpolation factor. Frame time is capped so a long stall cannot trigger
+   * an unbounded burst of catch-up ticks.
    *
    * - @private.
    *
@@ -162,134 +366,67 @@ export class GameEngine {
   _loop(time) {
     if (!this._isRunning) return
 
-    const rawDt = time - this.lastTime
-    const dt = Math.min(rawDt, 100) // Cap at 100ms
+    const step = SimulationConfig.TickInterval
+    const frameDt = Math.min(
+      time - this.lastTime,
+      SimulationConfig.MaxFrameDelta
+    )
     this.lastTime = time
 
     if (this.state === GameStates.PLAYING) {
-      this.update(dt)
+      this._accumulator += frameDt
+      while (this._accumulator >= step) {
+        this.update(step)
+        this._accumulator -= step
+
+        // Drop leftover time once the run ends mid-frame
+        if (this.state !== GameStates.PLAYING) {
+          this._accumulator = 0
+          break
+        }
+      }
+    } else {
+      this._accumulator = 0
     }
 
+    const alpha = this._accumulator / step
+    this.player.interpolate(alpha)
+    this.simulation.entities.interpolate(alpha)
+    this.camera.interpolate(alpha)
+
     this.draw()
     this._animationFrameId = requestAnimationFrame(t => this._loop(t))
   }
 
   /**
-   * Updates game logic, physics, and state transitions based on elapsed time.
-   *
-   * - @param {number} dt - Delta time in milliseconds since the last frame.
-   *
-   * @returns {void}
-   */
-  /**
-   * Updates game logic, physics, and state transitions based on elapsed time.
+   * Advances game logic, physics, and state transitions by one fixed simulation
+   * tick.
    *
-   * @param {number} dt  - Delta time in milliseconds since the last frame.
+   * @param {number} dt  - Tick length in milliseconds (normally
+   *                     `SimulationConfig.TickInterval`).
    * @returns {void}
    */
   update(dt) {
-    const moveVec = this.input.getMovementVector()
-    this.player.move(moveVec, this.world, dt)
-    this.player.update(dt)
+    const moveVec = this._readTickInput()
+    if (!moveVec) return
 
-    const newDir = this.input.getDirection(moveVec.x, moveVec.y)
-    if (newDir !== null) this.player.direction = newDir
+    this.camera.snapshotPosition()
+    const events = this.simulation.step(moveVec, dt)
 
-    const playerHalfWidth = (SpriteConfig.Width * SpriteConfig.Scale) / 2
-    const playerHalfHeight = (SpriteConfig.Height * SpriteConfig.Scale) / 2
-    const playerCenterX = this.player.x + playerHalfWidth
-    const playerCenterY = this.player.y + playerHalfHeight
-
-    this.camera.follow(playerCenterX, playerCenterY)
-    this._checkCollisions()
-
-    // === BOOST IMMUNITY: No memory leak drain during boost ===
-    if (!this.player.isBoosted) {
-      this.stats.playerHealth -= (StatsConfig.MemoryLeakRate * dt) / 1000
-    }
+    const center = this.simulation.getPlayerCenter()
+    this.camera.follow(center.x, center.y)
 
     if (this.hud.messageTimer > 0) this.hud.messageTimer -= dt
     this._updateHudPulseTimers(dt)
+    this._updateToasts(dt)
     this.particles.update(dt)
 
-    this._checkGameStateTransitions()
-  }
-
-  /**
-   * Checks for item collisions using the player's collision box.
-   *
-   * @returns {void}
-   * @access private
-   */
-  _checkCollisions() {
-    // Calculate player's collision box (matching world.js checkCollision logic)
-    const scale = SpriteConfig.Scale
-    const sx = this.player.x
-    const sy = this.player.y
-    const cx = sx + (SpriteConfig.Width * scale) / 2
-    const bottomY =
-      sy + SpriteConfig.Height * scale - CollisionConfig.VerticalOffset
-    const halfWidth = CollisionConfig.Width / 2
-
-    const playerLeft = cx - halfWidth
-    const playerRight = cx + halfWidth
-    const playerTop = bottomY
-    const playerBottom = bottomY + CollisionConfig.Height
-
-    // Get player center for grid calculation
-    const playerCenterX = sx + (SpriteConfig.Width * scale) / 2
-    const playerCenterY = sy + (SpriteConfig.Height * scale) / 2
-    const gridX = Math.floor(playerCenterX / PhysicsConfig.TileSize)
-    const gridY = Math.floor(playerCenterY / PhysicsConfig.TileSize)
-    const halfTile = PhysicsConfig.TileSize / 2
-
-    // Check items in nearby tiles
-    for (let y = gridY - 1; y <= gridY + 1; y++) {
-      for (let x = gridX - 1; x <= gridX + 1; x++) {
-        const item = this.world.getItemAt(x, y)
-        if (!item) continue
-
-        const itemX = x * PhysicsConfig.TileSize + halfTile
-        const itemY = y * PhysicsConfig.TileSize + halfTile
-
-        // Check if item point is within player's collision box
-        if (
-          itemX >= playerLeft &&
-          itemX <= playerRight &&
-          itemY >= playerTop &&
-          itemY <= playerBottom
-        ) {
-          this.processItem(item, x, y)
-        }
-      }
-    }
-  }
-
-  /**
-   * Applies the effects of a collected item to the game state.
-   *
-   * - @param {Object} item - The item definition object containing stats and
-   * type info.
-   *
-   * @param {number} tileX  - The grid X index where the item was located.
-   * @param {number} tileY  - The grid Y index where the item was located.
-   * @returns {void}
-   */
-  processItem(item, tileX, tileY) {
-    this.world.collectedItems.add(`${tileX},${tileY}`)
-    const worldX = tileX * PhysicsConfig.TileSize
-    const worldY = tileY * PhysicsConfig.TileSize
-
-    if (item.health) {
-      this._handleHealthItem(item, worldX, worldY)
-    } else if (item.isBoost || item.isSlow) {
-      this._handleSpeedItem(item, worldX, worldY)
-    } else {
-      this._handleScoreItem(item, worldX, worldY)
+    // Played back runs were already tracked when they were played
+    if (!this._replay) {
+      this._recordPickups(events)
+      this._showUnlocks(this.achievements.handleTick(events, this.stats))
     }
-
-    this.stats.score += item.score || 0
-    this._updateHudMessage(item)
+    this._handleSimulationEvents(events)
   }
 
   /**
@@ -317,9 +454,55 @@ export class GameEngine {
         this._toggleFullscreen()
         return
       }
+
+      const pauseBtn = this.renderer.getPauseButtonRect()
+      if (this._isPointInRect(x, y, pauseBtn)) {
+        this.pause()
+        return
+      }
+
+      const settingsBtn = this.renderer.getSettingsButtonRect()
+      if (this._isPointInRect(x, y, settingsBtn)) {
+        this.pause()
+        this._openMenuView(MenuViews.SETTINGS)
+        return
+      }
+
+      // Only taps on the game canvas route the player; the touch gamepad and
+      // the page around the canvas are other targets
+      if (!this._replay && event.target === this.canvas) {
+        this._moveToPointer(event, rect)
+      }
     }
 
-    this._handleStateClickInteraction()
+    if (this.state === GameStates.PLAYING) return
+
+    const itemId = this.renderer.getMenuItemAt(x, y)
+    if (itemId) this._selectMenuItem(itemId)
+  }
+
+  /**
+   * Freezes the run and opens the pause menu. Simulation, effect timers and
+   * particles only advance in the PLAYING state, so nothing ticks while paused.
+   *
+   * @returns {void}
+   */
+  pause() {
+    if (this.state !== GameStates.PLAYING) return
+    this._transitionState(GameStates.PAUSED)
+    this._saveRun()
+  }
+
+  /**
+   * Closes the pause menu and continues the run, with audio suspended by an
+   * automatic pause switched back on.
+   *
+   * @returns {void}
+   */
+  resume() {
+    if (this.state !== GameStates.PAUSED) return
+    this.audio.resume()
+    this._transitionState(GameStates.PLAYING)
   }
 
   /**
@@ -328,9 +511,37 @@ export class GameEngine {
    * - @returns {void}
    */
   draw() {
-    if (this.state === GameStates.START) {
-      this.renderer.renderStartScreen()
-    } else if (this.state === GameStates.PLAYING) {
+    if (
+      this.state === GameStates.START &&
+      this._menu.view === MenuViews.ACHIEVEMENTS
+    ) {
+      this.renderer.renderAchievementsScreen(
+        this.achievements.list(),
+        this._getActiveMenu()
+      )
+    } else if (
+      this.state === GameStates.START &&
+      this._menu.view === MenuViews.CODEX
+    ) {
+      this.renderer.renderCodexScreen(
+        this.codex.getPages()[this._codexPage],
+        this._getActiveMenu()
+      )
+    } else if (
+      this.state === GameStates.START &&
+      this._menu.view !== MenuViews.MAIN
+    ) {
+      this.renderer.renderMenuScreen(this._getActiveMenu())
+    } else if (this.state === GameStates.START) {
+      this.renderer.renderStartScreen(
+        this._getActiveMenu(),
+        this._getDailyStatus(),
+        this.highScores.entries
+      )
+    } else if (
+      this.state === GameStates.PLAYING ||
+      this.state === GameStates.PAUSED
+    ) {
       this.renderer.renderGame(
         this.world,
         this.player,
@@ -340,12 +551,35 @@ export class GameEngine {
         this.hud,
         this.audio.isMuted,
         this.stats.level,
-        this.cheats
+        this.cheats,
+        this._getMinimap(),
+        this.stats.hasCompass ? this.simulation.getCompassTarget() : null,
+        this.clickToMove.route,
+        this.simulation.entities
       )
+      if (this.state === GameStates.PAUSED) {
+        this.renderer.renderPauseMenu(this._getActiveMenu())
+      }
     } else {
+      const run = this._dailyRun
       this.renderer.renderEndScreen(
-        this.state === GameStates.VICTORY,
-        this.stats.score
+        {
+          isVictory: this.state === GameStates.VICTORY,
+          score: this.stats.score,
+          seed: this.runSeed,
+          explored: this.stats.explored,
+          daily: run && {
+            heading: this._getDailyStatus(),
+            summary: run.summary
+          },
+          highScores: {
+            entries: this.highScores.entries,
+            rank: this._highScoreResult?.rank ?? null,
+            isPersonalBest: this._highScoreResult?.isPersonalBest ?? false
+          },
+          achievements: this._runAchievements
+        },
+        this._getActiveMenu()
       )
     }
   }
@@ -353,223 +587,642 @@ export class GameEngine {
   // --- Private Helpers ---
 
   /**
-   * Handles state transitions triggered by user clicks (Start/Restart).
+   * Resets the game and begins playing from level 1.
    *
    * - @private.
    *
+   * @param {string} [mode=this.mode]  - A `GameModes` value. Default is the
+   *                                   mode of the previous run.
    * @returns {void}
    */
-  _handleStateClickInteraction() {
+  _startNewRun(mode = this.mode) {
+    this.mode = mode
+    this._highScoreResult = null
+    // REBOOT abandons the saved run it belongs to; any other save is kept
+    // until the new run saves over it
+    if (this._ownsSave) this._clearSavedRun()
+
+    if (mode === GameModes.DAILY) {
+      // Daily runs ignore any URL seed so everyone gets the same mazes
+      const dateKey = this.daily.dateKey
+      this._dailyRun = {
+        dateKey,
+        scored: this.daily.startAttempt(dateKey),
+        summary: null,
+        copied: false
+      }
+      this.resetGame(getDailySeed(dateKey))
+    } else {
+      this._dailyRun = null
+      this.resetGame()
+    }
+
+    this._stopReplay()
+    this._recording = new ReplayRecorder({
+      seed: this.runSeed,
+      mode,
+      cheats: this.cheats.activeCodes
+    })
+
+    // Restart music for the current level (level 1 after reset)
+    this.audio.startMusic(this.stats.level)
+    this._transitionState(GameStates.PLAYING)
+  }
+
+  /**
+   * Starts playing back a recorded run. Movement comes from the recording and
+   * typed cheat codes are ignored until playback ends.
+   *
+   * @param {import('./replay.js').ReplayData} replay
+   * - A parsed replay.
+   * @returns {void}
+   */
+  playReplay(replay) {
+    // Loading a replay over a paused daily run abandons it, and REBOOT after
+    // the replay starts a classic run rather than a new daily attempt
+    this._recordDailyResult(false)
+    this.mode = GameModes.CLASSIC
+    this._ownsSave = false
+    this._dailyRun = null
+    this._recording = null
+    this._highScoreResult = null
+
+    this._replay = new ReplayPlayer(replay)
+    this.cheats.enabled = false
+    this.cheats.restore(replay.cheatsAtStart)
+    this.resetGame(replay.seed)
+
+    this.audio.initialize()
+    this.audio.resume()
+    this.audio.startMusic(this.stats.level)
+    this._transitionState(GameStates.PLAYING)
+
+    this.hud.lastMessage = '▶ REPLAY'
+    this.hud.messageColor = Colors.Info
+    this.hud.messageTimer = 3000
+  }
+
+  /**
+   * Returns the movement vector for the next tick: from the replay during
+   * playback, otherwise from live input (which is then recorded). Replayed
+   * cheats are applied first; returns null if one of them ended the run.
+   *
+   * - @private.
+   *
+   * @returns {{ x: number; y: number } | null}
+   */
+  _readTickInput() {
+    if (this._replay) {
+      this._replay.takeCheats().forEach(code => this.cheats.toggle(code))
+      if (this.state !== GameStates.PLAYING) return null
+      if (!this._replay.isFinished) return this._replay.nextMove()
+
+      // Hand control back to the player if a recording runs out mid-run
+      this._stopReplay()
+    }
+
+    let moveVec = this.input.getMovementVector()
+    if (moveVec.x !== 0 || moveVec.y !== 0) {
+      this.clickToMove.cancel()
+    } else if (this.clickToMove.isActive) {
+      moveVec = this.clickToMove.getMovementVector(this.player)
+    }
+    this._recording?.recordTick(moveVec)
+    return moveVec
+  }
+
+  /**
+   * Starts walking to the tile under a click or tap. The canvas may be scaled
+   * with CSS on small screens, so the point is mapped to canvas pixels first.
+   *
+   * - @private.
+   *
+   * @param {PointerEvent} event  - The browser pointer event.
+   * @param {DOMRect}      rect   - Bounding rectangle of the canvas.
+   * @returns {void}
+   */
+  _moveToPointer(event, rect) {
+    if (rect.width <= 0 || rect.height <= 0) return
+    const canvasX =
+      ((event.clientX - rect.left) * this.canvas.width) / rect.width
+    const canvasY =
+      ((event.clientY - rect.top) * this.canvas.height) / rect.height
+    const ts = PhysicsConfig.TileSize
+    this.clickToMove.moveTo(this.world, this.player, {
+      x: Math.floor((canvasX + this.camera.renderX) / ts),
+      y: Math.floor((canvasY + this.camera.renderY) / ts)
+    })
+  }
+
+  /**
+   * Records a cheat toggle into the active recording. Toggles outside a run are
+   * not recorded; the recording captures the active cheats at run start
+   * instead.
+   *
+   * - @private.
+   *
+   * @param {string} code  - The toggled cheat code.
+   * @returns {void}
+   */
+  _recordCheat(code) {
+    if (!this._recording || this._recording.isFinished) return
+    if (this.state === GameStates.PLAYING || this.state === GameStates.PAUSED) {
+      this._recording.recordCheat(code)
+    }
+  }
+
+  /**
+   * Ends replay playback and re-enables typed cheat codes.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _stopReplay() {
+    this._replay = null
+    this.cheats.enabled = true
+  }
+
+  /**
+   * Loads a replay file dropped onto the page. Ignored mid-run so an active run
+   * is never discarded by accident.
+   *
+   * - @private.
+   *
+   * @param {DragEvent} event  - The browser drop event.
+   * @returns {void}
+   */
+  _handleDrop(event) {
+    event.preventDefault()
+    const file = event.dataTransfer?.files?.[0]
+    if (!file || this.state === GameStates.PLAYING) return
+
+    file
+      .text()
+      .then(text => this.playReplay(parseReplay(text)))
+      .catch(error => console.warn(error.message))
+  }
+
+  /**
+   * Saves the finished run's recording as a replay file.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _downloadReplay() {
+    const recording = this._recording
+    if (!recording?.isFinished) return
+
+    const blob = new Blob([serializeReplay(recording)], {
+      type: 'application/json'
+    })
+    const url = URL.createObjectURL(blob)
+    const link = this.document.createElement('a')
+    link.href = url
+    link.download = `memory-leak-${this.runSeed}.replay.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Handles engine-level key bindings: pause toggling and navigation of the
+   * start, pause and end screen menus.
+   *
+   * - @private.
+   *
+   * @param {KeyboardEvent} event  - The browser keyboard event.
+   * @returns {void}
+   */
+  _handleKeyDown(event) {
+    if (this.cheats.completedBy(event)) return
+
+    if (KeyBindings.Pause.includes(event.key)) {
+      if (this.state === GameStates.PLAYING) {
+        this.pause()
+      } else if (this._menu.view !== MenuViews.MAIN) {
+        this._closeMenuView()
+      } else if (this.state === GameStates.PAUSED) {
+        this.resume()
+      }
+      return
+    }
+
+    if (
+      KeyBindings.Minimap.includes(event.key) &&
+      this.state === GameStates.PLAYING
+    ) {
+      this.minimapVisible = !this.minimapVisible
+      return
+    }
+
+    const menu = this._getActiveMenu()
+    if (!menu) return
+
+    // Same keys as movement, so ZQSD players navigate with z/q/s/d
+    const keys =
+      MovementKeys[this.settings.get('controlScheme')] ??
+      MovementKeys[ControlSchemes.WASD]
+    const { items, selectedIndex } = menu
+    if (keys.up.includes(event.key)) {
+      this._menu.selectedIndex =
+        (selectedIndex - 1 + items.length) % items.length
+    } else if (keys.down.includes(event.key)) {
+      this._menu.selectedIndex = (selectedIndex + 1) % items.length
+    } else if (KeyBindings.MenuSelect.includes(event.key)) {
+      this._selectMenuItem(items[selectedIndex].id)
+    } else if (keys.left.includes(event.key)) {
+      this._adjustMenuItem(items[selectedIndex].id, -1)
+    } else if (keys.right.includes(event.key)) {
+      this._adjustMenuItem(items[selectedIndex].id, 1)
+    }
+  }
+
+  /**
+   * Pauses the run when the tab becomes hidden, and restores audio on return
+   * unless a run is waiting in the pause menu.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _handleVisibilityChange() {
+    if (this.document.hidden) {
+      this._handleFocusLoss()
+      this.audio.suspend()
+    } else if (this.state !== GameStates.PAUSED) {
+      this.audio.resume()
+    }
+  }
+
+  /**
+   * Pauses an active run with its audio suspended, and drops held keys, whose
+   * keyup events are lost while the page is in the background.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _handleFocusLoss() {
+    this.input.clearKeys()
+    if (this.state !== GameStates.PLAYING) return
+    this.pause()
+    this.audio.suspend()
+  }
+
+  /**
+   * Returns the menu shown in the current state, or null during play.
+   *
+   * - @private.
+   *
+   * @returns {Object | null} Menu description ({ title, subtitle, items,
+   *                          selectedIndex }).
+   */
+  _getActiveMenu() {
     switch (this.state) {
       case GameStates.START:
-        this.audio.initialize()
-        this.resetGame()
-        this.audio.startMusic(this.stats.level)
-        this._transitionState(GameStates.PLAYING)
-        break
+        return this._getStartMenu()
+      case GameStates.PAUSED:
+        return this._getPauseMenu()
       case GameStates.GAMEOVER:
       case GameStates.VICTORY:
-        this.resetGame()
-        // Restart music for the current level (level 1 after reset)
-        this.audio.startMusic(this.stats.level)
-        this._transitionState(GameStates.PLAYING)
-        break
+        return this._getEndMenu()
+      default:
+        return null
     }
   }
 
   /**
-   * Calculates level-based health multiplier. Healing becomes less effective,
-   * damage becomes more effective as level increases.
+   * Builds the title screen menu (mode selection).
    *
    * - @private.
    *
-   * @param {number}  level      - Current level (1-5).
-   * @param {boolean} isHealing  - Whether this is a healing item (positive
-   *                             health).
-   * @returns {number} Multiplier to apply to health value.
+   * @returns {Object} Menu description.
    */
-  _getHealthMultiplier(level, isHealing) {
-    // Level 1: 1.0x (base)
-    // Level 2: Healing 0.9x, Damage 1.1x
-    // Level 3: Healing 0.8x, Damage 1.2x
-    // Level 4: Healing 0.7x, Damage 1.3x
-    // Level 5: Healing 0.6x, Damage 1.4x
-    const levelOffset = level - 1
-    if (isHealing) {
-      return 1.0 - levelOffset * 0.1 // Decrease healing by 10% per level
-    } else {
-      return 1.0 + levelOffset * 0.1 // Increase damage by 10% per level
+  _getStartMenu() {
+    if (this._menu.view === MenuViews.ACHIEVEMENTS) {
+      return {
+        title: 'ACHIEVEMENTS',
+        subtitle: `${this.achievements.unlockedCount}/${this.achievements.list().length} UNLOCKED`,
+        items: [{ id: 'back', label: 'BACK' }],
+        selectedIndex: this._menu.selectedIndex
+      }
+    }
+    if (this._menu.view === MenuViews.CODEX) return this._getCodexMenu()
+    if (this._menu.view !== MenuViews.MAIN) return this._getSettingsMenu()
+
+    const saved = this._savedRun?.simulation
+    return {
+      items: [
+        ...(saved
+          ? [{ id: 'continue', label: `RESUME · LEVEL ${saved.level}` }]
+          : []),
+        { id: 'play', label: 'PLAY' },
+        {
+          id: 'daily',
+          label: this.daily.hasPlayedToday()
+            ? 'DAILY (PRACTICE)'
+            : 'DAILY CHALLENGE'
+        },
+        { id: 'achievements', label: 'ACHIEVEMENTS' },
+        { id: 'codex', label: 'CODEX' },
+        { id: 'settings', label: 'SETTINGS' }
+      ],
+      selectedIndex: this._menu.selectedIndex
     }
   }
 
   /**
-   * Rounds a number to the nearest multiple of 4.
+   * Builds the codex menu: the current category and discovery count as
+   * subtitle, and entries to turn the page.
    *
    * - @private.
    *
-   * @param {number} value  - Value to round.
-   * @returns {number} Value rounded to nearest multiple of 4.
+   * @returns {Object} Menu description.
    */
-  _roundToMultipleOf4(value) {
-    return Math.round(value / 4) * 4
+  _getCodexMenu() {
+    const pages = this.codex.getPages()
+    const page = pages[this._codexPage]
+    const discovered = `${this.codex.discoveredCount}/${this.codex.size}`
+    return {
+      title: 'CODEX',
+      subtitle: `${page.label} (${this._codexPage + 1}/${pages.length}) · ${discovered} DISCOVERED`,
+      items: [
+        { id: 'codex-previous', label: '◀ PREVIOUS' },
+        { id: 'codex-next', label: 'NEXT ▶' },
+        { id: 'back', label: 'BACK' }
+      ],
+      selectedIndex: this._menu.selectedIndex
+    }
   }
 
   /**
-   * Applies health modifications from an item with level-based scaling + BOOST
-   * IMMUNITY.
+   * Builds the end screen menu. Daily runs can copy their result summary,
+   * recorded runs can be downloaded and played back runs watched again.
    *
-   * @param {Object} item  - The health item object.
-   * @param {number} x     - World X position for particle effects.
-   * @param {number} y     - World Y position for particle effects.
-   * @returns {void}
-   * @access private
+   * - @private.
+   *
+   * @returns {Object} Menu description.
    */
-  _handleHealthItem(item, x, y) {
-    const isHeal = item.health > 0
+  _getEndMenu() {
+    const items = [{ id: 'restart', label: 'REBOOT' }]
+    if (this._dailyRun?.summary) {
+      items.push({
+        id: 'copy',
+        label: this._dailyRun.copied ? 'COPIED ✓' : 'COPY RESULT'
+      })
+    }
+    if (this._replay) {
+      items.push({ id: 'watch', label: 'WATCH AGAIN' })
+    } else if (this._recording?.isFinished) {
+      items.push({ id: 'download', label: 'DOWNLOAD REPLAY' })
+    }
+    items.push({ id: 'quit', label: 'QUIT TO TITLE' })
+
+    return { items, selectedIndex: this._menu.selectedIndex }
+  }
 
-    // === BOOST IMMUNITY: Block damage items completely ===
-    if (!isHeal && this.player.isBoosted) {
-      this.particles.spawn(x, y, '🛡️ IMMUNE', 'boost')
-      this.audio.playPowerUp() // Positive sound for immunity
-      return // Skip damage application
+  /**
+   * Describes today's daily challenge for the start and end screens.
+   *
+   * - @private.
+   *
+   * @returns {string}
+   */
+  _getDailyStatus() {
+    const dateKey = this._dailyRun?.dateKey ?? this.daily.dateKey
+    const record = this.daily.getRecord(dateKey)
+    const label =
+      this._dailyRun && !this._dailyRun.scored ? 'PRACTICE' : 'DAILY'
+
+    if (!record) return `${label} ${dateKey} · ONE SCORED ATTEMPT`
+    if (!record.finished) return `${label} ${dateKey} · ATTEMPT ABANDONED`
+    return `${label} ${dateKey} · TODAY'S BEST ${record.score}`
+  }
+
+  /**
+   * Builds the description of the pause menu for the current sub-view.
+   *
+   * - @private.
+   *
+   * @returns {{
+   *   title: string
+   *   items: { id: string; label: string }[]
+   *   selectedIndex: number
+   * }}
+   */
+  _getPauseMenu() {
+    const { view, selectedIndex } = this._menu
+    if (view !== MenuViews.MAIN) return this._getSettingsMenu()
+
+    return {
+      title: 'PAUSED',
+      subtitle: `LEVEL ${this.stats.level} · SCORE ${this.stats.score} · SEED ${this.runSeed}`,
+      items: [
+        { id: 'resume', label: 'RESUME' },
+        { id: 'restart', label: 'RESTART' },
+        { id: 'settings', label: 'SETTINGS' },
+        { id: 'quit', label: 'QUIT TO TITLE' }
+      ],
+      selectedIndex
     }
+  }
 
-    const multiplier = this._getHealthMultiplier(this.stats.level, isHeal)
-    const adjustedHealth = this._roundToMultipleOf4(item.health * multiplier)
+  /**
+   * Builds the settings overview or one of its group pages. Setting entries
+   * show their current value, so the menu reflects every change at once.
+   *
+   * - @private.
+   *
+   * @returns {Object} Menu description.
+   */
+  _getSettingsMenu() {
+    const { view, selectedIndex } = this._menu
+    const page = SettingsPages[view]
+
+    if (!page) {
+      return {
+        title: 'SETTINGS',
+        items: [
+          { id: MenuViews.AUDIO, label: 'AUDIO ›' },
+          { id: MenuViews.DISPLAY, label: 'DISPLAY ›' },
+          { id: MenuViews.CONTROLS, label: 'CONTROLS ›' },
+          { id: 'fullscreen', label: 'TOGGLE FULLSCREEN' },
+          { id: 'back', label: 'BACK' }
+        ],
+        selectedIndex
+      }
+    }
 
-    this.stats.playerHealth = clamp(
-      this.stats.playerHealth + adjustedHealth,
-      0,
-      StatsConfig.MaxHealth
-    )
+    return {
+      title: page.title,
+      subtitle: '◀ ▶ TO ADJUST',
+      items: [
+        ...page.keys.map(key => ({
+          id: `${SETTING_ITEM_PREFIX}${key}`,
+          label: `${SettingLabels[key]}: ${this._formatSetting(key)}`
+        })),
+        { id: 'back', label: 'BACK' }
+      ],
+      selectedIndex
+    }
+  }
 
-    this.particles.spawn(
-      x,
-      y,
-      `${isHeal ? '+' : ''}${adjustedHealth}KB`,
-      isHeal ? 'heal' : 'damage'
-    )
-    isHeal ? this.audio.playHealth() : this.audio.playDamage()
-  }
-
-  /**
-   * Applies speed modifications from an item.
-   *
-   * - @private.
-   *
-   * @param {Object} item  - The speed item object (boost or slow).
-   * @param {number} x     - World X position for particle effects.
-   * @param {number} y     - World Y position for particle effects.
-   * @returns {void}
-   */
-  /**
-   * Applies speed modifications from an item + visual effect flags.
-   */
-  _handleSpeedItem(item, x, y) {
-    const isBoost = !!item.isBoost
-    const duration = StatsConfig.SpeedBoostDuration
-
-    // Clear any existing timer
-    if (this.player.speedTimer) {
-      clearTimeout(this.player.speedTimer)
-      this.player.speedTimer = null
-    }
-
-    // If collecting opposite effect, reverse it immediately
-    // If collecting same effect, add to duration
-    if (isBoost && this.player.isSlowed) {
-      // Boost reverses slow
-      this.player.multiplier = StatsConfig.SpeedBoostMultiplier
-      this.player.isBoosted = true
-      this.player.isSlowed = false
-      this.player.speedTimer = setTimeout(() => {
-        this.player.multiplier = 1
-        this.player.isBoosted = false
-        this.player.isSlowed = false
-        this.player.speedTimer = null
-      }, duration)
-    } else if (!isBoost && this.player.isBoosted) {
-      // Slow reverses boost
-      this.player.multiplier = 0.5
-      this.player.isBoosted = false
-      this.player.isSlowed = true
-      this.player.speedTimer = setTimeout(() => {
-        this.player.multiplier = 1
-        this.player.isBoosted = false
-        this.player.isSlowed = false
-        this.player.speedTimer = null
-      }, duration)
-    } else if (isBoost && this.player.isBoosted) {
-      // Boost while boosted: add duration
-      const remainingTime = this.player.speedTimerEndTime
-        ? Math.max(0, this.player.speedTimerEndTime - Date.now())
-        : 0
-      this.player.speedTimer = setTimeout(() => {
-        this.player.multiplier = 1
-        this.player.isBoosted = false
-        this.player.isSlowed = false
-        this.player.speedTimer = null
-        this.player.speedTimerEndTime = null
-      }, remainingTime + duration)
-      this.player.speedTimerEndTime = Date.now() + remainingTime + duration
-    } else if (!isBoost && this.player.isSlowed) {
-      // Slow while slowed: add duration
-      const remainingTime = this.player.speedTimerEndTime
-        ? Math.max(0, this.player.speedTimerEndTime - Date.now())
-        : 0
-      this.player.speedTimer = setTimeout(() => {
-        this.player.multiplier = 1
-        this.player.isBoosted = false
-        this.player.isSlowed = false
-        this.player.speedTimer = null
-        this.player.speedTimerEndTime = null
-      }, remainingTime + duration)
-      this.player.speedTimerEndTime = Date.now() + remainingTime + duration
-    } else {
-      // No existing effect: apply new effect
-      this.player.multiplier = isBoost ? StatsConfig.SpeedBoostMultiplier : 0.5
-      this.player.isBoosted = isBoost
-      this.player.isSlowed = !isBoost
-      this.player.speedTimer = setTimeout(() => {
-        this.player.multiplier = 1
-        this.player.isBoosted = false
-        this.player.isSlowed = false
-        this.player.speedTimer = null
-        this.player.speedTimerEndTime = null
-      }, duration)
-      this.player.speedTimerEndTime = Date.now() + duration
-    }
-
-    // Particles & sound
-    this.particles.spawn(
-      x + PhysicsConfig.TileSize / 2,
-      y + PhysicsConfig.TileSize / 2,
-      isBoost ? 'Flow State' : 'LAG...',
-      isBoost ? 'boost' : 'slow'
+  /**
+   * Formats the current value of a setting for its menu entry.
+   *
+   * - @private.
+   *
+   * @param {string} key  - Setting name.
+   * @returns {string}
+   */
+  _formatSetting(key) {
+    const value = this.settings.get(key)
+    if (key === 'muted') return value ? 'OFF' : 'ON'
+    if (typeof value === 'boolean') return value ? 'ON' : 'OFF'
+    if (typeof value === 'number') return `${Math.round(value * 100)}%`
+    return String(value).toUpperCase()
+  }
+
+  /**
+   * Switches the start or pause menu to another sub-view.
+   *
+   * - @private.
+   *
+   * @param {string} view  - A `MenuViews` value.
+   * @returns {void}
+   */
+  _openMenuView(view) {
+    this._menu = { view, selectedIndex: 0 }
+  }
+
+  /**
+   * Goes back one menu level: from a settings group to the overview, and from
+   * the overview to the main entries.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _closeMenuView() {
+    this._openMenuView(
+      SettingsPages[this._menu.view] ? MenuViews.SETTINGS : MenuViews.MAIN
     )
-    isBoost ? this.audio.playPowerUp() : this.audio.playDebuff()
   }
 
   /**
-   * Handles standard score/collectible items.
+   * Moves a setting entry's value left or right without wrapping around, or
+   * turns the codex page. Other menu entries ignore the keys.
+   *
+   * - @private.
+   *
+   * @param {string} id         - The selected menu item id.
+   * @param {number} direction  - `-1` for left, `1` for right.
+   * @returns {void}
+   */
+  _adjustMenuItem(id, direction) {
+    if (this._menu.view === MenuViews.CODEX) {
+      this._turnCodexPage(direction)
+      return
+    }
+    if (!id.startsWith(SETTING_ITEM_PREFIX)) return
+    this.settings.step(id.slice(SETTING_ITEM_PREFIX.length), direction, {
+      wrap: false
+    })
+  }
+
+  /**
+   * Shows the previous or next codex category, wrapping around at both ends.
    *
    * - @private.
    *
-   * @param {Object} item  - The collectible item object.
-   * @param {number} x     - World X position for particle effects.
-   * @param {number} y     - World Y position for particle effects.
+   * @param {number} direction  - `-1` for previous, `1` for next.
    * @returns {void}
    */
-  _handleScoreItem(item, x, y) {
-    this.stats.itemsCollected++
-    if (!this.collectedUniqueIds.has(item.id)) {
-      this.collectedUniqueIds.add(item.id)
-      this.hud.collectedIds.add(item.id)
-      this.hud.collectedPulseTimers.set(item.id, HudConfig.gridPulseDuration)
-      this.stats.uniqueFound = this.collectedUniqueIds.size
+  _turnCodexPage(direction) {
+    const count = this.codex.getPages().length
+    this._codexPage = (this._codexPage + direction + count) % count
+  }
+
+  /**
+   * Executes a menu entry from any screen.
+   *
+   * - @private.
+   *
+   * @param {string} id  - The menu item id.
+   * @returns {void}
+   */
+  _selectMenuItem(id) {
+    if (id.startsWith(SETTING_ITEM_PREFIX)) {
+      this.settings.step(id.slice(SETTING_ITEM_PREFIX.length))
+      return
+    }
+
+    switch (id) {
+      case 'play':
+        this.audio.initialize()
+        this._startNewRun(GameModes.CLASSIC)
+        break
+      case 'daily':
+        this.audio.initialize()
+        this._startNewRun(GameModes.DAILY)
+        break
+      case 'resume':
+        this.resume()
+        break
+      case 'continue':
+        this.audio.initialize()
+        this._resumeSavedRun()
+        break
+      case 'restart':
+        this._recordDailyResult(false)
+        this.audio.resume()
+        this._startNewRun()
+        break
+      case 'copy':
+        this._copyDailySummary()
+        break
+      case 'download':
+        this._downloadReplay()
+        break
+      case 'watch':
+        this.playReplay(this._replay.replay)
+        break
+      case 'settings':
+        this._openMenuView(MenuViews.SETTINGS)
+        break
+      case 'codex':
+        this._codexPage = 0
+        this._openMenuView(MenuViews.CODEX)
+        break
+      case 'codex-previous':
+        this._turnCodexPage(-1)
+        break
+      case 'codex-next':
+        this._turnCodexPage(1)
+        break
+      case MenuViews.ACHIEVEMENTS:
+      case MenuViews.AUDIO:
+      case MenuViews.DISPLAY:
+      case MenuViews.CONTROLS:
+        this._openMenuView(id)
+        break
+      case 'quit':
+        this._recordDailyResult(false)
+        // The quit run stays saved for RESUME, but is no longer in progress
+        this._ownsSave = false
+        this._stopReplay()
+        this.audio.stopMusic()
+        this.audio.resume()
+        this._transitionState(GameStates.START)
+        break
+      case 'fullscreen':
+        this._toggleFullscreen()
+        break
+      case 'back':
+        this._closeMenuView()
+        break
     }
-    this.particles.spawn(x, y, `+${item.score}`, 'score')
-    this.audio.playCollect()
   }
 
   /**
@@ -584,13 +1237,46 @@ export class GameEngine {
     this.hud.lastMessage = `${item.emoji} ${item.name}`
     this.hud.messageTimer = 3000
 
-    if (item.health < 0) this.hud.messageColor = ItemOutlineColors.hazard
-    else if (item.health > 0) this.hud.messageColor = ItemOutlineColors.heal
-    else if (item.isBoost) this.hud.messageColor = ItemOutlineColors.boost
-    else if (item.isSlow) this.hud.messageColor = ItemOutlineColors.slow
+    const colors = getOutlineColors(this.settings)
+    if (item.health < 0) this.hud.messageColor = colors.hazard
+    else if (item.health > 0) this.hud.messageColor = colors.heal
+    else if (item.isBoost) this.hud.messageColor = colors.boost
+    else if (item.isSlow) this.hud.messageColor = colors.slow
     else this.hud.messageColor = Colors.Warning
   }
 
+  /**
+   * Queues a HUD toast for every newly unlocked achievement and remembers them
+   * for the end screen.
+   *
+   * - @private.
+   *
+   * @param {import('./achievements.js').Achievement[]} achievements
+   * - Achievements unlocked this tick.
+   * @returns {void}
+   */
+  _showUnlocks(achievements) {
+    for (const achievement of achievements) {
+      this.hud.toasts.push({ achievement, timer: HudConfig.toastDuration })
+      this._runAchievements.push(achievement)
+    }
+  }
+
+  /**
+   * Counts down the toast on screen and moves on to the next one.
+   *
+   * - @private.
+   *
+   * @param {number} dt  - Delta time in milliseconds.
+   * @returns {void}
+   */
+  _updateToasts(dt) {
+    const toast = this.hud.toasts[0]
+    if (!toast) return
+    toast.timer -= dt
+    if (toast.timer <= 0) this.hud.toasts.shift()
+  }
+
   /**
    * Ticks down the pulse timers used by the cache dump inventory grid.
    *
@@ -612,25 +1298,176 @@ export class GameEngine {
   }
 
   /**
-   * Verifies win/loss conditions and transitions state if necessary.
+   * Finishes the run on the victory or game over screen.
    *
    * - @private.
    *
+   * @param {boolean} isVictory  - Whether the final level was cleared.
    * @returns {void}
    */
-  _checkGameStateTransitions() {
-    if (this.stats.playerHealth <= 0) {
+  _endRun(isVictory) {
+    if (isVictory) {
+      this._transitionState(GameStates.VICTORY)
+      this.audio.playPowerUp()
+    } else {
       this._transitionState(GameStates.GAMEOVER)
       this.audio.stopMusic()
       this.audio.playDamage()
-    } else if (this.collectedUniqueIds.size >= TARGET_ITEMS.length) {
-      if (this.stats.level < 5) {
-        this._advanceLevel()
-      } else {
-        this._transitionState(GameStates.VICTORY)
-        this.audio.playPowerUp()
-      }
     }
+    this._recordDailyResult(isVictory)
+    this._recordHighScore()
+    if (this._ownsSave) this._clearSavedRun()
+    this._recording?.finish({
+      score: this.stats.score,
+      level: this.stats.level,
+      victory: isVictory
+    })
+    // Keep the replay around for "watch again", but give the keyboard back
+    this.cheats.enabled = true
+  }
+
+  /**
+   * Builds the daily result summary and, for the day's scored attempt, stores
+   * it. Runs abandoned from the pause menu count as a loss. Does nothing
+   * outside daily mode or once the run has already been recorded.
+   *
+   * - @private.
+   *
+   * @param {boolean} isVictory  - Whether the final level was cleared.
+   * @returns {void}
+   */
+  _recordDailyResult(isVictory) {
+    const run = this._dailyRun
+    if (!run || run.summary) return
+
+    const result = {
+      level: this.stats.level,
+      score: this.stats.score,
+      duration: Math.round(this.stats.elapsed),
+      victory: isVictory,
+      levels: [...this.stats.levelHistory, this.collectedUniqueIds.size]
+    }
+    run.summary = formatDailySummary(run.dateKey, result)
+    if (run.scored) this.daily.recordAttempt(run.dateKey, result)
+  }
+
+  /**
+   * Saves the current classic run so it can be resumed in a later session.
+   * Daily attempts stay single-shot and played back replays are not runs of
+   * their own, so neither is saved.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _saveRun() {
+    if (this.mode !== GameModes.CLASSIC || this._replay) return
+    if (this.simulation.isFinished) return
+
+    const run = {
+      simulation: this.simulation.createSnapshot(),
+      hud: { collectedIds: [...this.hud.collectedIds] }
+    }
+    if (this.saves.save(run)) {
+      this._savedRun = run
+      this._ownsSave = true
+    }
+  }
+
+  /**
+   * Forgets the saved run once it is finished or abandoned with REBOOT.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _clearSavedRun() {
+    this._savedRun = null
+    this._ownsSave = false
+    this.saves.clear()
+  }
+
+  /**
+   * Continues the saved run where it was left. Saves that no longer restore are
+   * dropped. Resumed runs have no recording, since their input from before the
+   * save is gone.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _resumeSavedRun() {
+    const saved = this.saves.load()
+    try {
+      if (!saved) throw new Error('Save: nothing to resume')
+      this.simulation.restoreSnapshot(saved.simulation)
+    } catch (error) {
+      console.warn(error.message)
+      this._clearSavedRun()
+      this._openMenuView(MenuViews.MAIN)
+      return
+    }
+
+    this.mode = GameModes.CLASSIC
+    this._ownsSave = true
+    this._dailyRun = null
+    this._highScoreResult = null
+    this._recording = null
+    this._stopReplay()
+
+    this.achievements.startRun(this.stats)
+    this._runAchievements = []
+    this.clickToMove.cancel()
+    this.hud = this._createInitialHud()
+    saved.hud.collectedIds.forEach(id => this.hud.collectedIds.add(id))
+    this.particles.reset(this.runSeed)
+    this._snapCameraTo(this.player)
+
+    this.audio.resume()
+    this.audio.startMusic(this.stats.level)
+    this._transitionState(GameStates.PLAYING)
+  }
+
+  /**
+   * Adds the finished run to the high-score table. Played back replays are not
+   * new runs and are left out.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _recordHighScore() {
+    if (this._replay) return
+
+    this._highScoreResult = this.highScores.submit({
+      score: this.stats.score,
+      level: this.stats.level,
+      duration: Math.round(this.stats.elapsed),
+      seed: this.runSeed,
+      date: new Date().toISOString()
+    })
+  }
+
+  /**
+   * Copies the daily result summary to the clipboard.
+   *
+   * - @private.
+   *
+   * @returns {void}
+   */
+  _copyDailySummary() {
+    const run = this._dailyRun
+    const clipboard = this.window.navigator?.clipboard
+    if (!run?.summary || !clipboard) return
+
+    clipboard
+      .writeText(run.summary)
+      .then(() => {
+        run.copied = true
+      })
+      .catch(() => {
+        // Clipboard permission denied; nothing else to fall back to
+      })
   }
 
   /**
@@ -643,79 +1480,52 @@ export class GameEngine {
    */
   _transitionState(newState) {
     this.state = newState
+    this._menu = { view: MenuViews.MAIN, selectedIndex: 0 }
 
     // Show/hide gamepad based on game state
     if (this.input && this.input._gamepad) {
       if (newState === GameStates.PLAYING) {
         this.input._gamepad.show()
       } else {
-        // Hide on START, GAMEOVER, VICTORY
+        // Hide on START, PAUSED, GAMEOVER, VICTORY
         this.input._gamepad.hide()
       }
     }
   }
 
   /**
-   * Resets the world, player, and stats for a new game session.
+   * Resets the world, player, and stats for a new game session. Picks a new run
+   * seed unless one was pinned through the URL.
    *
-   * - @returns {void}
-   */
-  resetGame() {
-    this.stats = this._createInitialStats()
-    this.hud = this._createInitialHud()
-    this.collectedUniqueIds.clear()
-    // Reset world with level 1 to regenerate map and items
-    this.world.reset(this.stats.level)
-
-    const spawn = this.world.findSpawn()
-    this.player.reset(spawn)
-
-    this.camera.x = spawn.x - this.window.innerWidth / 2
-    this.camera.y = spawn.y - this.window.innerHeight / 2
-  }
-
-  /**
-   * Advances to the next level, resetting the world but keeping stats.
+   * - @param {number} [seed] - Run seed to use. Default is the URL seed, or a
+   * fresh random seed.
    *
-   * @access private
+   * @returns {void}
    */
-  _advanceLevel() {
-    this.stats.level++
-    // Reset world with new level to regenerate map and items
-    this.world.reset(this.stats.level)
-    this.collectedUniqueIds.clear()
-    this.hud.collectedIds.clear()
-    this.hud.collectedPulseTimers.clear()
-
-    // Fully restore health on level up
-    this.stats.playerHealth = StatsConfig.MaxHealth
-
-    const spawn = this.world.findSpawn()
-    this.player.reset(spawn)
-    this.camera.x = spawn.x - this.window.innerWidth / 2
-    this.camera.y = spawn.y - this.window.innerHeight / 2
-
-    // Change music to match new level
-    this.audio.changeMusicForLevel(this.stats.level)
-
-    this.particles.spawn(spawn.x, spawn.y, `LEVEL ${this.stats.level}`, 'boost')
-    this.audio.playPowerUp()
+  resetGame(seed = this._urlSeed ?? generateSeed()) {
+    this.simulation.reset(seed)
+    this.achievements.startRun(this.stats)
+    this._runAchievements = []
+    this.clickToMove.cancel()
+    this.hud = this._createInitialHud()
+    this.particles.reset(this.runSeed)
+    this._snapCameraTo(this.player)
   }
 
   /**
-   * Generates the default statistics object.
+   * Builds the minimap data passed to the HUD, or `null` while it is hidden.
    *
    * - @private.
    *
-   * @returns {Object} A fresh stats object with default values.
+   * @returns {Object | null}
    */
-  _createInitialStats() {
+  _getMinimap() {
+    if (!this.minimapVisible) return null
     return {
-      score: 0,
-      itemsCollected: 0,
-      uniqueFound: 0,
-      playerHealth: StatsConfig.MaxHealth,
-      level: 1
+      world: this.world,
+      center: this.simulation.getPlayerTile(),
+      collectedIds: this.collectedUniqueIds,
+      explored: this.stats.explored
     }
   }
 
@@ -732,7 +1542,9 @@ export class GameEngine {
       messageColor: '#fff',
       messageTimer: 0,
       collectedIds: new Set(),
-      collectedPulseTimers: new Map()
+      collectedPulseTimers: new Map(),
+      // Achievement unlocks waiting to be shown, oldest first
+      toasts: []
     }
   }
 
@@ -818,90 +1630,155 @@ export class GameEngine {
     }
   }
 
-  _activateJumpCheat() {
-    // Mark all target items as collected
-    TARGET_ITEMS.forEach(item => {
-      this.collectedUniqueIds.add(item.id)
-      this.hud.collectedIds.add(item.id)
-    })
-    // Immediately check and advance level if needed
-    if (this.collectedUniqueIds.size >= TARGET_ITEMS.length) {
-      if (this.stats.level < 5) {
-        this._advanceLevel()
-      } else {
-        this._transitionState(GameStates.VICTORY)
-        this.audio.playPowerUp()
+  /**
+   * Runs the gameplay side of a cheat code and plays its feedback. Cheats typed
+   * outside of a run have no effect.
+   *
+   * - @private.
+   *
+   * @param {string} code  - The activated cheat code.
+   * @returns {void}
+   */
+  _applyCheat(code) {
+    if (this.state !== GameStates.PLAYING && this.state !== GameStates.PAUSED) {
+      return
+    }
+    this._handleSimulationEvents(this.simulation.applyCheat(code))
+  }
+
+  /**
+   * Counts the tick's item pickups in the codex.
+   *
+   * - @private.
+   *
+   * @param {{ type: string }[]} events  - Events from the simulation.
+   * @returns {void}
+   */
+  _recordPickups(events) {
+    for (const event of events) {
+      if (event.type === SimulationEvents.ITEM_COLLECTED) {
+        this.codex.record(event.item)
       }
     }
   }
 
   /**
-   * Activates the flowstate cheat (boost effect).
+   * Turns simulation events into sound, particles, HUD updates and state
+   * transitions.
+   *
+   * - @private.
    *
+   * @param {{ type: string }[]} events  - Events from the simulation.
    * @returns {void}
-   * @access private
    */
-  _activateFlowStateCheat() {
-    // Apply boost effect
-    this.player.multiplier = StatsConfig.SpeedBoostMultiplier
-    this.player.isBoosted = true
-    this.player.isSlowed = false
-
-    // Clear any existing timer
-    if (this.player.speedTimer) {
-      clearTimeout(this.player.speedTimer)
-      this.player.speedTimer = null
-    }
-
-    // Reset multiplier + visual flags when duration ends
-    this.player.speedTimer = setTimeout(() => {
-      this.player.multiplier = 1
-      this.player.isBoosted = false
-      this.player.isSlowed = false
-      this.player.speedTimer = null
-    }, StatsConfig.SpeedBoostDuration)
-
-    // Particles & sound at player position
-    const playerCenterX =
-      this.player.x + (SpriteConfig.Width * SpriteConfig.Scale) / 2
-    const playerCenterY =
-      this.player.y + (SpriteConfig.Height * SpriteConfig.Scale) / 2
-    this.particles.spawn(playerCenterX, playerCenterY, 'Flow State', 'boost')
+  _handleSimulationEvents(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case SimulationEvents.ITEM_COLLECTED:
+          this._updateHudMessage(event.item)
+          break
+        case SimulationEvents.FRAGMENT_COLLECTED:
+          if (event.isNew) {
+            this.hud.collectedIds.add(event.item.id)
+            this.hud.collectedPulseTimers.set(
+              event.item.id,
+              HudConfig.gridPulseDuration
+            )
+          }
+          this.particles.spawn(
+            event.x,
+            event.y,
+            `+${event.item.score}`,
+            'score'
+          )
+          this.audio.playCollect()
+          break
+        case SimulationEvents.HEAL:
+        case SimulationEvents.DAMAGE: {
+          const isHeal = event.type === SimulationEvents.HEAL
+          this.particles.spawn(
+            event.x,
+            event.y,
+            `${isHeal ? '+' : ''}${event.amount}KB`,
+            isHeal ? 'heal' : 'damage'
+          )
+          if (isHeal) {
+            this.audio.playHealth()
+          } else {
+            this.audio.playDamage()
+            this.renderer.shake(ShakeConfig.Damage)
+          }
+          break
+        }
+        case SimulationEvents.IMMUNE:
+          this.particles.spawn(event.x, event.y, '🛡️ IMMUNE', 'boost')
+          this.audio.playPowerUp() // Positive sound for immunity
+          break
+        case SimulationEvents.EFFECT: {
+          const isBoost = event.effect === StatusEffectTypes.BOOST
+          this.particles.spawn(
+            event.x,
+            event.y,
+            isBoost ? 'Flow State' : 'LAG...',
+            isBoost ? 'boost' : 'slow'
+          )
+          isBoost ? this.audio.playPowerUp() : this.audio.playDebuff()
+          break
+        }
+        case SimulationEvents.COMPASS_UNLOCKED:
+          this.particles.spawn(event.x, event.y, '🧭 COMPASS ONLINE', 'boost')
+          this.audio.playPowerUp()
+          break
+        case SimulationEvents.LEVEL_ADVANCED:
+          this._onLevelAdvanced(event.level, event.spawn)
+          break
+        case SimulationEvents.GAME_OVER:
+          this._endRun(false)
+          break
+        case SimulationEvents.VICTORY:
+          this._endRun(true)
+          break
+      }
+    }
+  }
+
+  /**
+   * Resets level-scoped presentation (HUD inventory, camera, music) after the
+   * simulation moved on to a new level.
+   *
+   * - @private.
+   *
+   * @param {number} level
+   * - The new level.
+   * @param {{ x: number; y: number }} spawn
+   * - Player spawn in the new world.
+   * @returns {void}
+   */
+  _onLevelAdvanced(level, spawn) {
+    this.clickToMove.cancel()
+    this.hud.collectedIds.clear()
+    this.hud.collectedPulseTimers.clear()
+    this._snapCameraTo(spawn)
+
+    // Change music to match new level
+    this.audio.changeMusicForLevel(level)
+
+    this.particles.spawn(spawn.x, spawn.y, `LEVEL ${level}`, 'boost')
     this.audio.playPowerUp()
   }
 
   /**
-   * Activates the lag cheat (slow effect).
+   * Centers the camera on a world position without smoothing.
    *
+   * - @private.
+   *
+   * @param {{ x: number; y: number }} pos  - World position.
    * @returns {void}
-   * @access private
    */
-  _activateLagCheat() {
-    // Apply slow effect
-    this.player.multiplier = 0.5
-    this.player.isBoosted = false
-    this.player.isSlowed = true
-
-    // Clear any existing timer
-    if (this.player.speedTimer) {
-      clearTimeout(this.player.speedTimer)
-      this.player.speedTimer = null
-    }
-
-    // Reset multiplier + visual flags when duration ends
-    this.player.speedTimer = setTimeout(() => {
-      this.player.multiplier = 1
-      this.player.isBoosted = false
-      this.player.isSlowed = false
-      this.player.speedTimer = null
-    }, StatsConfig.SpeedBoostDuration)
-
-    // Particles & sound at player position
-    const playerCenterX =
-      this.player.x + (SpriteConfig.Width * SpriteConfig.Scale) / 2
-    const playerCenterY =
-      this.player.y + (SpriteConfig.Height * SpriteConfig.Scale) / 2
-    this.particles.spawn(playerCenterX, playerCenterY, 'LAG...', 'slow')
-    this.audio.playDebuff()
+  _snapCameraTo(pos) {
+    this.camera.snapTo(
+      pos.x - this.window.innerWidth / 2,
+      pos.y - this.window.innerHeight / 2
+    )
   }
 }
@@ -0,0 +1,111 @@
+import { HighScoreConfig } from '../config/index.js'
+import { readJson, resolveStorage, writeJson } from './storage.js'
+
+/**
+ * Storage key for the high-score table.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:high-scores'
+
+/**
+ * @typedef {Object} HighScoreEntry
+ * @property {number} score     - Final score.
+ * @property {number} level     - Highest level reached.
+ * @property {number} duration  - Run length in milliseconds of game time.
+ * @property {number} seed      - Run seed, so the run can be replayed.
+ * @property {string} date      - When the run ended, as an ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} HighScoreResult
+ * @property {number | null} rank            - 1-based table position of the
+ *                                           submitted run, or null when it did
+ *                                           not make the table.
+ * @property {boolean}       isPersonalBest  - Whether the run beat every
+ *                                           earlier score.
+ */
+
+/**
+ * Keeps the best finished runs across sessions, highest score first. Runs
+ * with equal scores keep the order they were played in.
+ */
+export class HighScoreTable {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for the table. Default is `localStorage` when
+   * available, in-memory storage otherwise.
+   * @param {number} [options.size=HighScoreConfig.Size]
+   * - How many runs are kept. Default is `HighScoreConfig.Size`
+   */
+  constructor({
+    storage = resolveStorage(),
+    size = HighScoreConfig.Size
+  } = {}) {
+    this._storage = storage
+    this._size = size
+    const stored = readJson(storage, STORAGE_KEY, [])
+
+    /**
+     * Stored runs, read once and kept in sync with every write.
+     *
+     * @type {HighScoreEntry[]}
+     */
+    this._entries = Array.isArray(stored) ? stored.slice(0, size) : []
+  }
+
+  /**
+   * The stored runs, best first.
+   *
+   * @returns {ReadonlyArray<HighScoreEntry>}
+   */
+  get entries() {
+    return this._entries
+  }
+
+  /**
+   * The best stored score, or null when no run has been recorded.
+   *
+   * @returns {number | null}
+   */
+  get bestScore() {
+    return this.entries[0]?.score ?? null
+  }
+
+  /**
+   * Records a finished run.
+   *
+   * @param {HighScoreEntry} entry  - The finished run.
+   * @returns {HighScoreResult}
+   */
+  submit(entry) {
+    const best = this.bestScore
+    const index = this._entries.findIndex(other => other.score < entry.score)
+    const position = index === -1 ? this._entries.length : index
+    const isPersonalBest =
+      entry.score > 0 && (best === null || entry.score > best)
+
+    if (position >= this._size) return { rank: null, isPersonalBest }
+
+    this._entries = [
+      ...this._entries.slice(0, position),
+      { ...entry },
+      ...this._entries.slice(position)
+    ].slice(0, this._size)
+    writeJson(this._storage, STORAGE_KEY, this._entries)
+    return { rank: position + 1, isPersonalBest }
+  }
+
+  /**
+   * Forgets every stored run.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._entries = []
+    writeJson(this._storage, STORAGE_KEY, [])
+  }
+}
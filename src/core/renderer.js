@@ -1,4 +1,4 @@
-import { clamp } from '../utils/math.js'
+import { clamp, createSeededRandom } from '../utils/math.js'
 import {
   Colors,
   Fonts,
@@ -8,19 +8,65 @@ import {
   TileTypes,
   SpriteConfig,
   ParticleConfig,
-  ItemOutlineColors,
   LevelThemes,
   CollisionConfig,
   PlayerVisualConfig,
-  Directions
+  Directions,
+  MenuConfig,
+  RouteConfig,
+  ShakeConfig,
+  TileCacheConfig,
+  HighScoreTableConfig,
+  AchievementListConfig,
+  CodexListConfig
 } from '../config/index.js'
 import { HudRenderer } from './ui/hud.js'
+import { MenuRenderer } from './ui/menu.js'
+import { TileChunkCache } from './ui/tile-chunks.js'
+import { FogOverlay } from './ui/fog.js'
+import { FOOTPRINT_OFFSET } from '../world/pathfinder.js'
 import { defaultDocument, defaultWindow } from '../utils/environment.js'
+import { formatDuration } from '../utils/format.js'
+import { getOutlineColors } from './settings.js'
+import { describeItemEffect } from './codex.js'
+
+/**
+ * @typedef {Object} ListRow
+ * @property {string | HTMLCanvasElement} icon
+ * - Emoji, or a pre-rendered image `1.25 * iconSize` pixels wide.
+ * @property {string} title
+ * - Bold first line.
+ * @property {string} titleColor
+ * - Color of the first line.
+ * @property {string} detail
+ * - Smaller second line.
+ * @property {string} aside
+ * - Right-aligned text.
+ * @property {boolean} dimmed
+ * - Draw the row faded (locked or undiscovered).
+ */
 
 /** Manages transient floating text particles shown during gameplay events. */
 export class FloatingTextSystem {
-  constructor() {
+  /**
+   * @param {Object} [options={}]      - Configuration options. Default is `{}`
+   * @param {number} [options.seed=0]  - Seed for the particle drift randomness.
+   *                                   Default is `0`
+   */
+  constructor({ seed = 0 } = {}) {
     this._particles = []
+    this._random = createSeededRandom(seed)
+  }
+
+  /**
+   * Removes all particles and reseeds the drift randomness for a new run.
+   *
+   * @param {number} seed  - The new seed.
+   * @returns {void}
+   */
+  reset(seed) {
+    this._particles = []
+    this._random = createSeededRandom(seed)
   }
 
   /**
@@ -39,8 +85,9 @@ export class FloatingTextSystem {
       text,
       type,
       life: ParticleConfig.Life.Default,
+      age: 0,
       velocity: {
-        x: (Math.random() - 0.5) * 0.5,
+        x: (this._random() - 0.5) * 0.5,
         y: type === 'slow' ? -0.2 : -1.0
       }
     })
@@ -64,6 +111,7 @@ export class FloatingTextSystem {
           : ParticleConfig.Decay.Default
 
       p.life -= dt * decayRate
+      p.age += deltaTime
       // Make movement frame-rate independent and slower for boost particles
       const speedMultiplier = p.type === 'boost' ? 0.3 : 1.0
       p.x += p.velocity.x * dt * speedMultiplier
@@ -71,7 +119,7 @@ export class FloatingTextSystem {
 
       // Apply specific physics based on type
       if (p.type === 'damage') {
-        p.x += Math.sin(Date.now() / ParticleConfig.WobbleSpeed) * 1
+        p.x += Math.sin(p.age / ParticleConfig.WobbleSpeed) * 1
       }
       if (p.type === 'boost') {
         p.velocity.y -= ParticleConfig.Gravity * dt
@@ -106,11 +154,15 @@ export class Renderer {
    * - Alternative window reference (defaults to `defaultWindow`).
    * @param {Document} [options.documentRef]
    * - Alternative document reference (defaults to `defaultDocument`).
+   * @param {import('./settings.js').SettingsStore} [options.settings]
+   * - Source of the HUD scale, palette, screen shake and reduced motion
+   * preferences, read every frame (defaults to the built-in defaults).
    */
   constructor(canvas, options = {}) {
     this._canvas = canvas
     this._window = options.windowRef || defaultWindow
     this._document = options.documentRef || defaultDocument
+    this._settings = options.settings ?? null
 
     // Optimize context for 2D pixel art (alpha: false if background is opaque)
     this._ctx = canvas.getContext('2d', {
@@ -122,7 +174,40 @@ export class Renderer {
     this._sheet = new Image()
     this._sheet.src = SpriteConfig.Source
 
-    this._hudRenderer = new HudRenderer(this._ctx)
+    const createCanvas = this._createOffscreenCanvas.bind(this)
+    this._hudRenderer = new HudRenderer(this._ctx, {
+      createCanvas,
+      settings: this._settings
+    })
+    this._menuRenderer = new MenuRenderer(this._ctx)
+    this._tileChunks = new TileChunkCache({
+      createCanvas,
+      paintTile: (ctx, world, tx, ty, x, y, theme) =>
+        this._drawTile(ctx, world, tx, ty, x, y, theme)
+    })
+    this._fog = new FogOverlay({ createCanvas })
+
+    // Cached map chunks bake in item outline colors; redraw them for a new
+    // palette
+    this._unsubscribe =
+      this._settings?.subscribe((values, key) => {
+        if (key === 'palette') this._tileChunks.invalidate()
+      }) ?? null
+
+    // Draw handlers by `renderable.type`; see `registerEntityDrawer`
+    this._entityDrawers = new Map([
+      ['player', (ctx, player, view) => this._drawPlayer(player, view)],
+      ['emoji', (ctx, entity, view) => this._drawEmojiEntity(ctx, entity, view)]
+    ])
+
+    // Undiscovered codex item cutouts; see `_getSilhouette`
+    this._silhouettes = new Map()
+
+    // Smoothed timings shown by the `frametime` debug cheat
+    this._frameStats = { lastFrame: 0, frameMs: 0, worldMs: 0 }
+
+    // Screen shake trauma (0-1) and when it last decayed
+    this._shake = { trauma: 0, lastTime: 0 }
 
     // Bind resize handler
     this._boundResize = this._resize.bind(this)
@@ -161,11 +246,12 @@ export class Renderer {
   }
 
   /**
-   * Cleans up DOM listeners to prevent memory leaks.
+   * Cleans up DOM and settings listeners to prevent memory leaks.
    *
    * @returns {void}
    */
   dispose() {
+    this._unsubscribe?.()
     this._window.removeEventListener('resize', this._boundResize)
     if (this._boundFullscreenChange) {
       this._document.removeEventListener(
@@ -270,6 +356,27 @@ export class Renderer {
     return this._hudRenderer.getMuteButtonRect()
   }
 
+  /**
+   * Returns the bounding rect of the settings button for input handling.
+   *
+   * @returns {{ x: number; y: number; w: number; h: number }}
+   */
+  getSettingsButtonRect() {
+    return this._hudRenderer.getSettingsButtonRect()
+  }
+
+  /**
+   * Adds screen shake, e.g. when the player is hit. Ignored while screen shake
+   * is off or reduced motion is on.
+   *
+   * @param {number} amount  - Trauma to add (0-1).
+   * @returns {void}
+   */
+  shake(amount) {
+    if (!this._isShakeEnabled()) return
+    this._shake.trauma = Math.min(1, this._shake.trauma + amount)
+  }
+
   /**
    * Returns the bounding rect of the fullscreen button for input handling.
    *
@@ -279,18 +386,48 @@ export class Renderer {
     return this._hudRenderer.getFullscreenButtonRect()
   }
 
+  /**
+   * Returns the bounding rect of the pause button for input handling.
+   *
+   * @returns {{ x: number; y: number; w: number; h: number }}
+   */
+  getPauseButtonRect() {
+    return this._hudRenderer.getPauseButtonRect()
+  }
+
+  /**
+   * Returns the id of the menu item under a canvas point, based on the last
+   * rendered menu.
+   *
+   * @param {number} x  - Canvas X coordinate.
+   * @param {number} y  - Canvas Y coordinate.
+   * @returns {string | null}
+   */
+  getMenuItemAt(x, y) {
+    return this._menuRenderer.getItemAt(x, y)
+  }
+
   /**
    * Renders the main gameplay loop (World, Entities, HUD).
    *
-   * @param {World}              world      - The game world instance.
-   * @param {Player}             player     - The player instance.
-   * @param {Camera}             camera     - The camera instance.
-   * @param {FloatingTextSystem} particles  - The particle system.
-   * @param {Object}             stats      - Current game statistics.
-   * @param {Object}             hud        - Current HUD state.
-   * @param {boolean}            isMuted    - Audio mute state.
-   * @param {number}             level      - Current level.
-   * @param {CheatCodeHandler}   cheats     - Cheat code handler instance.
+   * @param {World}              world       - The game world instance.
+   * @param {Player}             player      - The player instance.
+   * @param {Camera}             camera      - The camera instance.
+   * @param {FloatingTextSystem} particles   - The particle system.
+   * @param {Object}             stats       - Current game statistics.
+   * @param {Object}             hud         - Current HUD state.
+   * @param {boolean}            isMuted     - Audio mute state.
+   * @param {number}             level       - Current level.
+   * @param {CheatCodeHandler}   cheats      - Cheat code handler instance.
+   * @param {Object | null}      [minimap]   - Minimap data for the HUD, or
+   *                                         `null` when it is hidden.
+   * @param {Object | null}      [compass]   - Compass target `{ item, tx, ty,
+   *                                         distance }`, or `null` when the
+   *                                         compass is locked or done.
+   * @param {Object[] | null}    [route]     - Remaining click-to-move waypoint
+   *                                         tiles, or `null` without a route.
+   * @param {Iterable<Object>}   [entities]  - Entities of the level, drawn with
+   *                                         the player sorted by Y.
    * @returns {void}
    */
   renderGame(
@@ -302,7 +439,11 @@ export class Renderer {
     hud,
     isMuted,
     level,
-    cheats
+    cheats,
+    minimap = null,
+    compass = null,
+    route = null,
+    entities = []
   ) {
     const width = this._canvas.width
     const height = this._canvas.height
@@ -317,24 +458,27 @@ export class Renderer {
     )
     const theme = LevelThemes[themeIndex]
 
+    // Draw from the interpolated camera position so scrolling stays smooth
+    // between fixed simulation ticks
+    const shake = this._updateShake()
+    const view = { x: camera.renderX + shake.x, y: camera.renderY + shake.y }
+
+    // The `rawtiles` cheat bypasses the chunk cache to compare frame times
+    const rawTiles = !!cheats && cheats.isActive('rawtiles')
+    const worldStart = performance.now()
     this._drawBackground(width, height, theme)
-    this._drawWorld(world, camera, width, height, theme)
-    this._drawPlayer(player, camera)
+    this._drawWorld(world, view, width, height, theme, rawTiles)
+    this._updateFrameStats(worldStart, performance.now())
+    if (route && route.length > 0) this._drawRoute(route, player, view)
+    this._drawEntities(world, entities, player, view)
     if (cheats && cheats.isActive('hitbox')) {
-      this._drawCollisionBox(player, camera)
-      this._drawItemHitboxes(world, camera, width, height)
+      this._drawCollisionBox(player, view)
+      this._drawItemHitboxes(world, view, width, height)
+      this._drawEntityHitboxes(entities, view)
     }
-    this._renderParticles(particles, camera)
+    this._renderParticles(particles, view)
 
-    // Calculate HUD scale factor
-    // On mobile, scale HUD down more aggressively to show more world
-    let hudScale = this.scaleFactor
-    if (width < 768) {
-      // Scale HUD down more on mobile: 0.35x at 320px, 0.45x at 640px, 0.55x at 768px
-      // This makes the HUD smaller to maximize world visibility
-      hudScale = 0.35 + ((width - 320) / (768 - 320)) * 0.2 // 0.35x to 0.55x
-      hudScale = Math.max(0.35, Math.min(0.55, hudScale))
-    }
+    const hudScale = this._getHudScale(width)
 
     this._hudRenderer.render(
       stats,
@@ -343,25 +487,307 @@ export class Renderer {
       width,
       height,
       hudScale,
-      currentLevel
+      currentLevel,
+      player.effects.list(),
+      minimap,
+      compass && this._getCompassView(compass, player, view)
+    )
+
+    if (cheats && cheats.isActive('frametime')) {
+      this._drawFrameStats(rawTiles, hudScale)
+    }
+  }
+
+  /**
+   * Registers how entities with a given `renderable.type` are drawn, so new
+   * kinds of entities can be added without touching the render loop.
+   *
+   * @param {string} type
+   * - The renderable type.
+   * @param {function(CanvasRenderingContext2D, Object, Object): void} draw
+   * - Draws an entity given the context, the entity and the camera view.
+   * @returns {void}
+   */
+  registerEntityDrawer(type, draw) {
+    this._entityDrawers.set(type, draw)
+  }
+
+  /**
+   * Draws the player and every renderable entity back to front by their sort Y.
+   * Entities outside the player's sight stay hidden unless their renderable
+   * opts out.
+   *
+   * @access private
+   */
+  _drawEntities(world, entities, player, view) {
+    const ts = PhysicsConfig.TileSize
+    const drawables = [player]
+    for (const entity of entities) {
+      if (!entity.renderable) continue
+      const tx = Math.floor(entity.renderX / ts)
+      const ty = Math.floor(entity.renderY / ts)
+      if (entity.renderable.showInFog || world.exploration.isVisible(tx, ty)) {
+        drawables.push(entity)
+      }
+    }
+    drawables.sort((a, b) => a.getSortY() - b.getSortY())
+
+    for (const entity of drawables) {
+      const draw = this._entityDrawers.get(entity.renderable.type)
+      if (draw) draw(this._ctx, entity, view)
+    }
+  }
+
+  /**
+   * Draws an `emoji` renderable (`{ emoji, size, outline, bobSpeed, badge }`)
+   * centered on the entity with a drop shadow, bobbing in place and with an
+   * optional badge above it.
+   *
+   * @access private
+   */
+  _drawEmojiEntity(ctx, entity, view) {
+    const { emoji, size = 32, outline, bobSpeed = 0, badge } = entity.renderable
+    const x = entity.renderX - view.x
+    const y = entity.renderY - view.y
+    const bob = this._settings?.get('reducedMotion')
+      ? 0
+      : Math.sin((performance.now() / 1000) * bobSpeed) * 2
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)'
+    ctx.beginPath()
+    ctx.ellipse(x, y + size / 2, size * 0.4, size * 0.15, 0, 0, Math.PI * 2)
+    ctx.fill()
+
+    ctx.font = `${size}px sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    if (outline) {
+      this._drawEmojiOutline(
+        ctx,
+        emoji,
+        x,
+        y + bob,
+        getOutlineColors(this._settings)[outline] ?? outline,
+        2.5
+      )
+    }
+    ctx.fillStyle = Colors.ItemFill
+    ctx.fillText(emoji, x, y + bob)
+
+    if (badge) {
+      ctx.font = `700 20px ${Fonts.Primary}`
+      ctx.fillStyle = Colors.Danger
+      ctx.fillText(badge, x, y - size * 0.85 + bob)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Outlines entity colliders for the `hitbox` cheat.
+   *
+   * @access private
+   */
+  _drawEntityHitboxes(entities, view) {
+    const ctx = this._ctx
+    ctx.save()
+    ctx.strokeStyle = 'rgba(255, 140, 0, 0.7)'
+    ctx.lineWidth = 2
+    ctx.setLineDash([6, 3])
+    for (const entity of entities) {
+      if (!entity.collider) continue
+      const box = entity.getHitbox(true)
+      ctx.strokeRect(
+        box.left - view.x,
+        box.top - view.y,
+        box.right - box.left,
+        box.bottom - box.top
+      )
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Draws the click-to-move route as a dashed line from the player's feet
+   * through the remaining waypoints, with a ring on the target tile.
+   *
+   * @access private
+   */
+  _drawRoute(route, player, view) {
+    const ctx = this._ctx
+    const ts = PhysicsConfig.TileSize
+    const toScreen = ({ x, y }) => ({
+      x: (x + 0.5) * ts - view.x,
+      y: (y + 0.5) * ts - view.y
+    })
+    const target = toScreen(route[route.length - 1])
+
+    ctx.save()
+    ctx.strokeStyle = RouteConfig.LineColor
+    ctx.lineWidth = RouteConfig.LineWidth
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.setLineDash(RouteConfig.LineDash)
+    ctx.beginPath()
+    ctx.moveTo(
+      player.renderX + FOOTPRINT_OFFSET.x - view.x,
+      player.renderY + FOOTPRINT_OFFSET.y - view.y
+    )
+    for (const waypoint of route) {
+      const point = toScreen(waypoint)
+      ctx.lineTo(point.x, point.y)
+    }
+    ctx.stroke()
+
+    ctx.setLineDash([])
+    ctx.beginPath()
+    ctx.arc(target.x, target.y, RouteConfig.MarkerRadius, 0, Math.PI * 2)
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Converts a compass target from tiles to canvas coordinates, along with the
+   * player center the compass points from.
+   *
+   * @access private
+   */
+  _getCompassView({ item, tx, ty, distance }, player, view) {
+    const ts = PhysicsConfig.TileSize
+    return {
+      item,
+      distance,
+      fromX:
+        player.renderX - view.x + (SpriteConfig.Width * SpriteConfig.Scale) / 2,
+      fromY:
+        player.renderY -
+        view.y +
+        (SpriteConfig.Height * SpriteConfig.Scale) / 2,
+      x: (tx + 0.5) * ts - view.x,
+      y: (ty + 0.5) * ts - view.y
+    }
+  }
+
+  /**
+   * Dims the current frame and draws the pause menu over it.
+   *
+   * @param {Object} menu  - Menu description ({ title, subtitle, items,
+   *                       selectedIndex }).
+   * @returns {void}
+   */
+  renderPauseMenu(menu) {
+    const width = this._canvas.width
+    const height = this._canvas.height
+
+    this._clearScreen(MenuConfig.overlayColor)
+    this._menuRenderer.render(menu, width, height, this._getHudScale(width))
+  }
+
+  /**
+   * Draws a full-screen menu with no game behind it (e.g. the settings pages
+   * opened from the start screen).
+   *
+   * @param {Object} menu  - Menu description ({ title, subtitle, items,
+   *                       selectedIndex }).
+   * @returns {void}
+   */
+  renderMenuScreen(menu) {
+    const width = this._canvas.width
+    const height = this._canvas.height
+
+    this._clearScreen('#0c1016')
+    this._menuRenderer.render(menu, width, height, this._getHudScale(width))
+  }
+
+  /**
+   * Draws the achievements screen: every achievement with its unlock date or
+   * progress, locked ones dimmed, and the menu below.
+   *
+   * @param {import('./achievements.js').AchievementStatus[]} achievements
+   * - Achievements in display order.
+   * @param {Object} menu
+   * - Menu description ({ title, subtitle, items, selectedIndex }).
+   * @returns {void}
+   */
+  renderAchievementsScreen(achievements, menu) {
+    const config = AchievementListConfig
+    const rows = achievements.map(({ achievement, unlockedAt, progress }) => ({
+      icon: unlockedAt ? achievement.emoji : '🔒',
+      title: achievement.name,
+      titleColor: unlockedAt ? config.unlockedColor : '#fff',
+      detail: achievement.description,
+      aside: unlockedAt
+        ? unlockedAt.slice(0, 10)
+        : progress
+          ? `${progress.current}/${progress.total}`
+          : 'LOCKED',
+      dimmed: !unlockedAt
+    }))
+    this._renderListScreen(rows, menu, config)
+  }
+
+  /**
+   * Draws one codex page: the category's items with score, effect and lifetime
+   * pickup count, undiscovered ones as dimmed silhouettes, and the menu below.
+   *
+   * @param {import('./codex.js').CodexPage} page
+   * - The page to show.
+   * @param {Object} menu
+   * - Menu description ({ title, subtitle, items, selectedIndex }).
+   * @returns {void}
+   */
+  renderCodexScreen(page, menu) {
+    const config = CodexListConfig
+    const rows = page.entries.map(({ item, count }) =>
+      count > 0
+        ? {
+            icon: item.emoji,
+            title: item.name,
+            titleColor: config.unlockedColor,
+            detail: `${item.score} PTS · ${describeItemEffect(item)}`,
+            aside: `×${count}`,
+            dimmed: false
+          }
+        : {
+            icon: this._getSilhouette(item.emoji, config.iconSize),
+            title: '???',
+            titleColor: '#fff',
+            detail: 'NOT DISCOVERED',
+            aside: '',
+            dimmed: true
+          }
     )
+    this._renderListScreen(rows, menu, config)
   }
 
   /**
-   * Draws the pre-start splash screen.
+   * Draws the pre-start splash screen with the mode selection menu and the
+   * high-score table.
    *
+   * @param {Object} menu
+   * - Menu description ({ items, selectedIndex }).
+   * @param {string} dailyStatus
+   * - One-line status of today's daily challenge.
+   * @param {ReadonlyArray<import('./high-scores.js').HighScoreEntry>}
+   * [highScores=[]]
+   * - Best runs so far, best first. Default is `[]`
    * @returns {void}
    */
-  renderStartScreen() {
+  renderStartScreen(menu, dailyStatus, highScores = []) {
     this._clearScreen('#0c1016')
 
-    const centerX = this._canvas.width / 2
-    const centerY = this._canvas.height / 2
+    const width = this._canvas.width
+    const centerX = width / 2
+    const hudScale = this._getHudScale(width)
+    const tableHeight = this._measureHighScores(highScores)
+    // Make room for the table below by moving everything else up
+    const centerY = (this._canvas.height - tableHeight) / 2
+    const menuTop = centerY + 50 * this.scaleFactor
 
     this._drawCenteredText({
       text: 'MEMORY LEAK',
       x: centerX,
-      y: centerY - 50,
+      y: centerY - 90 * this.scaleFactor,
       font: `900 ${80 * this.scaleFactor}px ${Fonts.Primary}`,
       color: Colors.Info
     })
@@ -369,50 +795,427 @@ export class Renderer {
     this._drawCenteredText({
       text: 'Collect all cache fragments before RAM 𓇲 runs out',
       x: centerX,
-      y: centerY + 20,
+      y: centerY - 20 * this.scaleFactor,
       font: `400 ${24 * this.scaleFactor}px ${Fonts.Monospace}`,
       color: '#fff'
     })
 
-    this._drawBlinkingText('CLICK TO INITIALIZE SYSTEM', centerY + 100)
+    this._menuRenderer.renderItems(
+      menu.items,
+      menu.selectedIndex,
+      menuTop,
+      width,
+      hudScale
+    )
+
+    const statusY =
+      menuTop +
+      this._menuRenderer.measureItems(menu.items.length, hudScale) +
+      40 * this.scaleFactor
+    this._drawCenteredText({
+      text: dailyStatus,
+      x: centerX,
+      y: statusY,
+      font: `400 ${16 * this.scaleFactor}px ${Fonts.Monospace}`,
+      color: '#ccc'
+    })
+
+    this._drawHighScores(highScores, statusY + 20 * this.scaleFactor)
   }
 
   /**
    * Draws the end-of-game overlay for victory or defeat.
    *
-   * @param {boolean} isVictory  - Whether the player won.
-   * @param {number}  score      - The final score.
+   * @param {Object} result
+   * - The finished run.
+   * @param {boolean} result.isVictory
+   * - Whether the player won.
+   * @param {number} result.score
+   * - The final score.
+   * @param {number} result.seed
+   * - The run seed, shown so the run can be shared.
+   * @param {number | null} [result.explored=null]
+   * - Explored share of the last level in percent. Default is `null`
+   * @param {Object | null} [result.daily=null]
+   * - Daily challenge info ({ heading, summary }), shown instead of the seed.
+   * Default is `null`
+   * @param {Object | null} [result.highScores=null]
+   * - High-score table ({ entries, rank, isPersonalBest }); `rank` is the
+   * 1-based row of this run, if it made the table. Default is `null`
+   * @param {import('./achievements.js').Achievement[]}
+   * [result.achievements=[]]
+   * - Achievements unlocked during the run. Default is `[]`
+   * @param {Object} menu
+   * - Menu description ({ items, selectedIndex }).
    * @returns {void}
    */
-  renderEndScreen(isVictory, score) {
+  renderEndScreen(
+    {
+      isVictory,
+      score,
+      seed,
+      explored = null,
+      daily = null,
+      highScores = null,
+      achievements = []
+    },
+    menu
+  ) {
     this._clearScreen('rgba(12, 16, 22, 0.95)')
 
-    const centerX = this._canvas.width / 2
-    const centerY = this._canvas.height / 2
+    const width = this._canvas.width
+    const centerX = width / 2
+    const hudScale = this._getHudScale(width)
     const color = isVictory ? Colors.Success : Colors.Danger
     const title = isVictory ? 'SYSTEM RESTORED' : 'OUT OF MEMORY'
+    const lineHeight = 24 * this.scaleFactor
+    const summaryLines = daily?.summary ? daily.summary.split('\n') : []
+
+    // Stack title, score, info lines and menu, then center the whole block
+    const menuHeight = this._menuRenderer.measureItems(
+      menu.items.length,
+      hudScale
+    )
+    const exploredHeight = explored === null ? 0 : 40 * this.scaleFactor
+    const bestHeight = highScores?.isPersonalBest ? 36 * this.scaleFactor : 0
+    const unlockedHeight = achievements.length > 0 ? 36 * this.scaleFactor : 0
+    const tableHeight = this._measureHighScores(highScores?.entries ?? [])
+    const infoHeight =
+      lineHeight * (1 + summaryLines.length) +
+      exploredHeight +
+      bestHeight +
+      unlockedHeight +
+      tableHeight
+    const blockHeight = 130 * this.scaleFactor + infoHeight + menuHeight
+    let y = (this._canvas.height - blockHeight) / 2 + 50 * this.scaleFactor
 
     this._drawCenteredText({
       text: title,
       x: centerX,
-      y: centerY - 60,
+      y,
       font: `900 ${60 * this.scaleFactor}px ${Fonts.Primary}`,
       color: color
     })
 
+    y += 60 * this.scaleFactor
     this._drawCenteredText({
       text: `FINAL SCORE: ${score}`,
       x: centerX,
-      y: centerY + 20,
+      y,
       font: `bold ${40 * this.scaleFactor}px ${Fonts.Monospace}`,
       color: '#fff'
     })
 
-    this._drawBlinkingText('CLICK TO REBOOT', centerY + 120)
+    if (highScores?.isPersonalBest) {
+      y += bestHeight
+      this._drawCenteredText({
+        text: '★ NEW PERSONAL BEST ★',
+        x: centerX,
+        y,
+        font: `bold ${22 * this.scaleFactor}px ${Fonts.Monospace}`,
+        color: HighScoreTableConfig.highlightColor
+      })
+    }
+
+    if (achievements.length > 0) {
+      y += unlockedHeight
+      this._drawCenteredText({
+        text: `🏆 ${achievements
+          .map(achievement => `${achievement.emoji} ${achievement.name}`)
+          .join(' · ')}`,
+        x: centerX,
+        y,
+        font: `bold ${18 * this.scaleFactor}px ${Fonts.Primary}`,
+        color: AchievementListConfig.unlockedColor
+      })
+    }
+
+    if (explored !== null) {
+      y += exploredHeight
+      this._drawCenteredText({
+        text: `MAP EXPLORED: ${explored}%`,
+        x: centerX,
+        y,
+        font: `400 ${18 * this.scaleFactor}px ${Fonts.Monospace}`,
+        color: Colors.Info
+      })
+    }
+
+    y += 40 * this.scaleFactor
+    this._drawCenteredText({
+      text: daily ? daily.heading : `SEED ${seed} · share with ?seed=${seed}`,
+      x: centerX,
+      y,
+      font: `400 ${18 * this.scaleFactor}px ${Fonts.Monospace}`,
+      color: '#ccc'
+    })
+
+    for (const line of summaryLines) {
+      y += lineHeight
+      this._drawCenteredText({
+        text: line,
+        x: centerX,
+        y,
+        font: `400 ${16 * this.scaleFactor}px ${Fonts.Monospace}`,
+        color: '#fff'
+      })
+    }
+
+    if (tableHeight > 0) {
+      this._drawHighScores(highScores.entries, y, highScores.rank)
+      y += tableHeight
+    }
+
+    this._menuRenderer.renderItems(
+      menu.items,
+      menu.selectedIndex,
+      y + 30 * this.scaleFactor,
+      width,
+      hudScale
+    )
   }
 
   // --- Private Rendering Helpers ---
 
+  /**
+   * Draws a full-screen list of icon rows (achievements, codex) with a title,
+   * subtitle and the menu below, centered vertically.
+   *
+   * @param {ListRow[]} rows
+   * @param {Object}    menu
+   * @param {Object}    config  - Layout of the list (`AchievementListConfig`
+   *                            shape).
+   * @returns {void}
+   * @access private
+   */
+  _renderListScreen(rows, menu, config) {
+    this._clearScreen('#0c1016')
+
+    const width = this._canvas.width
+    const centerX = width / 2
+    const scale = this.scaleFactor
+    const hudScale = this._getHudScale(width)
+    const rowHeight = config.rowHeight * scale
+    const listHeight = rows.length * rowHeight
+    const menuHeight = this._menuRenderer.measureItems(
+      menu.items.length,
+      hudScale
+    )
+    const blockHeight = 90 * scale + listHeight + 30 * scale + menuHeight
+    let y = Math.max(0, (this._canvas.height - blockHeight) / 2)
+
+    this._drawCenteredText({
+      text: menu.title,
+      x: centerX,
+      y: y + 30 * scale,
+      font: `900 ${40 * scale}px ${Fonts.Primary}`,
+      color: Colors.Info
+    })
+    this._drawCenteredText({
+      text: menu.subtitle,
+      x: centerX,
+      y: y + 66 * scale,
+      font: `400 ${16 * scale}px ${Fonts.Monospace}`,
+      color: '#ccc'
+    })
+    y += 90 * scale
+
+    const left = centerX - (config.width * scale) / 2
+    const right = centerX + (config.width * scale) / 2
+    for (const row of rows) {
+      this._drawListRow(row, config, left, right, y, rowHeight)
+      y += rowHeight
+    }
+
+    this._menuRenderer.renderItems(
+      menu.items,
+      menu.selectedIndex,
+      y + 30 * scale,
+      width,
+      hudScale
+    )
+  }
+
+  /**
+   * Draws one list row: icon, title and detail on the left, and the aside text
+   * on the right.
+   *
+   * @param {ListRow} row
+   * @param {Object}  config
+   * @param {number}  left
+   * @param {number}  right
+   * @param {number}  top
+   * @param {number}  height
+   * @access private
+   */
+  _drawListRow(
+    { icon, title, titleColor, detail, aside, dimmed },
+    config,
+    left,
+    right,
+    top,
+    height
+  ) {
+    const ctx = this._ctx
+    const scale = this.scaleFactor
+    const middle = top + height / 2
+    const iconSize = config.iconSize * scale
+    const iconX = left + iconSize / 2
+    const textLeft = left + (config.iconSize + 16) * scale
+
+    ctx.save()
+    ctx.globalAlpha = dimmed ? config.lockedAlpha : 1
+    ctx.textBaseline = 'middle'
+
+    if (typeof icon === 'string') {
+      ctx.textAlign = 'center'
+      ctx.font = `${iconSize}px ${Fonts.Primary}`
+      ctx.fillText(icon, iconX, middle)
+    } else {
+      const size = (iconSize * icon.width) / config.iconSize
+      ctx.drawImage(icon, iconX - size / 2, middle - size / 2, size, size)
+    }
+
+    ctx.textAlign = 'left'
+    ctx.fillStyle = titleColor
+    ctx.font = `bold ${config.nameFontSize * scale}px ${Fonts.Monospace}`
+    ctx.fillText(title, textLeft, middle - 9 * scale)
+    ctx.fillStyle = '#ccc'
+    ctx.font = `400 ${config.detailFontSize * scale}px ${Fonts.Monospace}`
+    ctx.fillText(detail, textLeft, middle + 11 * scale)
+
+    ctx.textAlign = 'right'
+    ctx.fillText(aside, right, middle)
+    ctx.restore()
+  }
+
+  /**
+   * A flat, single-color cutout of an emoji, pre-rendered once per emoji and
+   * size. Used for items the codex has not discovered yet.
+   *
+   * @param {string} emoji
+   * @param {number} size   - Font size in unscaled pixels.
+   * @returns {HTMLCanvasElement} Square canvas, `1.25 * size` pixels wide.
+   * @access private
+   */
+  _getSilhouette(emoji, size) {
+    const key = `${emoji}:${size}`
+    let canvas = this._silhouettes.get(key)
+    if (canvas) return canvas
+
+    const extent = Math.ceil(size * 1.25)
+    canvas = this._createOffscreenCanvas(extent, extent)
+    const ctx = canvas.getContext('2d')
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.font = `${size}px ${Fonts.Primary}`
+    ctx.fillText(emoji, extent / 2, extent / 2)
+    // Keep the glyph's shape, drop its colors
+    ctx.globalCompositeOperation = 'source-in'
+    ctx.fillStyle = CodexListConfig.silhouetteColor
+    ctx.fillRect(0, 0, extent, extent)
+
+    this._silhouettes.set(key, canvas)
+    return canvas
+  }
+
+  /**
+   * Height taken by the high-score table, or 0 when it is empty.
+   *
+   * @param {ReadonlyArray<Object>} entries
+   * @returns {number}
+   * @access private
+   */
+  _measureHighScores(entries) {
+    if (entries.length === 0) return 0
+    const { headerHeight, rowHeight } = HighScoreTableConfig
+    return (headerHeight + entries.length * rowHeight) * this.scaleFactor
+  }
+
+  /**
+   * Draws the high-score table below `top`, with the row of the run that just
+   * ended highlighted.
+   *
+   * @param {ReadonlyArray<import('./high-scores.js').HighScoreEntry>} entries
+   * @param {number} top
+   * @param {number | null} [highlightRank=null]
+   * @access private
+   */
+  _drawHighScores(entries, top, highlightRank = null) {
+    if (entries.length === 0) return
+
+    const config = HighScoreTableConfig
+    const centerX = this._canvas.width / 2
+    const scale = this.scaleFactor
+    this._drawCenteredText({
+      text: 'HIGH SCORES',
+      x: centerX,
+      y: top + (config.headerHeight - 6) * scale,
+      font: `bold ${config.headerFontSize * scale}px ${Fonts.Monospace}`,
+      color: Colors.Info
+    })
+
+    entries.forEach((entry, i) => {
+      const rank = i + 1
+      const isHighlighted = rank === highlightRank
+      const columns = [
+        `${isHighlighted ? '▶' : ' '}${String(rank).padStart(2)}.`,
+        String(entry.score).padStart(6),
+        `L${entry.level}`,
+        formatDuration(entry.duration),
+        entry.date.slice(0, 10),
+        `#${entry.seed}`
+      ]
+      this._drawCenteredText({
+        text: columns.join('  '),
+        x: centerX,
+        y: top + (config.headerHeight + (i + 1) * config.rowHeight - 4) * scale,
+        font: `${isHighlighted ? 'bold' : '400'} ${config.rowFontSize * scale}px ${Fonts.Monospace}`,
+        color: isHighlighted ? config.highlightColor : '#ccc'
+      })
+    })
+  }
+
+  /**
+   * Folds the latest world draw time and frame interval into the smoothed debug
+   * timings.
+   *
+   * @access private
+   */
+  _updateFrameStats(worldStart, worldEnd) {
+    const stats = this._frameStats
+    const weight = TileCacheConfig.FrameStatsSmoothing
+    if (stats.lastFrame) {
+      stats.frameMs += (worldStart - stats.lastFrame - stats.frameMs) * weight
+    }
+    stats.worldMs += (worldEnd - worldStart - stats.worldMs) * weight
+    stats.lastFrame = worldStart
+  }
+
+  /**
+   * Draws the `frametime` debug readout at the top of the screen.
+   *
+   * @access private
+   */
+  _drawFrameStats(rawTiles, scale) {
+    const { frameMs, worldMs } = this._frameStats
+    const fps = frameMs > 0 ? Math.round(1000 / frameMs) : 0
+    const mode = rawTiles
+      ? 'raw tiles'
+      : `${this._tileChunks.count} cached chunks`
+
+    this._ctx.save()
+    this._ctx.textBaseline = 'top'
+    this._drawCenteredText({
+      text: `${fps} FPS | world ${worldMs.toFixed(2)} ms | ${mode}`,
+      x: this._canvas.width / 2,
+      y: Math.round(12 * scale),
+      font: `${Math.round(14 * scale)}px ${Fonts.Monospace}`,
+      color: Colors.Info
+    })
+    this._ctx.restore()
+  }
+
   /**
    * Clears the background.
    *
@@ -424,11 +1227,34 @@ export class Renderer {
   }
 
   /**
-   * Iterates over the visible tile grid and draws walls/floors.
+   * Draws the visible world from the chunk cache (or tile by tile with
+   * `rawTiles`), then the fog of war over it.
    *
    * @access private
    */
-  _drawWorld(world, camera, viewWidth, viewHeight, theme) {
+  _drawWorld(world, camera, viewWidth, viewHeight, theme, rawTiles) {
+    if (rawTiles) {
+      this._drawTiles(world, camera, viewWidth, viewHeight, theme)
+    } else {
+      this._tileChunks.draw(
+        this._ctx,
+        world,
+        camera,
+        viewWidth,
+        viewHeight,
+        theme
+      )
+    }
+    this._fog.draw(this._ctx, world, camera, viewWidth, viewHeight)
+  }
+
+  /**
+   * Iterates over the visible tile grid and draws every tile directly, without
+   * the chunk cache.
+   *
+   * @access private
+   */
+  _drawTiles(world, camera, viewWidth, viewHeight, theme) {
     const ts = PhysicsConfig.TileSize
 
     // Calculate visible range (culling)
@@ -439,103 +1265,118 @@ export class Renderer {
 
     for (let ty = startY; ty < endY; ty++) {
       for (let tx = startX; tx < endX; tx++) {
-        const type = world.getTileType(tx, ty)
         const screenX = Math.round(tx * ts - camera.x)
         const screenY = Math.round(ty * ts - camera.y)
-
-        if (type === TileTypes.WALL) {
-          this._drawWall(screenX, screenY, ts, theme)
-        } else {
-          this._drawFloor(screenX, screenY, ts, theme)
-          const item = world.getItemAt(tx, ty)
-          if (item) this._drawItem(item, screenX, screenY, ts)
-        }
+        this._drawTile(this._ctx, world, tx, ty, screenX, screenY, theme)
       }
     }
   }
 
   /**
+   * Draws a wall, or a floor with its item, at a position of a context.
+   *
    * @access private
    */
-  _drawWall(x, y, size, theme) {
-    this._ctx.fillStyle = theme.Wall
-    this._ctx.fillRect(x, y, size, size)
+  _drawTile(ctx, world, tx, ty, x, y, theme) {
+    const ts = PhysicsConfig.TileSize
+    if (world.getTileType(tx, ty) === TileTypes.WALL) {
+      this._drawWall(ctx, x, y, ts, theme)
+    } else {
+      this._drawFloor(ctx, x, y, ts, theme)
+      const item = world.getItemAt(tx, ty)
+      if (item) this._drawItem(ctx, item, x, y, ts)
+    }
+  }
+
+  /**
+   * @access private
+   */
+  _drawWall(ctx, x, y, size, theme) {
+    ctx.fillStyle = theme.Wall
+    ctx.fillRect(x, y, size, size)
 
     // Simple "panel" texture
-    this._ctx.fillStyle = 'rgba(255, 255, 255, 0.1)'
-    this._ctx.fillRect(x + 4, y + 4, size - 8, size - 8)
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.1)'
+    ctx.fillRect(x + 4, y + 4, size - 8, size - 8)
 
     // "3D" depth effect
-    this._ctx.fillStyle = theme.WallShadow
-    this._ctx.fillRect(x, y + size - 10, size, 10)
+    ctx.fillStyle = theme.WallShadow
+    ctx.fillRect(x, y + size - 10, size, 10)
   }
 
   /**
    * @access private
    */
-  _drawFloor(x, y, size, theme) {
-    this._ctx.fillStyle = theme.Floor
-    this._ctx.fillRect(x, y, size, size)
+  _drawFloor(ctx, x, y, size, theme) {
+    ctx.fillStyle = theme.Floor
+    ctx.fillRect(x, y, size, size)
 
     // Optimize: Use fillRect for grid lines instead of strokeRect
-    this._ctx.fillStyle = theme.FloorGrid
+    ctx.fillStyle = theme.FloorGrid
     // Draw bottom line
-    this._ctx.fillRect(x, y + size - 1, size, 1)
+    ctx.fillRect(x, y + size - 1, size, 1)
     // Draw right line
-    this._ctx.fillRect(x + size - 1, y, 1, size)
+    ctx.fillRect(x + size - 1, y, 1, size)
   }
 
   /**
    * @access private
    */
-  _drawItem(item, x, y, size) {
-    this._ctx.save()
-    this._ctx.font = '30px sans-serif'
-    this._ctx.textAlign = 'center'
-    this._ctx.textBaseline = 'middle'
+  _drawItem(ctx, item, x, y, size) {
+    ctx.save()
+    ctx.font = '30px sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
 
     const centerX = x + size / 2
     const centerY = y + size / 2 + 5
     const outlineColor = this._getItemOutlineColor(item)
 
     if (outlineColor) {
-      this._drawEmojiOutline(item.emoji, centerX, centerY, outlineColor, 2.5)
+      this._drawEmojiOutline(
+        ctx,
+        item.emoji,
+        centerX,
+        centerY,
+        outlineColor,
+        2.5
+      )
     }
 
-    this._ctx.fillStyle = Colors.ItemFill
-    this._ctx.fillText(item.emoji, centerX, centerY)
-    this._ctx.restore()
+    ctx.fillStyle = Colors.ItemFill
+    ctx.fillText(item.emoji, centerX, centerY)
+    ctx.restore()
   }
 
-  _drawEmojiOutline(text, x, y, color, thickness) {
+  _drawEmojiOutline(ctx, text, x, y, color, thickness) {
     const steps = 12
-    this._ctx.save()
-    this._ctx.fillStyle = color
+    ctx.save()
+    ctx.fillStyle = color
 
     for (let i = 0; i < steps; i++) {
       const angle = (Math.PI * 2 * i) / steps
       const offsetX = Math.cos(angle) * thickness
       const offsetY = Math.sin(angle) * thickness
 
-      this._ctx.shadowColor = color
-      this._ctx.shadowBlur = 0
-      this._ctx.shadowOffsetX = offsetX
-      this._ctx.shadowOffsetY = offsetY
+      ctx.shadowColor = color
+      ctx.shadowBlur = 0
+      ctx.shadowOffsetX = offsetX
+      ctx.shadowOffsetY = offsetY
 
-      this._ctx.fillText(text, x, y)
+      ctx.fillText(text, x, y)
     }
 
-    this._ctx.shadowColor = 'transparent'
-    this._ctx.shadowBlur = 0
-    this._ctx.shadowOffsetX = 0
-    this._ctx.shadowOffsetY = 0
-    this._ctx.restore()
+    ctx.shadowColor = 'transparent'
+    ctx.shadowBlur = 0
+    ctx.shadowOffsetX = 0
+    ctx.shadowOffsetY = 0
+    ctx.restore()
   }
 
   _getItemOutlineColor(item) {
     if (typeof item.health === 'number') {
       // if (item.health < 0) return ItemOutlineColors.hazard
-      if (item.health > 0) return ItemOutlineColors.heal
+      if (item.health > 0) return getOutlineColors(this._settings).heal
     }
 
     // if (item.isSlow) return ItemOutlineColors.slow
@@ -578,8 +1419,8 @@ export class Renderer {
     const ctx = this._ctx
     const now = performance.now() / 1000
 
-    const px = Math.round(player.x - camera.x)
-    const py = Math.round(player.y - camera.y)
+    const px = Math.round(player.renderX - camera.x)
+    const py = Math.round(player.renderY - camera.y)
     const w = SpriteConfig.Width * SpriteConfig.Scale
     const h = SpriteConfig.Height * SpriteConfig.Scale
     const cx = px + w / 2
@@ -615,8 +1456,8 @@ export class Renderer {
     // Store world coordinates for accurate velocity calculation
     if (!player._posHistory) player._posHistory = []
     player._posHistory.push({
-      x: player.x,
-      y: player.y,
+      x: player.renderX,
+      y: player.renderY,
       screenX: px,
       screenY: py,
       frame: player.frame,
@@ -635,8 +1476,8 @@ export class Renderer {
         ? player._posHistory[player._posHistory.length - 2]
         : null
     const dt = prev ? now - prev.t : 0
-    const vx = prev && dt > 0 ? (player.x - prev.x) / dt : 0
-    const vy = prev && dt > 0 ? (player.y - prev.y) / dt : 0
+    const vx = prev && dt > 0 ? (player.renderX - prev.x) / dt : 0
+    const vy = prev && dt > 0 ? (player.renderY - prev.y) / dt : 0
 
     // Calculate normalized movement direction for trail effects
     const speed = Math.hypot(vx, vy)
@@ -907,8 +1748,8 @@ export class Renderer {
   _drawCollisionBox(player, camera) {
     const ctx = this._ctx
     const scale = SpriteConfig.Scale
-    const sx = player.x
-    const sy = player.y
+    const sx = player.renderX
+    const sy = player.renderY
 
     // Match the collision calculation from world.js
     const cx = sx + (SpriteConfig.Width * scale) / 2
@@ -1072,6 +1913,7 @@ export class Renderer {
    * @access private
    */
   _getParticleStyle(p) {
+    const palette = getOutlineColors(this._settings)
     let color = Colors.Warning
     let scale = 1
     let font = `bold 16px ${Fonts.Monospace}`
@@ -1079,20 +1921,20 @@ export class Renderer {
     switch (p.type) {
       case 'damage':
         scale = 1 + (1 - p.life) * 0.5
-        color = ItemOutlineColors.hazard
+        color = palette.hazard
         font = `900 20px ${Fonts.Primary}`
         break
       case 'heal':
-        color = ItemOutlineColors.heal
+        color = palette.heal
         font = `900 18px ${Fonts.Monospace}`
         break
       case 'boost':
         scale = 0.5 + (1 - p.life) * 1.5
-        color = ItemOutlineColors.boost
+        color = palette.boost
         font = `900 20px ${Fonts.Primary}`
         break
       case 'slow':
-        color = ItemOutlineColors.slow
+        color = palette.slow
         font = `900 24px ${Fonts.Primary}`
         break
     }
@@ -1101,6 +1943,63 @@ export class Renderer {
 
   // --- Utility Helpers ---
 
+  /**
+   * Calculates the HUD/menu scale factor. On mobile the HUD is scaled down more
+   * aggressively to show more of the world.
+   *
+   * @param {number} width  - Current canvas width.
+   * @returns {number}
+   * @access private
+   */
+  _getHudScale(width) {
+    const preference = this._settings?.get('hudScale') ?? 1
+    if (width < 768) {
+      // Scale HUD down more on mobile: 0.35x at 320px, 0.45x at 640px, 0.55x at 768px
+      // This makes the HUD smaller to maximize world visibility
+      const hudScale = 0.35 + ((width - 320) / (768 - 320)) * 0.2 // 0.35x to 0.55x
+      return Math.max(0.35, Math.min(0.55, hudScale)) * preference
+    }
+    return this.scaleFactor * preference
+  }
+
+  /**
+   * Whether the settings allow screen shake.
+   *
+   * @returns {boolean}
+   * @access private
+   */
+  _isShakeEnabled() {
+    const settings = this._settings
+    return (
+      !settings ||
+      (settings.get('screenShake') && !settings.get('reducedMotion'))
+    )
+  }
+
+  /**
+   * Decays the screen shake trauma and returns this frame's view offset.
+   *
+   * @returns {{ x: number; y: number }}
+   * @access private
+   */
+  _updateShake() {
+    const shake = this._shake
+    const now = performance.now()
+    const elapsed = shake.lastTime ? (now - shake.lastTime) / 1000 : 0
+    shake.lastTime = now
+
+    if (!this._isShakeEnabled()) shake.trauma = 0
+    shake.trauma = Math.max(0, shake.trauma - ShakeConfig.Decay * elapsed)
+    if (shake.trauma === 0) return { x: 0, y: 0 }
+
+    // Visual only, so it may use unseeded randomness
+    const offset = shake.trauma * shake.trauma * ShakeConfig.MaxOffset
+    return {
+      x: (Math.random() * 2 - 1) * offset,
+      y: (Math.random() * 2 - 1) * offset
+    }
+  }
+
   /**
    * @access private
    */
@@ -1119,18 +2018,6 @@ export class Renderer {
     this._ctx.fillText(text, x, y)
   }
 
-  /**
-   * @access private
-   */
-  _drawBlinkingText(text, y) {
-    if (Math.floor(Date.now() / 500) % 2 === 0) {
-      this._ctx.fillStyle = 'rgba(255,255,255,0.7)'
-      this._ctx.font = `400 ${20 * this.scaleFactor}px ${Fonts.Monospace}`
-      this._ctx.textAlign = 'center'
-      this._ctx.fillText(text, this._canvas.width / 2, y)
-    }
-  }
-
   /**
    * @access private
    */
@@ -1148,6 +2035,7 @@ export class Renderer {
     // Set internal canvas resolution (always full size)
     this._canvas.width = width
     this._canvas.height = height
+    this._tileChunks.invalidate()
 
     // Apply CSS transform scaling for mobile devices (under 768px)
     // This scales the visual display while keeping game logic and pointer events at full resolution
@@ -1197,6 +2085,18 @@ export class Renderer {
     })
   }
 
+  /**
+   * Creates a detached canvas for pre-rendered layers.
+   *
+   * @access private
+   */
+  _createOffscreenCanvas(width, height) {
+    const canvas = this._document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
+
   /**
    * @access private
    */
@@ -0,0 +1,257 @@
+import { CheatCodes, SimulationConfig } from '../config/index.js'
+
+/**
+ * Identifies replay files so unrelated JSON dropped on the canvas is rejected.
+ *
+ * @constant {string}
+ */
+export const REPLAY_FORMAT = 'memory-leak-replay'
+
+/**
+ * Current replay file version. Bump whenever the simulation changes in a way
+ * that makes older recordings play back differently.
+ *
+ * @constant {number}
+ */
+export const REPLAY_VERSION = 6
+
+/**
+ * @typedef {Object} ReplayData
+ * @property {string} format
+ * - Always `REPLAY_FORMAT`.
+ * @property {number} version
+ * - File version (`REPLAY_VERSION`).
+ * @property {number} tickRate
+ * - Simulation ticks per second the run was recorded at.
+ * @property {number} seed
+ * - Run seed the mazes are generated from.
+ * @property {string} mode
+ * - `GameModes` value the run was played in (informational).
+ * @property {string[]} cheatsAtStart
+ * - Cheats that were already active when the run began.
+ * @property {number} ticks
+ * - Number of recorded simulation ticks.
+ * @property {[number, number, number][]} moves
+ * - Run-length encoded movement vectors as `[x, y, tickCount]`.
+ * @property {[number, string][]} cheats
+ * - Cheat toggles as `[tick, code]`, applied before simulating that tick.
+ * @property {Object | null} result
+ * - Final `{ score, level, victory }` of the recorded run.
+ */
+
+/**
+ * Records a run as its seed plus the per-tick input stream, which together
+ * reproduce the run exactly on the fixed-timestep simulation.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object}   options              - Recording options.
+   * @param {number}   options.seed         - Run seed of the recorded run.
+   * @param {string}   options.mode         - `GameModes` value of the recorded
+   *                                        run.
+   * @param {string[]} [options.cheats=[]]  - Cheats already active when the run
+   *                                        starts. Default is `[]`
+   */
+  constructor({ seed, mode, cheats = [] }) {
+    this._seed = seed
+    this._mode = mode
+    this._cheatsAtStart = [...cheats]
+    this._ticks = 0
+
+    /**
+     * @type {[number, number, number][]}
+     */
+    this._moves = []
+
+    /**
+     * @type {[number, string][]}
+     */
+    this._cheats = []
+
+    this._result = null
+  }
+
+  /**
+   * Whether the recorded run reached its end screen.
+   *
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this._result !== null
+  }
+
+  /**
+   * Appends the movement vector used for one simulation tick.
+   *
+   * @param {{ x: number; y: number }} moveVec
+   * - The tick's movement vector.
+   * @returns {void}
+   */
+  recordTick({ x, y }) {
+    const last = this._moves[this._moves.length - 1]
+    if (last && last[0] === x && last[1] === y) {
+      last[2]++
+    } else {
+      this._moves.push([x, y, 1])
+    }
+    this._ticks++
+  }
+
+  /**
+   * Records a cheat toggle taking effect before the next tick.
+   *
+   * @param {string} code  - The toggled cheat code.
+   * @returns {void}
+   */
+  recordCheat(code) {
+    this._cheats.push([this._ticks, code])
+  }
+
+  /**
+   * Marks the recording complete with the run's outcome.
+   *
+   * @param {{ score: number; level: number; victory: boolean }} result
+   * @returns {void}
+   */
+  finish(result) {
+    this._result = result
+  }
+
+  /**
+   * Builds the serializable replay description.
+   *
+   * @returns {ReplayData}
+   */
+  toJSON() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      tickRate: SimulationConfig.TickRate,
+      seed: this._seed,
+      mode: this._mode,
+      cheatsAtStart: this._cheatsAtStart,
+      ticks: this._ticks,
+      moves: this._moves,
+      cheats: this._cheats,
+      result: this._result
+    }
+  }
+}
+
+/**
+ * Serializes a recording to the compact JSON replay file format.
+ *
+ * @param {ReplayRecorder} recorder  - The recording.
+ * @returns {string}
+ */
+export function serializeReplay(recorder) {
+  return JSON.stringify(recorder.toJSON())
+}
+
+/**
+ * Parses and validates a replay file.
+ *
+ * @param {string} text  - Contents of a replay file.
+ * @returns {ReplayData}
+ * @throws {Error} If the text is not a compatible replay.
+ */
+export function parseReplay(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Replay: file is not valid JSON')
+  }
+
+  if (data?.format !== REPLAY_FORMAT) {
+    throw new Error('Replay: not a replay file')
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Replay: unsupported version ${data.version}`)
+  }
+  if (data.tickRate !== SimulationConfig.TickRate) {
+    throw new Error(`Replay: recorded at ${data.tickRate} Hz`)
+  }
+
+  const isMove = move =>
+    Array.isArray(move) &&
+    Number.isFinite(move[0]) &&
+    Number.isFinite(move[1]) &&
+    Number.isInteger(move[2]) &&
+    move[2] > 0
+  const isCheatCode = code => Object.values(CheatCodes).includes(code)
+  const isCheat = cheat =>
+    Array.isArray(cheat) && Number.isInteger(cheat[0]) && isCheatCode(cheat[1])
+
+  if (
+    !Number.isInteger(data.seed) ||
+    !Array.isArray(data.moves) ||
+    !data.moves.every(isMove) ||
+    !Array.isArray(data.cheats) ||
+    !data.cheats.every(isCheat) ||
+    !Array.isArray(data.cheatsAtStart) ||
+    !data.cheatsAtStart.every(isCheatCode)
+  ) {
+    throw new Error('Replay: malformed input stream')
+  }
+
+  return data
+}
+
+/** Feeds a recorded input stream back into the simulation, one tick at a time. */
+export class ReplayPlayer {
+  /**
+   * @param {ReplayData} replay  - A parsed replay.
+   */
+  constructor(replay) {
+    this.replay = replay
+    this._tick = 0
+    this._moveIndex = 0
+    this._moveOffset = 0
+    this._cheatIndex = 0
+  }
+
+  /**
+   * Whether every recorded tick has been played back.
+   *
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this._moveIndex >= this.replay.moves.length
+  }
+
+  /**
+   * Returns the cheat codes due before the upcoming tick.
+   *
+   * @returns {string[]}
+   */
+  takeCheats() {
+    const cheats = this.replay.cheats
+    const due = []
+    while (
+      this._cheatIndex < cheats.length &&
+      cheats[this._cheatIndex][0] <= this._tick
+    ) {
+      due.push(cheats[this._cheatIndex][1])
+      this._cheatIndex++
+    }
+    return due
+  }
+
+  /**
+   * Returns the movement vector of the upcoming tick and advances playback.
+   *
+   * @returns {{ x: number; y: number }}
+   */
+  nextMove() {
+    const move = this.replay.moves[this._moveIndex]
+    if (!move) return { x: 0, y: 0 }
+
+    if (++this._moveOffset >= move[2]) {
+      this._moveIndex++
+      this._moveOffset = 0
+    }
+    this._tick++
+    return { x: move[0], y: move[1] }
+  }
+}
@@ -0,0 +1,155 @@
+import { readJson, resolveStorage, writeJson } from './storage.js'
+import { REPLAY_VERSION } from './replay.js'
+
+/**
+ * Identifies saved runs so unrelated stored JSON is rejected.
+ *
+ * @constant {string}
+ */
+export const SAVE_FORMAT = 'memory-leak-save'
+
+/**
+ * Current save layout version. Bump whenever the snapshot fields change.
+ * Saves also carry `REPLAY_VERSION`, so runs saved under different game rules
+ * are rejected as well.
+ *
+ * @constant {number}
+ */
+export const SAVE_VERSION = 1
+
+/**
+ * Storage key for the saved run.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:save'
+
+/**
+ * @typedef {Object} SavedRun
+ * @property {string} format
+ * - Always `SAVE_FORMAT`.
+ * @property {number} version
+ * - Save layout version (`SAVE_VERSION`).
+ * @property {number} rulesVersion
+ * - `REPLAY_VERSION` of the build that saved the run.
+ * @property {string} date
+ * - When the run was saved, as an ISO timestamp.
+ * @property {import('./simulation.js').SimulationSnapshot} simulation
+ * - The run's world, player and statistics.
+ * @property {{ collectedIds: string[] }} hud
+ * - Target items shown as found in the HUD inventory.
+ */
+
+/**
+ * Keeps one in-progress run across sessions so it can be resumed after the
+ * tab is closed. Saves from other builds are dropped instead of restored.
+ */
+export class SaveSlot {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for the save. Default is `localStorage` when available,
+   * in-memory storage otherwise.
+   */
+  constructor({ storage = resolveStorage() } = {}) {
+    this._storage = storage
+  }
+
+  /**
+   * Whether a run can be resumed.
+   *
+   * @returns {boolean}
+   */
+  get hasSave() {
+    return this.load() !== null
+  }
+
+  /**
+   * Reads the saved run. Incompatible or corrupt saves are deleted.
+   *
+   * @returns {SavedRun | null} The saved run, or null when there is none.
+   */
+  load() {
+    const data = readJson(this._storage, STORAGE_KEY)
+    if (data === null) return null
+
+    try {
+      return parseSave(data)
+    } catch (error) {
+      console.warn(error.message)
+      this.clear()
+      return null
+    }
+  }
+
+  /**
+   * Stores a run, replacing any earlier save.
+   *
+   * @param {Pick<SavedRun, 'simulation' | 'hud'>} run
+   * - The run to save.
+   * @returns {boolean}
+   * False when the storage is full or unavailable.
+   */
+  save({ simulation, hud }) {
+    return writeJson(this._storage, STORAGE_KEY, {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      rulesVersion: REPLAY_VERSION,
+      date: new Date().toISOString(),
+      simulation,
+      hud
+    })
+  }
+
+  /**
+   * Deletes the saved run.
+   *
+   * @returns {void}
+   */
+  clear() {
+    try {
+      this._storage?.removeItem(STORAGE_KEY)
+    } catch {
+      // Storage became unavailable; there is nothing left to resume anyway
+    }
+  }
+}
+
+/**
+ * Validates a stored save.
+ *
+ * @param {*} data  - Parsed contents of the save.
+ * @returns {SavedRun}
+ * @throws {Error} If the data is not a compatible save.
+ */
+export function parseSave(data) {
+  if (data?.format !== SAVE_FORMAT) {
+    throw new Error('Save: not a saved run')
+  }
+  if (data.version !== SAVE_VERSION || data.rulesVersion !== REPLAY_VERSION) {
+    throw new Error(`Save: from an incompatible version ${data.version}`)
+  }
+
+  const run = data.simulation
+  const isStringList = list =>
+    Array.isArray(list) && list.every(value => typeof value === 'string')
+
+  if (
+    !Number.isInteger(run?.seed) ||
+    !Number.isInteger(run.level) ||
+    !Number.isFinite(run.player?.x) ||
+    !Number.isFinite(run.player?.y) ||
+    !Array.isArray(run.player.effects) ||
+    !run.stats ||
+    typeof run.stats !== 'object' ||
+    !isStringList(run.collectedUniqueIds) ||
+    !isStringList(run.collectedItems) ||
+    !isStringList(data.hud?.collectedIds)
+  ) {
+    throw new Error('Save: malformed snapshot')
+  }
+
+  return data
+}
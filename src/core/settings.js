@@ -0,0 +1,200 @@
+import {
+  ColorPalettes,
+  ItemOutlineColors,
+  SettingsConfig
+} from '../config/index.js'
+import { clamp } from '../utils/math.js'
+import { readJson, resolveStorage, writeJson } from './storage.js'
+
+/**
+ * Storage key for the player's preferences.
+ *
+ * @constant {string}
+ */
+const STORAGE_KEY = 'memory-leak:settings'
+
+/**
+ * @typedef {Object} Settings
+ * @property {number}  musicVolume    - Music volume (0-1).
+ * @property {number}  sfxVolume      - Sound effect volume (0-1).
+ * @property {boolean} muted          - Silences all audio.
+ * @property {boolean} screenShake    - Shakes the view on damage.
+ * @property {boolean} reducedMotion  - Turns off shake, bobbing and pulsing.
+ * @property {number}  hudScale       - HUD and menu size multiplier.
+ * @property {string}  controlScheme  - A `ControlSchemes` value.
+ * @property {string}  palette        - A `ColorPalettes` key.
+ */
+
+/**
+ * The single source of the player's preferences. Values are validated
+ * against `SettingsConfig.Fields`, persisted on every change and pushed to
+ * subscribers, so the audio, input and rendering subsystems react live.
+ */
+export class SettingsStore {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {Storage | import('./storage.js').MemoryStorage | null}
+   * [options.storage]
+   * - Key/value storage for the preferences. Default is `localStorage` when
+   * available, in-memory storage otherwise.
+   */
+  constructor({ storage = resolveStorage() } = {}) {
+    this._storage = storage
+    this._listeners = new Set()
+
+    const stored = readJson(storage, STORAGE_KEY, {})
+    const values = { ...SettingsConfig.Defaults }
+    for (const key of Object.keys(values)) {
+      if (stored?.[key] !== undefined) {
+        values[key] = sanitize(key, stored[key]) ?? values[key]
+      }
+    }
+
+    /**
+     * @type {Readonly<Settings>}
+     */
+    this._values = Object.freeze(values)
+  }
+
+  /**
+   * Every current value.
+   *
+   * @returns {Readonly<Settings>}
+   */
+  get values() {
+    return this._values
+  }
+
+  /**
+   * The current value of one setting.
+   *
+   * @param {keyof Settings} key  - Setting name.
+   * @returns {*}
+   */
+  get(key) {
+    return this._values[key]
+  }
+
+  /**
+   * Changes a setting. Invalid values are ignored; out-of-range numbers are
+   * clamped.
+   *
+   * @param {keyof Settings} key    - Setting name.
+   * @param {*}              value  - The new value.
+   * @returns {boolean} True if the value changed.
+   */
+  set(key, value) {
+    const next = sanitize(key, value)
+    if (next === null || next === this._values[key]) return false
+
+    this._values = Object.freeze({ ...this._values, [key]: next })
+    writeJson(this._storage, STORAGE_KEY, this._values)
+    for (const listener of this._listeners) listener(this._values, key)
+    return true
+  }
+
+  /**
+   * Moves a setting to its next or previous value: booleans flip, choices move
+   * through their options and ranges move by one step. With `wrap`, the ends
+   * loop around (used when a menu entry is activated repeatedly).
+   *
+   * @param {keyof Settings} key
+   * - Setting name.
+   * @param {number} [direction=1]
+   * - `1` for the next value, `-1` for the previous one. Default is `1`
+   * @param {Object} [options={}]
+   * - Step options. Default is `{}`
+   * @param {boolean} [options.wrap=true]
+   * - Loop past the first and last value. Default is `true`
+   * @returns {boolean}
+   * True if the value changed.
+   */
+  step(key, direction = 1, { wrap = true } = {}) {
+    const field = SettingsConfig.Fields[key]
+    const value = this._values[key]
+    if (!field) return false
+
+    if (field.type === 'boolean') return this.set(key, !value)
+
+    if (field.type === 'choice') {
+      const count = field.options.length
+      const index = field.options.indexOf(value) + direction
+      if (!wrap && (index < 0 || index >= count)) return false
+      return this.set(key, field.options[(index + count) % count])
+    }
+
+    const next = value + direction * field.step
+    if (wrap && next > field.max + 1e-9) return this.set(key, field.min)
+    if (wrap && next < field.min - 1e-9) return this.set(key, field.max)
+    return this.set(key, next)
+  }
+
+  /**
+   * Calls `listener(values, changedKey)` after every change.
+   *
+   * @param {function(Readonly<Settings>, string): void} listener
+   * - Change handler.
+   * @returns {function(): void}
+   * Removes the listener again.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  /**
+   * Restores every default.
+   *
+   * @returns {void}
+   */
+  reset() {
+    for (const [key, value] of Object.entries(SettingsConfig.Defaults)) {
+      this.set(key, value)
+    }
+  }
+}
+
+/**
+ * The item outline colors of the chosen palette.
+ *
+ * @param {SettingsStore | null} settings
+ * - The settings, if any.
+ * @returns {Readonly<{
+ *   hazard: string
+ *   heal: string
+ *   slow: string
+ *   boost: string
+ * }>}
+ */
+export function getOutlineColors(settings) {
+  return ColorPalettes[settings?.get('palette')] ?? ItemOutlineColors
+}
+
+/**
+ * Validates a value for a setting.
+ *
+ * @param {string} key    - Setting name.
+ * @param {*}      value  - Candidate value.
+ * @returns {*} The accepted value, or null when it is invalid.
+ */
+function sanitize(key, value) {
+  const field = SettingsConfig.Fields[key]
+  if (!field) return null
+
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : null
+    case 'choice':
+      return field.options.includes(value) ? value : null
+    case 'range': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return null
+      // Snap to the step grid so repeated steps do not drift
+      const steps = Math.round((value - field.min) / field.step)
+      const snapped = Math.round((field.min + steps * field.step) * 1000) / 1000
+      return clamp(snapped, field.min, field.max)
+    }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,670 @@
+import { clamp, createSeededRandom, mixSeed } from '../utils/math.js'
+import { generateSeed } from '../utils/seed.js'
+import { World } from '../world/world.js'
+import { Player } from '../world/player.js'
+import { GarbageCollector } from '../world/garbage-collector.js'
+import { EntityRegistry } from '../world/entity-registry.js'
+import { Pathfinder } from '../world/pathfinder.js'
+import {
+  StatsConfig,
+  StatusEffectTypes,
+  PhysicsConfig,
+  SpriteConfig,
+  EnemyConfig,
+  TARGET_ITEMS
+} from '../config/index.js'
+
+/**
+ * Number of levels in a run; clearing the last one wins the game.
+ *
+ * @constant {number}
+ */
+export const FINAL_LEVEL = 5
+
+/**
+ * Salt mixed into the level seed for enemy placement and behavior.
+ *
+ * @constant {number}
+ */
+const ENEMY_SALT = 0x6c0
+
+/**
+ * Event types returned by `GameSimulation.step()`.
+ *
+ * @enum {string}
+ */
+export const SimulationEvents = Object.freeze({
+  /** Any item was picked up: `{ item, tileX, tileY }`. */
+  ITEM_COLLECTED: 'itemCollected',
+  /** A target (score) item was picked up: `{ item, x, y, isNew }`. */
+  FRAGMENT_COLLECTED: 'fragmentCollected',
+  /** Health restored: `{ amount, x, y }`. */
+  HEAL: 'heal',
+  /** Health lost to a hazard item or an enemy: `{ amount, x, y }`. */
+  DAMAGE: 'damage',
+  /** A hazard or an enemy hit was blocked by the boost: `{ x, y }`. */
+  IMMUNE: 'immune',
+  /** A status effect was applied: `{ effect, x, y }`. */
+  EFFECT: 'effect',
+  /** The objective compass was unlocked for the rest of the run: `{ x, y }`. */
+  COMPASS_UNLOCKED: 'compassUnlocked',
+  /** A new level began: `{ level, spawn }`. */
+  LEVEL_ADVANCED: 'levelAdvanced',
+  /** Memory ran out. */
+  GAME_OVER: 'gameOver',
+  /** The final level was cleared. */
+  VICTORY: 'victory'
+})
+
+/**
+ * @typedef {Object} SimulationSnapshot
+ * @property {number} seed
+ * - Run seed.
+ * @property {number} level
+ * - Current level.
+ * @property {number} levelSeed
+ * - Seed of the current level, to check the level regenerates identically.
+ * @property {Object} stats
+ * - Run statistics (score, health, elapsed time, level history, ...).
+ * @property {string[]} collectedUniqueIds
+ * - Target item ids found on the current level.
+ * @property {string[]} collectedItems
+ * - `"tx,ty"` keys of the tiles already emptied on the current level.
+ * @property {Record<string, string>} explored
+ * - Explored tiles of the current level (`ExplorationMap.serialize()`).
+ * @property {{
+ *   x: number
+ *   y: number
+ *   direction: string
+ *   effects: { type: string; remaining: number; duration: number }[]
+ * }} player
+ * - Player position, facing and active status effects.
+ */
+
+/**
+ * Headless game rules: owns the world, the player, run statistics and item
+ * processing, with no DOM, audio or rendering. The engine drives it one fixed
+ * tick at a time and turns the returned events into sound, particles and HUD
+ * updates, which also lets the rules run under plain Node.
+ */
+export class GameSimulation {
+  /**
+   * @param {Object} [options={}]    - Configuration options. Default is `{}`
+   * @param {number} [options.seed]  - Run seed. Default is a fresh random seed.
+   */
+  constructor({ seed = generateSeed() } = {}) {
+    this.world = new World({ seed })
+    this.player = new Player()
+    this.stats = this._createInitialStats()
+    this.collectedUniqueIds = new Set()
+    this.isFinished = false
+
+    // Enemies and other moving things of the current level
+    this.entities = new EntityRegistry({ index: this.world.entityIndex })
+    this._contactTimer = 0
+
+    /**
+     * Events raised since the last `step()`.
+     *
+     * @type {{ type: string }[]}
+     */
+    this._events = []
+
+    this.reset(seed)
+  }
+
+  /**
+   * The seed every level of the current run is derived from.
+   *
+   * @returns {number}
+   */
+  get runSeed() {
+    return this.world.runSeed
+  }
+
+  /**
+   * Starts a new run at level 1.
+   *
+   * @param {number} [seed]  - Run seed. Default is a fresh random seed.
+   * @returns {void}
+   */
+  reset(seed = generateSeed()) {
+    this.stats = this._createInitialStats()
+    this.collectedUniqueIds.clear()
+    this.isFinished = false
+    this._events = []
+
+    this.world.reset(this.stats.level, seed)
+    this.player.reset(this.world.findSpawn())
+    this._resetEntities()
+    this._explore()
+  }
+
+  /**
+   * Advances the run by one tick.
+   *
+   * @param {{ x: number; y: number }} input
+   * - Movement vector for this tick.
+   * @param {number} dt
+   * - Tick length in milliseconds.
+   * @returns {{ type: string }[]}
+   * Events raised during the tick.
+   */
+  step(input, dt) {
+    if (this.isFinished) return []
+
+    this.player.snapshotPosition()
+    this.player.move(input, this.world, dt)
+    this.player.update(dt)
+    this.player.face(input)
+    this.stats.elapsed += dt
+
+    this._explore()
+    this._checkCollisions()
+    this._updateEntities(dt)
+
+    // === BOOST IMMUNITY: No memory leak drain during boost ===
+    if (!this.player.isBoosted) {
+      this.stats.playerHealth -= (StatsConfig.MemoryLeakRate * dt) / 1000
+    }
+
+    this._checkEndConditions()
+    return this._flushEvents()
+  }
+
+  /**
+   * Applies the gameplay side of a cheat code outside of a tick.
+   *
+   * @param {string} code  - `jump`, `flowstate` or `lag`.
+   * @returns {{ type: string }[]} Events raised by the cheat.
+   */
+  applyCheat(code) {
+    if (this.isFinished) return []
+
+    const center = this.getPlayerCenter()
+    switch (code) {
+      case 'jump':
+        // Mark all target items as collected
+        TARGET_ITEMS.forEach(item => this.collectedUniqueIds.add(item.id))
+        this._checkEndConditions()
+        break
+      case 'flowstate':
+        this._applyEffect(StatusEffectTypes.BOOST, center.x, center.y)
+        break
+      case 'lag':
+        this._applyEffect(StatusEffectTypes.SLOW, center.x, center.y)
+        break
+    }
+    return this._flushEvents()
+  }
+
+  /**
+   * Captures the run's progress as plain JSON-serializable data. Enemies are
+   * not included; a restored level starts them over from their homes.
+   *
+   * @returns {SimulationSnapshot}
+   */
+  createSnapshot() {
+    const stats = this.stats
+    return {
+      seed: this.world.runSeed,
+      level: this.stats.level,
+      levelSeed: this.world.levelSeed,
+      stats: { ...stats, levelHistory: [...stats.levelHistory] },
+      collectedUniqueIds: [...this.collectedUniqueIds],
+      collectedItems: [...this.world.collectedItems],
+      explored: this.world.exploration.serialize(),
+      player: {
+        x: this.player.x,
+        y: this.player.y,
+        direction: this.player.direction,
+        effects: this.player.effects.list()
+      }
+    }
+  }
+
+  /**
+   * Continues a run from a snapshot taken by `createSnapshot()`.
+   *
+   * @param {SimulationSnapshot} snapshot  - The saved progress.
+   * @returns {void}
+   * @throws {Error} If the level no longer generates from the same seed.
+   */
+  restoreSnapshot(snapshot) {
+    const { seed, level, stats, player } = snapshot
+    this.world.reset(level, seed)
+    if (this.world.levelSeed !== snapshot.levelSeed) {
+      throw new Error('GameSimulation: snapshot is from a different level')
+    }
+
+    this.stats = {
+      ...this._createInitialStats(),
+      ...stats,
+      level,
+      levelHistory: [...(stats.levelHistory ?? [])]
+    }
+    this.collectedUniqueIds.clear()
+    snapshot.collectedUniqueIds.forEach(id => this.collectedUniqueIds.add(id))
+    for (const key of snapshot.collectedItems) {
+      const [tx, ty] = key.split(',').map(Number)
+      this.world.collectItem(tx, ty)
+    }
+    this.world.exploration.restore(snapshot.explored ?? {})
+    this.isFinished = false
+    this._events = []
+
+    this.player.reset(player)
+    this.player.direction = player.direction ?? this.player.direction
+    this.player.effects.restore(player.effects)
+    this._resetEntities()
+    this._explore()
+  }
+
+  /**
+   * Applies the effects of a collected item to the run.
+   *
+   * @param {Object} item   - The item definition object.
+   * @param {number} tileX  - The grid X index where the item was located.
+   * @param {number} tileY  - The grid Y index where the item was located.
+   * @returns {void}
+   */
+  processItem(item, tileX, tileY) {
+    this.world.collectItem(tileX, tileY)
+    const worldX = tileX * PhysicsConfig.TileSize
+    const worldY = tileY * PhysicsConfig.TileSize
+
+    if (item.health) {
+      this._handleHealthItem(item, worldX, worldY)
+    } else if (item.isCompass) {
+      this._handleCompassItem(worldX, worldY)
+    } else if (item.isBoost || item.isSlow) {
+      this._applyEffect(
+        item.isBoost ? StatusEffectTypes.BOOST : StatusEffectTypes.SLOW,
+        worldX + PhysicsConfig.TileSize / 2,
+        worldY + PhysicsConfig.TileSize / 2
+      )
+    } else {
+      this._handleScoreItem(item, worldX, worldY)
+    }
+
+    this.stats.score += item.score || 0
+    this._emit(SimulationEvents.ITEM_COLLECTED, { item, tileX, tileY })
+  }
+
+  /**
+   * World-space center of the player sprite.
+   *
+   * @returns {{ x: number; y: number }}
+   */
+  getPlayerCenter() {
+    return {
+      x: this.player.x + (SpriteConfig.Width * SpriteConfig.Scale) / 2,
+      y: this.player.y + (SpriteConfig.Height * SpriteConfig.Scale) / 2
+    }
+  }
+
+  /**
+   * Tile under the center of the player sprite.
+   *
+   * @returns {{ x: number; y: number }}
+   */
+  getPlayerTile() {
+    const center = this.getPlayerCenter()
+    return {
+      x: Math.floor(center.x / PhysicsConfig.TileSize),
+      y: Math.floor(center.y / PhysicsConfig.TileSize)
+    }
+  }
+
+  /**
+   * Nearest guaranteed target item whose type has not been collected on this
+   * level yet, as the compass points to it. Distance is the straight-line
+   * distance from the player's tile, in tiles.
+   *
+   * @returns {{
+   *   item: Object
+   *   tx: number
+   *   ty: number
+   *   distance: number
+   * } | null}
+   * The target, or `null` once every guaranteed item type is collected.
+   */
+  getCompassTarget() {
+    const tile = this.getPlayerTile()
+    let nearest = null
+    for (const { item, tx, ty } of this.world.guaranteedItems) {
+      if (this.collectedUniqueIds.has(item.id)) continue
+      const distance = Math.hypot(tx - tile.x, ty - tile.y)
+      if (!nearest || distance < nearest.distance) {
+        nearest = { item, tx, ty, distance }
+      }
+    }
+    return nearest
+  }
+
+  /**
+   * Calculates level-based health multiplier. Healing becomes less effective,
+   * damage becomes more effective as level increases.
+   *
+   * @param {number}  level      - Current level (1-5).
+   * @param {boolean} isHealing  - Whether this is a healing item (positive
+   *                             health).
+   * @returns {number} Multiplier to apply to health value.
+   */
+  getHealthMultiplier(level, isHealing) {
+    // Level 1: 1.0x (base)
+    // Level 2: Healing 0.9x, Damage 1.1x
+    // Level 3: Healing 0.8x, Damage 1.2x
+    // Level 4: Healing 0.7x, Damage 1.3x
+    // Level 5: Healing 0.6x, Damage 1.4x
+    const levelOffset = level - 1
+    if (isHealing) {
+      return 1.0 - levelOffset * 0.1 // Decrease healing by 10% per level
+    } else {
+      return 1.0 + levelOffset * 0.1 // Increase damage by 10% per level
+    }
+  }
+
+  /**
+   * Rounds a number to the nearest multiple of 4.
+   *
+   * @param {number} value  - Value to round.
+   * @returns {number} Value rounded to nearest multiple of 4.
+   * @access private
+   */
+  _roundToMultipleOf4(value) {
+    return Math.round(value / 4) * 4
+  }
+
+  /**
+   * Checks for item collisions using the player's collision box swept from its
+   * previous to its current position, so items passed during a long tick are
+   * still picked up.
+   *
+   * @returns {void}
+   * @access private
+   */
+  _checkCollisions() {
+    const box = this.player.getSweptHitbox()
+    for (const { item, tx, ty } of this.world.queryItems(box)) {
+      this.processItem(item, tx, ty)
+    }
+  }
+
+  /**
+   * Applies health modifications from an item with level-based scaling + BOOST
+   * IMMUNITY.
+   *
+   * @param {Object} item  - The health item object.
+   * @param {number} x     - World X position of the item.
+   * @param {number} y     - World Y position of the item.
+   * @returns {void}
+   * @access private
+   */
+  _handleHealthItem(item, x, y) {
+    const isHeal = item.health > 0
+
+    // === BOOST IMMUNITY: Block damage items completely ===
+    if (!isHeal && this.player.isBoosted) {
+      this._emit(SimulationEvents.IMMUNE, { x, y })
+      return // Skip damage application
+    }
+
+    const multiplier = this.getHealthMultiplier(this.stats.level, isHeal)
+    const amount = this._roundToMultipleOf4(item.health * multiplier)
+
+    this.stats.playerHealth = clamp(
+      this.stats.playerHealth + amount,
+      0,
+      StatsConfig.MaxHealth
+    )
+
+    this._emit(isHeal ? SimulationEvents.HEAL : SimulationEvents.DAMAGE, {
+      amount,
+      x,
+      y
+    })
+  }
+
+  /**
+   * Applies a speed effect. Stacking and cancellation rules live in the
+   * player's status effects (same effect extends, opposite effect replaces).
+   *
+   * @param {string} effect  - A `StatusEffectTypes` value.
+   * @param {number} x       - World X position for feedback.
+   * @param {number} y       - World Y position for feedback.
+   * @returns {void}
+   * @access private
+   */
+  _applyEffect(effect, x, y) {
+    this.player.effects.apply(effect, StatsConfig.SpeedBoostDuration)
+    this._emit(SimulationEvents.EFFECT, { effect, x, y })
+  }
+
+  /**
+   * Unlocks the objective compass. Further compass pickups only score.
+   *
+   * @param {number} x  - World X position of the item.
+   * @param {number} y  - World Y position of the item.
+   * @returns {void}
+   * @access private
+   */
+  _handleCompassItem(x, y) {
+    if (this.stats.hasCompass) return
+    this.stats.hasCompass = true
+    this._emit(SimulationEvents.COMPASS_UNLOCKED, { x, y })
+  }
+
+  /**
+   * Handles standard score/collectible items.
+   *
+   * @param {Object} item  - The collectible item object.
+   * @param {number} x     - World X position of the item.
+   * @param {number} y     - World Y position of the item.
+   * @returns {void}
+   * @access private
+   */
+  _handleScoreItem(item, x, y) {
+    this.stats.itemsCollected++
+    const isNew = !this.collectedUniqueIds.has(item.id)
+    if (isNew) {
+      this.collectedUniqueIds.add(item.id)
+      this.stats.uniqueFound = this.collectedUniqueIds.size
+    }
+    this._emit(SimulationEvents.FRAGMENT_COLLECTED, { item, x, y, isNew })
+  }
+
+  /**
+   * Replaces the entities with the new level's Garbage Collectors, placed on
+   * guaranteed item tiles away from spawn so each one guards a reachable part
+   * of the maze.
+   *
+   * @returns {void}
+   * @access private
+   */
+  _resetEntities() {
+    const config = EnemyConfig.GarbageCollector
+    const level = this.stats.level
+    const counts = config.CountPerLevel
+    const count = counts[Math.min(level, counts.length) - 1]
+    const seed = mixSeed(this.world.levelSeed, ENEMY_SALT)
+    const random = createSeededRandom(seed)
+
+    // Prefer tiles far from spawn, falling back to the farthest ones
+    const placements = [...this.world.guaranteedItems].sort(
+      (a, b) => b.distance - a.distance
+    )
+    let pool = placements.filter(
+      placement => placement.distance >= config.MinSpawnDistance
+    )
+    if (pool.length < count) pool = placements.slice(0, count)
+    const homes = pool.map(({ tx, ty }) => ({ x: tx, y: ty }))
+    // Seeded Fisher-Yates shuffle so the picks vary per level
+    for (let i = homes.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      ;[homes[i], homes[j]] = [homes[j], homes[i]]
+    }
+
+    this.entities.clear()
+    homes.slice(0, count).forEach((home, i) => {
+      this.entities.add(
+        new GarbageCollector({ home, level, seed: mixSeed(seed, i + 1) })
+      )
+    })
+    this._contactTimer = 0
+  }
+
+  /**
+   * Ticks the entity registry with the context its behaviors act through.
+   *
+   * @param {number} dt  - Tick length in milliseconds.
+   * @returns {void}
+   * @access private
+   */
+  _updateEntities(dt) {
+    this._contactTimer = Math.max(0, this._contactTimer - dt)
+    if (this.entities.size === 0) return
+
+    this.entities.update(dt, {
+      world: this.world,
+      player: this.player,
+      playerTile: Pathfinder.getFootprintTile(this.player.x, this.player.y),
+      level: this.stats.level,
+      hurtPlayer: (damage, x, y) => this._hurtPlayer(damage, x, y),
+      emit: (type, data) => this._emit(type, data)
+    })
+  }
+
+  /**
+   * Applies contact damage from an entity, scaled like hazard damage and
+   * blocked by the boost. A short grace period follows every contact.
+   *
+   * @param {number} damage  - Damage in KB before the level multiplier.
+   * @param {number} x       - World X position for feedback.
+   * @param {number} y       - World Y position for feedback.
+   * @returns {void}
+   * @access private
+   */
+  _hurtPlayer(damage, x, y) {
+    if (this._contactTimer > 0) return
+    this._contactTimer = EnemyConfig.ContactCooldown
+
+    if (this.player.isBoosted) {
+      this._emit(SimulationEvents.IMMUNE, { x, y })
+      return
+    }
+
+    const multiplier = this.getHealthMultiplier(this.stats.level, false)
+    const amount = -this._roundToMultipleOf4(damage * multiplier)
+    this.stats.playerHealth = clamp(
+      this.stats.playerHealth + amount,
+      0,
+      StatsConfig.MaxHealth
+    )
+    this._emit(SimulationEvents.DAMAGE, { amount, x, y })
+  }
+
+  /**
+   * Verifies win/loss conditions, advancing the level when all fragments are
+   * found.
+   *
+   * @returns {void}
+   * @access private
+   */
+  _checkEndConditions() {
+    if (this.stats.playerHealth <= 0) {
+      this.isFinished = true
+      this._emit(SimulationEvents.GAME_OVER)
+    } else if (this.collectedUniqueIds.size >= TARGET_ITEMS.length) {
+      if (this.stats.level < FINAL_LEVEL) {
+        this._advanceLevel()
+      } else {
+        this.isFinished = true
+        this._emit(SimulationEvents.VICTORY)
+      }
+    }
+  }
+
+  /**
+   * Advances to the next level, regenerating the world but keeping stats.
+   *
+   * @returns {void}
+   * @access private
+   */
+  _advanceLevel() {
+    this.stats.levelHistory.push(this.collectedUniqueIds.size)
+    this.stats.level++
+    // Reset world with new level to regenerate map and items
+    this.world.reset(this.stats.level)
+    this.collectedUniqueIds.clear()
+    this.stats.uniqueFound = 0
+
+    // Fully restore health on level up
+    this.stats.playerHealth = StatsConfig.MaxHealth
+
+    const spawn = this.world.findSpawn()
+    this.player.reset(spawn)
+    this._resetEntities()
+    this._explore()
+    this._emit(SimulationEvents.LEVEL_ADVANCED, {
+      level: this.stats.level,
+      spawn
+    })
+  }
+
+  /**
+   * Updates the player's sight and the explored share of the level.
+   *
+   * @returns {void}
+   * @access private
+   */
+  _explore() {
+    const tile = this.getPlayerTile()
+    this.world.revealFrom(tile.x, tile.y)
+    this.stats.explored = this.world.getExploredPercent()
+  }
+
+  /**
+   * Generates the default statistics object.
+   *
+   * @returns {Object} A fresh stats object with default values.
+   * @access private
+   */
+  _createInitialStats() {
+    return {
+      score: 0,
+      itemsCollected: 0,
+      uniqueFound: 0,
+      playerHealth: StatsConfig.MaxHealth,
+      level: 1,
+      // Game time in ms (excludes pauses), and unique items found per
+      // completed level
+      elapsed: 0,
+      levelHistory: [],
+      // Percent of the current level's area the player has seen
+      explored: 0,
+      // Whether the objective compass has been unlocked this run
+      hasCompass: false
+    }
+  }
+
+  /**
+   * @param {string} type    - A `SimulationEvents` value.
+   * @param {Object} [data]  - Event payload.
+   * @returns {void}
+   * @access private
+   */
+  _emit(type, data = {}) {
+    this._events.push({ type, ...data })
+  }
+
+  /**
+   * @returns {{ type: string }[]} The pending events, clearing the queue.
+   * @access private
+   */
+  _flushEvents() {
+    const events = this._events
+    this._events = []
+    return events
+  }
+}
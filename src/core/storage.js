@@ -0,0 +1,114 @@
+import { safeGlobal } from '../utils/environment.js'
+
+/**
+ * In-memory stand-in for `localStorage`, used outside browsers and when the
+ * browser refuses storage (e.g. locked-down privacy modes). Values last for
+ * the page session only.
+ */
+export class MemoryStorage {
+  constructor() {
+    this._items = new Map()
+  }
+
+  /**
+   * Number of stored keys.
+   *
+   * @returns {number}
+   */
+  get length() {
+    return this._items.size
+  }
+
+  /**
+   * @param {string} key  - Storage key.
+   * @returns {string | null} The stored value, or null when missing.
+   */
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null
+  }
+
+  /**
+   * @param {string} key    - Storage key.
+   * @param {string} value  - Value to store.
+   * @returns {void}
+   */
+  setItem(key, value) {
+    this._items.set(key, String(value))
+  }
+
+  /**
+   * @param {string} key  - Storage key.
+   * @returns {void}
+   */
+  removeItem(key) {
+    this._items.delete(key)
+  }
+
+  /**
+   * Removes every key.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._items.clear()
+  }
+}
+
+/** Shared fallback so every module sees the same values within a session. */
+const memoryFallback = new MemoryStorage()
+
+/**
+ * Resolves `localStorage` without throwing (it is missing outside browsers and
+ * can throw in locked-down privacy modes), falling back to a shared in-memory
+ * storage.
+ *
+ * @returns {Storage | MemoryStorage}
+ */
+export function resolveStorage() {
+  try {
+    return safeGlobal.localStorage ?? memoryFallback
+  } catch {
+    return memoryFallback
+  }
+}
+
+/**
+ * Reads and parses a JSON value.
+ *
+ * @param {Storage | MemoryStorage | null} storage
+ * - Storage to read from.
+ * @param {string} key
+ * - Storage key.
+ * @param {*} fallback
+ * - Returned when the key is missing or unreadable.
+ * @returns {*}
+ */
+export function readJson(storage, key, fallback = null) {
+  try {
+    const raw = storage?.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Serializes and stores a JSON value.
+ *
+ * @param {Storage | MemoryStorage | null} storage
+ * - Storage to write to.
+ * @param {string} key
+ * - Storage key.
+ * @param {*} value
+ * - JSON-serializable value.
+ * @returns {boolean}
+ * False when the storage is full or unavailable.
+ */
+export function writeJson(storage, key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value))
+    return Boolean(storage)
+  } catch {
+    return false
+  }
+}
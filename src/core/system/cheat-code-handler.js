@@ -19,6 +19,28 @@ export class CheatCodeHandler {
      */
     this._cheatCallbacks = new Map()
 
+    /**
+     * The keydown event that last completed a cheat code.
+     *
+     * @type {KeyboardEvent | null}
+     */
+    this._lastCompletingEvent = null
+
+    /**
+     * Listeners notified whenever a cheat is about to be toggled.
+     *
+     * @type {Set<function(string): void>}
+     */
+    this._toggleListeners = new Set()
+
+    /**
+     * Whether typed cheat codes are recognized. Disabled during replay playback
+     * so the keyboard cannot alter a recorded run.
+     *
+     * @type {boolean}
+     */
+    this.enabled = true
+
     this._boundKeydown = this._handleKeydown.bind(this)
   }
 
@@ -45,6 +67,40 @@ export class CheatCodeHandler {
     return this._activeCheats.has(code)
   }
 
+  /**
+   * Codes of all currently active cheats.
+   *
+   * @returns {string[]}
+   */
+  get activeCodes() {
+    return [...this._activeCheats]
+  }
+
+  /**
+   * Replaces the set of active cheats without running their callbacks or
+   * notifying listeners (used to restore the state a replay started from).
+   *
+   * @param {string[]} codes  - Cheat codes to mark as active.
+   * @returns {void}
+   */
+  restore(codes) {
+    this._activeCheats = new Set(codes)
+  }
+
+  /**
+   * Registers a listener called with the cheat code right before every toggle,
+   * ahead of any side effects of the cheat's callback.
+   *
+   * @param {function(string): void} listener
+   * - The listener.
+   * @returns {function(): void}
+   * Unsubscribes the listener.
+   */
+  onToggle(listener) {
+    this._toggleListeners.add(listener)
+    return () => this._toggleListeners.delete(listener)
+  }
+
   /**
    * Activates a cheat code.
    *
@@ -77,6 +133,8 @@ export class CheatCodeHandler {
    * @returns {void}
    */
   toggle(code) {
+    this._toggleListeners.forEach(listener => listener(code))
+
     if (this.isActive(code)) {
       this.deactivate(code)
     } else {
@@ -91,6 +149,8 @@ export class CheatCodeHandler {
    * @returns {void}
    */
   _handleKeydown(e) {
+    if (!this.enabled) return
+
     this._cheatBuffer += e.key.toLowerCase()
 
     // Keep buffer size manageable
@@ -101,6 +161,7 @@ export class CheatCodeHandler {
     // Check all registered cheat codes
     for (const [code] of this._cheatCallbacks) {
       if (this._cheatBuffer.endsWith(code)) {
+        this._lastCompletingEvent = e
         this.toggle(code)
         this._cheatBuffer = ''
         break
@@ -108,6 +169,17 @@ export class CheatCodeHandler {
     }
   }
 
+  /**
+   * Checks whether a keydown event was the final key of a cheat code, so other
+   * key bindings (e.g. the `p` in `jump`) can ignore it.
+   *
+   * @param {KeyboardEvent} e  - The keyboard event.
+   * @returns {boolean}
+   */
+  completedBy(e) {
+    return this._lastCompletingEvent === e
+  }
+
   /**
    * Attaches the keydown event listener.
    *
@@ -0,0 +1,120 @@
+import {
+  PathfindingConfig,
+  PhysicsConfig,
+  ScreenConfig,
+  SimulationConfig
+} from '../../config/index.js'
+import { FOOTPRINT_OFFSET, Pathfinder } from '../../world/pathfinder.js'
+
+/**
+ * Click/tap-to-move control: plans an A* route to a clicked tile and turns it
+ * into per-tick movement vectors, so walked routes are recorded and replayed
+ * like any other input.
+ */
+export class ClickToMove {
+  constructor() {
+    /**
+     * Tiles still to walk, starting with the next waypoint.
+     *
+     * @type {{ x: number; y: number }[] | null}
+     */
+    this._route = null
+    this._lastPosition = null
+    this._stuckTicks = 0
+  }
+
+  /**
+   * Whether a route is being walked.
+   *
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this._route !== null
+  }
+
+  /**
+   * Remaining waypoints of the active route, or `null` without one.
+   *
+   * @returns {ReadonlyArray<{ x: number; y: number }> | null}
+   */
+  get route() {
+    return this._route
+  }
+
+  /**
+   * Plans a route from the player to a tile, replacing the active one.
+   *
+   * @param {import('../../world/world.js').World} world
+   * - The world to route through.
+   * @param {{ x: number; y: number }} player
+   * - Player sprite position.
+   * @param {{ x: number; y: number }} target
+   * - Target tile.
+   * @returns {boolean}
+   * Whether a route was found.
+   */
+  moveTo(world, player, target) {
+    const start = Pathfinder.getFootprintTile(player.x, player.y)
+    const path = new Pathfinder(world).findPath(start, target)
+    this._route = path
+    this._lastPosition = null
+    this._stuckTicks = 0
+    return path !== null
+  }
+
+  /**
+   * Drops the active route.
+   *
+   * @returns {void}
+   */
+  cancel() {
+    this._route = null
+  }
+
+  /**
+   * Movement vector that steers the player's feet toward the next waypoint for
+   * one tick. Waypoints are dropped once reached, and the route is abandoned
+   * when the player stops making progress.
+   *
+   * @param {{ x: number; y: number; multiplier: number }} player
+   * - The player.
+   * @returns {{ x: number; y: number }}
+   */
+  getMovementVector(player) {
+    if (!this._route) return { x: 0, y: 0 }
+
+    if (
+      this._lastPosition &&
+      this._lastPosition.x === player.x &&
+      this._lastPosition.y === player.y
+    ) {
+      if (++this._stuckTicks >= PathfindingConfig.StuckTicks) {
+        this.cancel()
+        return { x: 0, y: 0 }
+      }
+    } else {
+      this._stuckTicks = 0
+    }
+    this._lastPosition = { x: player.x, y: player.y }
+
+    const step =
+      PhysicsConfig.BaseSpeed *
+      player.multiplier *
+      (SimulationConfig.TickInterval / ScreenConfig.FrameInterval)
+    const ts = PhysicsConfig.TileSize
+    const feetX = player.x + FOOTPRINT_OFFSET.x
+    const feetY = player.y + FOOTPRINT_OFFSET.y
+
+    while (this._route.length > 0) {
+      const waypoint = this._route[0]
+      const dx = (waypoint.x + 0.5) * ts - feetX
+      const dy = (waypoint.y + 0.5) * ts - feetY
+      const distance = Math.hypot(dx, dy)
+      if (distance > step) return { x: dx / distance, y: dy / distance }
+      this._route.shift()
+    }
+
+    this.cancel()
+    return { x: 0, y: 0 }
+  }
+}
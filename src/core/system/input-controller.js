@@ -1,4 +1,4 @@
-import { Directions } from '../../config/index.js'
+import { ControlSchemes, Directions, MovementKeys } from '../../config/index.js'
 import { defaultEventTarget, isTouchDevice } from '../../utils/environment.js'
 import { TouchGamepad } from './touch-gamepad.js'
 
@@ -19,12 +19,25 @@ export class InputController {
    * @param {EventTarget} [options.target=defaultEventTarget]
    * - The DOM element to listen to (usually window or canvas). Default is
    * `defaultEventTarget`
+   * @param {import('../settings.js').SettingsStore | null}
+   * [options.settings=null]
+   * - Source of the control scheme, followed live. Default is `null` (WASD and
+   * arrow keys).
    */
-  constructor({ target = defaultEventTarget } = {}) {
+  constructor({ target = defaultEventTarget, settings = null } = {}) {
     this._target = target
     this._keysPressed = new Set()
     this._mouse = { x: 0, y: 0 }
     this._gamepad = null
+    this._movementKeys = MovementKeys[ControlSchemes.WASD]
+
+    this._unsubscribe = null
+    if (settings) {
+      this._applySettings(settings.values)
+      this._unsubscribe = settings.subscribe(values =>
+        this._applySettings(values)
+      )
+    }
 
     // Initialize simple touch gamepad (only on touch devices)
     if (isTouchDevice()) {
@@ -41,6 +54,18 @@ export class InputController {
     this._attachListeners()
   }
 
+  /**
+   * Switches the movement keys to the chosen control scheme.
+   *
+   * @param {import('../settings.js').Settings} values
+   * @returns {void}
+   * @access private
+   */
+  _applySettings(values) {
+    this._movementKeys =
+      MovementKeys[values.controlScheme] ?? MovementKeys[ControlSchemes.WASD]
+  }
+
   /**
    * Attaches event listeners to the target.
    *
@@ -87,21 +112,34 @@ export class InputController {
     this._mouse.y = event.clientY
   }
 
+  /**
+   * Releases every tracked key and recenters the touch stick. Used when the
+   * page loses focus, since the matching keyup events never arrive.
+   *
+   * @returns {void}
+   */
+  clearKeys() {
+    this._keysPressed.clear()
+    if (this._gamepad && this._gamepad.reset) {
+      this._gamepad.reset()
+    }
+  }
+
   /**
    * Calculates the normalized movement vector based on currently held keys.
-   * Supports both Arrow keys and WASD, and gamepad input on touch devices.
+   * Supports the arrow keys plus the letters of the control scheme, and gamepad
+   * input on touch devices.
    *
    * @returns {{ x: number; y: number }} A vector where x and y are between -1
    *                                     and 1.
    */
   getMovementVector() {
-    const isRight =
-      this._keysPressed.has('ArrowRight') || this._keysPressed.has('d')
-    const isLeft =
-      this._keysPressed.has('ArrowLeft') || this._keysPressed.has('a')
-    const isDown =
-      this._keysPressed.has('ArrowDown') || this._keysPressed.has('s')
-    const isUp = this._keysPressed.has('ArrowUp') || this._keysPressed.has('w')
+    const keys = this._movementKeys
+    const isHeld = list => list.some(key => this._keysPressed.has(key))
+    const isRight = isHeld(keys.right)
+    const isLeft = isHeld(keys.left)
+    const isDown = isHeld(keys.down)
+    const isUp = isHeld(keys.up)
 
     let x = (isRight ? 1 : 0) - (isLeft ? 1 : 0)
     let y = (isDown ? 1 : 0) - (isUp ? 1 : 0)
@@ -168,6 +206,7 @@ export class InputController {
    * @returns {void}
    */
   dispose() {
+    this._unsubscribe?.()
     this._target.removeEventListener('keydown', this._boundHandlers.down)
     this._target.removeEventListener('keyup', this._boundHandlers.up)
     this._target.removeEventListener('mousemove', this._boundHandlers.move)
@@ -127,6 +127,21 @@ export class TouchGamepad {
     }
   }
 
+  /**
+   * Releases the stick back to center, e.g. when the page loses focus
+   * mid-touch.
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.isActive = false
+    this.touchId = null
+    this.stickX = this.centerX
+    this.stickY = this.centerY
+    this.state = { x: 0, y: 0 }
+    this.draw()
+  }
+
   updateStick(x, y) {
     const dx = x - this.centerX
     const dy = y - this.centerY
@@ -0,0 +1,105 @@
+import { FogConfig, PhysicsConfig } from '../../config/index.js'
+
+/**
+ * Draws the fog of war: unexplored tiles are nearly black and explored tiles
+ * out of sight are dimmed. The shading is painted at one pixel per tile into
+ * an offscreen canvas and stretched over the view with smoothing, which both
+ * keeps the per-frame cost to a single blit and softens the fog's edges.
+ */
+export class FogOverlay {
+  /**
+   * @param {Object}   options               - Overlay options.
+   * @param {Function} options.createCanvas  - Creates an offscreen canvas from
+   *                                         a width and height.
+   */
+  constructor({ createCanvas }) {
+    this._createCanvas = createCanvas
+    this._canvas = null
+    this._key = null
+    this._exploration = null
+  }
+
+  /**
+   * Draws the fog over the visible part of the world.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * - Target context.
+   * @param {Object} world
+   * - The game world.
+   * @param {{ x: number; y: number }} camera
+   * - Top-left world position of the view.
+   * @param {number} viewWidth
+   * - View width in pixels.
+   * @param {number} viewHeight
+   * - View height in pixels.
+   * @returns {void}
+   */
+  draw(ctx, world, camera, viewWidth, viewHeight) {
+    const ts = PhysicsConfig.TileSize
+    // One extra tile on each side keeps the smoothed edges off screen
+    const startX = Math.floor(camera.x / ts) - 1
+    const startY = Math.floor(camera.y / ts) - 1
+    const cols = Math.ceil(viewWidth / ts) + 3
+    const rows = Math.ceil(viewHeight / ts) + 3
+
+    const canvas = this._paint(world, startX, startY, cols, rows)
+
+    ctx.save()
+    ctx.imageSmoothingEnabled = true
+    ctx.drawImage(
+      canvas,
+      0,
+      0,
+      cols,
+      rows,
+      Math.round(startX * ts - camera.x),
+      Math.round(startY * ts - camera.y),
+      cols * ts,
+      rows * ts
+    )
+    ctx.restore()
+  }
+
+  /**
+   * Repaints the fog image when the covered tiles or the exploration state
+   * changed.
+   *
+   * @access private
+   */
+  _paint(world, startX, startY, cols, rows) {
+    const exploration = world.exploration
+    const key = [startX, startY, cols, rows, exploration.revision].join()
+
+    if (
+      !this._canvas ||
+      this._canvas.width < cols ||
+      this._canvas.height < rows
+    ) {
+      this._canvas = this._createCanvas(cols, rows)
+      this._key = null
+    }
+    if (key === this._key && world.exploration === this._exploration) {
+      return this._canvas
+    }
+    this._key = key
+    this._exploration = exploration
+
+    const ctx = this._canvas.getContext('2d')
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height)
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const tx = startX + x
+        const ty = startY + y
+        if (exploration.isVisible(tx, ty)) continue
+
+        ctx.fillStyle = exploration.isExplored(tx, ty)
+          ? FogConfig.ExploredShade
+          : FogConfig.UnexploredShade
+        ctx.fillRect(x, y, 1, 1)
+      }
+    }
+
+    return this._canvas
+  }
+}
@@ -4,8 +4,12 @@ import {
   Fonts,
   StatsConfig,
   HudConfig,
-  TARGET_ITEMS
+  TARGET_ITEMS,
+  StatusEffectConfig,
+  TileTypes
 } from '../../config/index.js'
+import { defaultDocument } from '../../utils/environment.js'
+import { getOutlineColors } from '../settings.js'
 
 /**
  * Manages the rendering of the Heads-Up Display (HUD) overlay. Handles the
@@ -25,44 +29,111 @@ export class HudRenderer {
    * - Color palette. Default is `Colors`
    * @param {Object} [options.fonts=Fonts]
    * - Font definitions. Default is `Fonts`
+   * @param {function(number, number): HTMLCanvasElement} [options.createCanvas]
+   * - Creates the offscreen canvas the minimap is drawn into. Default creates
+   * one with `defaultDocument`.
+   * @param {import('../settings.js').SettingsStore | null}
+   * [options.settings=null]
+   * - Source of the palette and reduced motion preferences, read every frame.
+   * Default is `null`
    */
   constructor(
     ctx,
-    { layout = LayoutConfig, colors = Colors, fonts = Fonts } = {}
+    {
+      layout = LayoutConfig,
+      colors = Colors,
+      fonts = Fonts,
+      createCanvas = createDefaultCanvas,
+      settings = null
+    } = {}
   ) {
     this._ctx = ctx
     this._layout = layout
     this._colors = colors
     this._fonts = fonts
     this._targetItems = TARGET_ITEMS
+    this._createCanvas = createCanvas
+    this._settings = settings
+
+    // Minimap image, redrawn only when its inputs change
+    this._minimap = { canvas: null, key: null, generator: null }
 
     // State for hit-testing interactive elements
     this._muteButtonRect = { x: 0, y: 0, w: 0, h: 0 }
     this._fullscreenButtonRect = { x: 0, y: 0, w: 0, h: 0 }
+    this._pauseButtonRect = { x: 0, y: 0, w: 0, h: 0 }
+    this._settingsButtonRect = { x: 0, y: 0, w: 0, h: 0 }
   }
 
   /**
    * Main render loop for the HUD. Orchestrates drawing of all sub-components.
    *
-   * @param {Object}  stats    - Current game statistics (score, health, etc.).
-   * @param {Object}  hud      - Transient HUD state (messages, timers).
-   * @param {boolean} isMuted  - Audio mute state.
-   * @param {number}  width    - Current canvas width.
-   * @param {number}  height   - Current canvas height.
-   * @param {number}  scale    - UI scaling factor based on screen size.
-   * @param {number}  level    - Current level number.
+   * @param {Object} stats
+   * - Current game statistics (score, health, etc.).
+   * @param {Object} hud
+   * - Transient HUD state (messages, timers, achievement toasts).
+   * @param {boolean} isMuted
+   * - Audio mute state.
+   * @param {number} width
+   * - Current canvas width.
+   * @param {number} height
+   * - Current canvas height.
+   * @param {number} scale
+   * - UI scaling factor based on screen size.
+   * @param {number} level
+   * - Current level number.
+   * @param {{ type: string; remaining: number; duration: number }[]}
+   * [effects=[]]
+   * - Active player status effects. Default is `[]`
+   * @param {{
+   *   world: Object
+   *   center: { x: number; y: number }
+   *   collectedIds: Set<string>
+   *   explored: number
+   * } | null} [minimap=null]
+   * - World, player tile, collected fragment ids and explored percentage for
+   * the minimap, or `null` to hide it. Default is `null`
+   * @param {{
+   *   item: Object
+   *   distance: number
+   *   fromX: number
+   *   fromY: number
+   *   x: number
+   *   y: number
+   * } | null} [compass=null]
+   * - Target item, its distance in tiles and the canvas positions of the player
+   * and the target, or `null` to hide the compass. Default is `null`
    * @returns {void}
    */
-  render(stats, hud, isMuted, width, height, scale, level = 1) {
+  render(
+    stats,
+    hud,
+    isMuted,
+    width,
+    height,
+    scale,
+    level = 1,
+    effects = [],
+    minimap = null,
+    compass = null
+  ) {
+    if (compass) this._drawCompass(compass, width, height, scale)
+    if (minimap) this._drawMinimap(minimap, width, height, scale)
     this._drawScorePanel(stats, scale, level)
     this._drawInventoryPanel(hud, width, scale)
     this._drawMemoryBar(stats.playerHealth, width, height, scale)
+    this._drawEffectTimers(effects, width, height, scale)
     this._drawMuteButton(isMuted, width, height, scale)
     this._drawFullscreenButton(width, height, scale)
+    this._drawPauseButton(width, height, scale)
+    this._drawSettingsButton(width, height, scale)
 
     if (hud.messageTimer > 0) {
       this._drawStatusMessage(hud, width, height, scale)
     }
+    if (hud.toasts?.length > 0) {
+      this._drawToast(hud.toasts[0], width, scale)
+    }
   }
 
   /**
@@ -202,7 +273,11 @@ export class HudRenderer {
 
       const isCollected = hud.collectedIds.has(item.id)
       const pulseRemaining = pulseTimers?.get(item.id) ?? 0
-      const isPulsing = isCollected && pulseDuration > 0 && pulseRemaining > 0
+      const isPulsing =
+        isCollected &&
+        pulseDuration > 0 &&
+        pulseRemaining > 0 &&
+        !this._settings?.get('reducedMotion')
       const pulseProgress = isPulsing
         ? Math.max(0, Math.min(1, 1 - pulseRemaining / pulseDuration))
         : 0
@@ -287,6 +362,65 @@ export class HudRenderer {
     )
   }
 
+  /**
+   * Renders a countdown pill per active status effect to the right of the
+   * memory bar.
+   *
+   * @access private
+   */
+  _drawEffectTimers(effects, canvasWidth, canvasHeight, scale) {
+    if (effects.length === 0) return
+
+    const layout = this._layout
+    const barW = layout.memoryBarWidth * scale
+    const h = layout.memoryBarHeight * scale
+    const w = layout.effectPillWidth * scale
+    const y = canvasHeight - layout.memoryBarBottomMargin * scale
+    let x = (canvasWidth + barW) / 2 + layout.effectPillSpacing * scale
+    const padding = layout.memoryBarInnerPadding
+    const palette = getOutlineColors(this._settings)
+
+    effects.forEach(effect => {
+      const color = palette[effect.type] ?? this._colors.Warning
+      const progress = Math.max(
+        0,
+        Math.min(1, effect.remaining / effect.duration)
+      )
+
+      this._drawRoundedRect(
+        x,
+        y,
+        w,
+        h,
+        layout.buttonRadius,
+        this._colors.UiBackground,
+        color
+      )
+
+      // Remaining-time bar along the bottom edge
+      this._ctx.fillStyle = color
+      this._ctx.fillRect(
+        x + padding,
+        y + h - padding - HudConfig.effectBarHeight * scale,
+        (w - padding * 2) * progress,
+        HudConfig.effectBarHeight * scale
+      )
+
+      const label = StatusEffectConfig[effect.type]?.label ?? effect.type
+      this._ctx.fillStyle = '#fff'
+      this._ctx.font = `700 ${layout.memoryFontSize * scale}px ${this._fonts.Monospace}`
+      this._ctx.textAlign = 'center'
+      this._ctx.textBaseline = 'middle'
+      this._ctx.fillText(
+        `${label} ${(effect.remaining / 1000).toFixed(1)}s`,
+        x + w / 2,
+        y + h / 2 - HudConfig.textVerticalOffset * scale
+      )
+
+      x += w + layout.effectPillSpacing * scale
+    })
+  }
+
   /**
    * Renders the mute button and updates its hit-box.
    * Positioned in the lower right corner.
@@ -361,6 +495,87 @@ export class HudRenderer {
     this._drawFullscreenIcon(x, y, size, isFullscreen, scale)
   }
 
+  /**
+   * Renders the pause button and updates its hit-box.
+   * Positioned in the lower right corner, above the mute button.
+   *
+   * @access private
+   */
+  _drawPauseButton(canvasWidth, canvasHeight, scale) {
+    const layout = this._layout
+    const size = layout.muteButtonSize * scale
+    const spacing = 10 * scale
+    const x = canvasWidth - size - layout.outerMargin
+    const y = canvasHeight - size * 3 - spacing * 2 - layout.outerMargin
+
+    // Update hit-box for input controller
+    this._pauseButtonRect = { x, y, w: size, h: size }
+
+    this._drawRoundedRect(
+      x,
+      y,
+      size,
+      size,
+      layout.buttonRadius,
+      this._colors.UiBackground,
+      this._colors.UiBorder
+    )
+
+    // Two vertical bars
+    const barW = size * 0.14
+    const barH = size * 0.42
+    const gap = size * 0.12
+    this._ctx.fillStyle = '#fff'
+    this._ctx.fillRect(
+      x + size / 2 - gap / 2 - barW,
+      y + (size - barH) / 2,
+      barW,
+      barH
+    )
+    this._ctx.fillRect(
+      x + size / 2 + gap / 2,
+      y + (size - barH) / 2,
+      barW,
+      barH
+    )
+  }
+
+  /**
+   * Renders the settings button and updates its hit-box.
+   * Positioned in the lower right corner, above the pause button.
+   *
+   * @access private
+   */
+  _drawSettingsButton(canvasWidth, canvasHeight, scale) {
+    const layout = this._layout
+    const size = layout.muteButtonSize * scale
+    const spacing = 10 * scale
+    const x = canvasWidth - size - layout.outerMargin
+    const y = canvasHeight - size * 4 - spacing * 3 - layout.outerMargin
+
+    // Update hit-box for input controller
+    this._settingsButtonRect = { x, y, w: size, h: size }
+
+    this._drawRoundedRect(
+      x,
+      y,
+      size,
+      size,
+      layout.buttonRadius,
+      this._colors.UiBackground,
+      this._colors.UiBorder
+    )
+
+    this._ctx.font = `${layout.muteFontSize * scale}px sans-serif`
+    this._ctx.textAlign = 'center'
+    this._ctx.textBaseline = 'middle'
+    this._ctx.fillText(
+      '⚙️',
+      x + size / 2,
+      y + size / 2 + HudConfig.textVerticalOffset * scale
+    )
+  }
+
   /**
    * Draws a fullscreen icon (expand/compress arrows).
    *
@@ -469,6 +684,267 @@ export class HudRenderer {
     this._ctx.restore()
   }
 
+  /**
+   * Renders an achievement unlock banner at the top center, fading in and out.
+   *
+   * @access private
+   */
+  _drawToast({ achievement, timer }, canvasWidth, scale) {
+    const ctx = this._ctx
+    const fade = HudConfig.messageFadeDuration / 3
+    const shown = HudConfig.toastDuration - timer
+    const w = HudConfig.toastWidth * scale
+    const h = HudConfig.toastHeight * scale
+    const x = (canvasWidth - w) / 2
+    const y = HudConfig.toastTopMargin * scale
+
+    ctx.save()
+    ctx.globalAlpha = Math.max(0, Math.min(1, timer / fade, shown / fade))
+    this._drawRoundedRect(
+      x,
+      y,
+      w,
+      h,
+      this._layout.buttonRadius,
+      this._colors.UiBackground,
+      HudConfig.toastColor
+    )
+
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillStyle = HudConfig.toastColor
+    ctx.font = `700 ${11 * scale}px ${this._fonts.Monospace}`
+    ctx.fillText('ACHIEVEMENT UNLOCKED', canvasWidth / 2, y + h * 0.3)
+
+    ctx.fillStyle = '#fff'
+    ctx.font = `700 ${16 * scale}px ${this._fonts.Primary}`
+    ctx.fillText(
+      `${achievement.emoji} ${achievement.name}`,
+      canvasWidth / 2,
+      y + h * 0.68
+    )
+    ctx.restore()
+  }
+
+  /**
+   * Renders the minimap panel: explored tiles around the player, item markers
+   * and the player position.
+   *
+   * @access private
+   */
+  _drawMinimap(
+    { world, center, collectedIds, explored },
+    canvasWidth,
+    canvasHeight,
+    scale
+  ) {
+    const rect = this._getMinimapRect(canvasWidth, canvasHeight, scale)
+    const padding = HudConfig.minimapPadding * scale
+    const inner = rect.size - padding * 2
+
+    this._drawRoundedRect(
+      rect.x,
+      rect.y,
+      rect.size,
+      rect.size,
+      this._layout.panelRadius,
+      this._colors.UiBackground,
+      this._colors.UiBorder
+    )
+
+    const image = this._getMinimapImage(world, center, collectedIds)
+    this._ctx.save()
+    this._ctx.imageSmoothingEnabled = false
+    this._ctx.drawImage(image, rect.x + padding, rect.y + padding, inner, inner)
+    this._ctx.restore()
+
+    // Player marker, slightly larger than a tile so it stays visible
+    const tilePixels = inner / (HudConfig.minimapRadius * 2 + 1)
+    const marker = Math.max(3 * scale, tilePixels * 1.5)
+    this._ctx.fillStyle = HudConfig.minimapPlayerColor
+    this._ctx.fillRect(
+      rect.x + rect.size / 2 - marker / 2,
+      rect.y + rect.size / 2 - marker / 2,
+      marker,
+      marker
+    )
+
+    this._ctx.fillStyle = '#ccc'
+    this._ctx.font = `400 ${this._layout.labelFontSize * scale}px ${this._fonts.Monospace}`
+    this._ctx.textAlign = 'right'
+    this._ctx.textBaseline = 'bottom'
+    this._ctx.fillText(
+      `${explored}%`,
+      rect.x + rect.size - padding,
+      rect.y + rect.size - padding
+    )
+  }
+
+  /**
+   * Renders the objective compass: an arrow above the target while it is on
+   * screen, otherwise an arrow on the screen edge in its direction, labelled
+   * with the target emoji and its distance in tiles.
+   *
+   * @access private
+   */
+  _drawCompass(
+    { item, distance, fromX, fromY, x, y },
+    canvasWidth,
+    canvasHeight,
+    scale
+  ) {
+    const margin = HudConfig.compassEdgeMargin * scale
+    const size = HudConfig.compassArrowSize * scale
+    const left = margin
+    const top = margin
+    const right = canvasWidth - margin
+    const bottom = canvasHeight - margin
+
+    let angle = Math.PI / 2
+    let ax = x
+    let ay = y - size * 2
+    if (x < left || x > right || y < top || y > bottom) {
+      // Walk from the player toward the target until the inset border
+      const dx = x - fromX
+      const dy = y - fromY
+      const tx =
+        dx > 0 ? (right - fromX) / dx : dx < 0 ? (left - fromX) / dx : 1
+      const ty =
+        dy > 0 ? (bottom - fromY) / dy : dy < 0 ? (top - fromY) / dy : 1
+      const t = Math.max(0, Math.min(tx, ty, 1))
+      angle = Math.atan2(dy, dx)
+      ax = fromX + dx * t
+      ay = fromY + dy * t
+    }
+
+    const ctx = this._ctx
+    ctx.save()
+    ctx.translate(ax, ay)
+    ctx.rotate(angle)
+    ctx.beginPath()
+    ctx.moveTo(size, 0)
+    ctx.lineTo(-size * 0.6, size * 0.7)
+    ctx.lineTo(-size * 0.6, -size * 0.7)
+    ctx.closePath()
+    ctx.fillStyle = HudConfig.compassColor
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.9)'
+    ctx.lineWidth = 2 * scale
+    ctx.fill()
+    ctx.stroke()
+    ctx.restore()
+
+    // Label behind the arrow, away from the edge it points at
+    const lx = ax - Math.cos(angle) * size * 2.2
+    const ly = ay - Math.sin(angle) * size * 2.2
+    const label = `${item.emoji} ${Math.round(distance)} tiles`
+    ctx.save()
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.font = `700 ${this._layout.labelFontSize * scale}px ${this._fonts.Monospace}`
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.9)'
+    ctx.lineWidth = 4 * scale
+    ctx.lineJoin = 'round'
+    ctx.strokeText(label, lx, ly)
+    ctx.fillStyle = '#fff'
+    ctx.fillText(label, lx, ly)
+    ctx.restore()
+  }
+
+  /**
+   * Returns the minimap image at one pixel per tile, redrawing it only when the
+   * player tile, the explored area, the items or the level changed.
+   *
+   * @access private
+   */
+  _getMinimapImage(world, center, collectedIds) {
+    const radius = HudConfig.minimapRadius
+    const span = radius * 2 + 1
+    const cache = this._minimap
+    const exploration = world.exploration
+    const key = [
+      center.x,
+      center.y,
+      exploration.revision,
+      world.itemRevision,
+      collectedIds.size
+    ].join()
+
+    if (!cache.canvas) cache.canvas = this._createCanvas(span, span)
+    if (key === cache.key && world.generator === cache.generator) {
+      return cache.canvas
+    }
+    cache.key = key
+    cache.generator = world.generator
+
+    const ctx = cache.canvas.getContext('2d')
+    ctx.clearRect(0, 0, span, span)
+
+    for (let y = 0; y < span; y++) {
+      for (let x = 0; x < span; x++) {
+        const tx = center.x - radius + x
+        const ty = center.y - radius + y
+        if (!exploration.isExplored(tx, ty)) continue
+
+        if (world.getTileType(tx, ty) === TileTypes.WALL) {
+          ctx.fillStyle = HudConfig.minimapWallColor
+        } else {
+          const item = HudConfig.minimapShowItems && world.getItemAt(tx, ty)
+          if (!item) {
+            ctx.fillStyle = HudConfig.minimapFloorColor
+          } else if (
+            this._targetItems.includes(item) &&
+            !collectedIds.has(item.id)
+          ) {
+            ctx.fillStyle = HudConfig.minimapTargetColor
+          } else {
+            ctx.fillStyle = HudConfig.minimapItemColor
+          }
+        }
+        ctx.fillRect(x, y, 1, 1)
+      }
+    }
+
+    return cache.canvas
+  }
+
+  /**
+   * Places the minimap in the configured corner, clear of the side panels and
+   * the button column.
+   *
+   * @access private
+   */
+  _getMinimapRect(canvasWidth, canvasHeight, scale) {
+    const layout = this._layout
+    const size = HudConfig.minimapSize * scale
+    const margin = layout.outerMargin
+    const gridRows = Math.ceil(this._targetItems.length / layout.gridColumns)
+
+    switch (HudConfig.minimapCorner) {
+      case 'top-left':
+        return {
+          x: margin,
+          y: margin * 2 + (layout.sidePanelHeight + 30) * scale,
+          size
+        }
+      case 'top-right':
+        return {
+          x: canvasWidth - size - margin,
+          y:
+            margin * 2 +
+            (layout.gridBaseHeight + gridRows * layout.gridRowHeight) * scale,
+          size
+        }
+      case 'bottom-right':
+        return {
+          x: canvasWidth - size - margin * 2 - layout.muteButtonSize * scale,
+          y: canvasHeight - size - margin,
+          size
+        }
+      default:
+        return { x: margin, y: canvasHeight - size - margin, size }
+    }
+  }
+
   /**
    * Utility to draw a rounded rectangle path.
    *
@@ -502,6 +978,24 @@ export class HudRenderer {
     return this._muteButtonRect
   }
 
+  /**
+   * Provides the last calculated pause button bounds for input hit tests.
+   *
+   * @returns {{ x: number; y: number; w: number; h: number }}
+   */
+  getPauseButtonRect() {
+    return this._pauseButtonRect
+  }
+
+  /**
+   * Provides the last calculated settings button bounds for input hit tests.
+   *
+   * @returns {{ x: number; y: number; w: number; h: number }}
+   */
+  getSettingsButtonRect() {
+    return this._settingsButtonRect
+  }
+
   /**
    * Provides the last calculated fullscreen button bounds for input hit tests.
    *
@@ -511,3 +1005,17 @@ export class HudRenderer {
     return this._fullscreenButtonRect
   }
 }
+
+/**
+ * Creates an offscreen canvas through the default document.
+ *
+ * @param {number} width   - Canvas width in pixels.
+ * @param {number} height  - Canvas height in pixels.
+ * @returns {HTMLCanvasElement}
+ */
+function createDefaultCanvas(width, height) {
+  const canvas = defaultDocument.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
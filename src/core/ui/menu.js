@@ -0,0 +1,204 @@
+import { Colors, Fonts, MenuConfig } from '../../config/index.js'
+
+/**
+ * Draws vertically stacked canvas menus (title plus selectable items) and keeps
+ * the item bounds around for pointer hit-testing.
+ */
+export class MenuRenderer {
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * - The 2D rendering context.
+   * @param {Object} [options={}]
+   * - Optional configuration overrides. Default is `{}`
+   * @param {Object} [options.config=MenuConfig]
+   * - Menu layout and colors. Default is `MenuConfig`
+   * @param {Object} [options.colors=Colors]
+   * - Color palette. Default is `Colors`
+   * @param {Object} [options.fonts=Fonts]
+   * - Font definitions. Default is `Fonts`
+   */
+  constructor(
+    ctx,
+    { config = MenuConfig, colors = Colors, fonts = Fonts } = {}
+  ) {
+    this._ctx = ctx
+    this._config = config
+    this._colors = colors
+    this._fonts = fonts
+
+    /**
+     * @type {{
+     *   id: string
+     *   x: number
+     *   y: number
+     *   w: number
+     *   h: number
+     * }[]}
+     */
+    this._itemRects = []
+  }
+
+  /**
+   * Renders a menu centered on the canvas.
+   *
+   * @param {Object} menu
+   * - The menu description.
+   * @param {string} menu.title
+   * - Heading drawn above the items.
+   * @param {string} [menu.subtitle]
+   * - Optional smaller line under the heading.
+   * @param {{ id: string; label: string }[]} menu.items
+   * - Selectable entries, top to bottom.
+   * @param {number} [menu.selectedIndex=0]
+   * - Index of the highlighted entry. Default is `0`
+   * @param {number} width
+   * - Current canvas width.
+   * @param {number} height
+   * - Current canvas height.
+   * @param {number} scale
+   * - UI scaling factor based on screen size.
+   * @returns {void}
+   */
+  render(menu, width, height, scale) {
+    const ctx = this._ctx
+    const config = this._config
+    const { title, subtitle, items, selectedIndex = 0 } = menu
+
+    const listHeight = this.measureItems(items.length, scale)
+    const titleBlock = config.titleSpacing * scale * (subtitle ? 1.6 : 1)
+    const top = (height - listHeight - titleBlock) / 2 + titleBlock
+
+    ctx.save()
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+
+    ctx.fillStyle = this._colors.Info
+    ctx.font = `900 ${config.titleFontSize * scale}px ${this._fonts.Primary}`
+    ctx.fillText(title, width / 2, top - titleBlock)
+
+    if (subtitle) {
+      ctx.fillStyle = '#ccc'
+      ctx.font = `400 ${config.subtitleFontSize * scale}px ${this._fonts.Monospace}`
+      ctx.fillText(
+        subtitle,
+        width / 2,
+        top - titleBlock + config.titleSpacing * scale
+      )
+    }
+
+    ctx.restore()
+
+    this.renderItems(items, selectedIndex, top, width, scale)
+  }
+
+  /**
+   * Renders a column of selectable items horizontally centered on the canvas,
+   * starting at a given Y. Used directly by screens that lay out their own
+   * headings (start and end screens).
+   *
+   * @param {{ id: string; label: string }[]} items
+   * - Selectable entries, top to bottom.
+   * @param {number} selectedIndex
+   * - Index of the highlighted entry.
+   * @param {number} top
+   * - Y coordinate of the first item.
+   * @param {number} width
+   * - Current canvas width.
+   * @param {number} scale
+   * - UI scaling factor based on screen size.
+   * @returns {void}
+   */
+  renderItems(items, selectedIndex, top, width, scale) {
+    const ctx = this._ctx
+    const config = this._config
+    const itemW = config.itemWidth * scale
+    const itemH = config.itemHeight * scale
+    const spacing = config.itemSpacing * scale
+
+    ctx.save()
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+
+    this._itemRects = items.map((item, i) => {
+      const rect = {
+        id: item.id,
+        x: (width - itemW) / 2,
+        y: top + i * (itemH + spacing),
+        w: itemW,
+        h: itemH
+      }
+      const isSelected = i === selectedIndex
+
+      this._drawRoundedRect(
+        rect,
+        config.itemRadius * scale,
+        isSelected ? config.selectedBackground : this._colors.UiBackground,
+        isSelected ? config.selectedBorder : this._colors.UiBorder
+      )
+
+      ctx.fillStyle = isSelected ? '#fff' : '#ccc'
+      ctx.font = `700 ${config.itemFontSize * scale}px ${this._fonts.Monospace}`
+      ctx.fillText(item.label, width / 2, rect.y + itemH / 2)
+      return rect
+    })
+
+    ctx.restore()
+  }
+
+  /**
+   * Total height of a column of items, for callers laying out around it.
+   *
+   * @param {number} count  - Number of items.
+   * @param {number} scale  - UI scaling factor based on screen size.
+   * @returns {number}
+   */
+  measureItems(count, scale) {
+    const config = this._config
+    return (
+      count * config.itemHeight * scale +
+      Math.max(0, count - 1) * config.itemSpacing * scale
+    )
+  }
+
+  /**
+   * Returns the id of the item under a canvas point from the last render.
+   *
+   * @param {number} x  - Canvas X coordinate.
+   * @param {number} y  - Canvas Y coordinate.
+   * @returns {string | null} The item id, or null if no item was hit.
+   */
+  getItemAt(x, y) {
+    const hit = this._itemRects.find(
+      rect =>
+        x >= rect.x &&
+        x <= rect.x + rect.w &&
+        y >= rect.y &&
+        y <= rect.y + rect.h
+    )
+    return hit ? hit.id : null
+  }
+
+  /**
+   * Utility to draw a rounded rectangle path.
+   *
+   * @access private
+   */
+  _drawRoundedRect({ x, y, w, h }, r, fill, stroke) {
+    const ctx = this._ctx
+    ctx.beginPath()
+    ctx.moveTo(x + r, y)
+    ctx.arcTo(x + w, y, x + w, y + h, r)
+    ctx.arcTo(x + w, y + h, x, y + h, r)
+    ctx.arcTo(x, y + h, x, y, r)
+    ctx.arcTo(x, y, x + w, y, r)
+
+    if (fill) {
+      ctx.fillStyle = fill
+      ctx.fill()
+    }
+    if (stroke) {
+      ctx.strokeStyle = stroke
+      ctx.stroke()
+    }
+  }
+}
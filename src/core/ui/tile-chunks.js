@@ -0,0 +1,203 @@
+import { PhysicsConfig, TileCacheConfig } from '../../config/index.js'
+
+/**
+ * @typedef {Object} TileChunk
+ * @property {number} cx
+ * - Chunk X coordinate.
+ * @property {number} cy
+ * - Chunk Y coordinate.
+ * @property {HTMLCanvasElement} canvas
+ * - Offscreen canvas holding the rasterized tiles.
+ * @property {CanvasRenderingContext2D} ctx
+ * - 2D context of `canvas`.
+ * @property {(Object | null)[]} items
+ * - Item drawn on each tile, row-major, as of the last refresh.
+ * @property {number} itemRevision
+ * - `World.itemRevision` the items were last refreshed at.
+ */
+
+/**
+ * Caches the world as offscreen canvases of `TileCacheConfig.ChunkTiles`
+ * square tiles, so a frame blits a handful of images instead of drawing every
+ * visible tile. Chunks are rasterized once per level and theme; when the world
+ * reports changed items only the affected tiles are repainted.
+ */
+export class TileChunkCache {
+  /**
+   * @param {Object} options
+   * - Cache options.
+   * @param {function(number, number): HTMLCanvasElement} options.createCanvas
+   * - Creates an offscreen canvas of the given width and height.
+   * @param {function(CanvasRenderingContext2D, Object, number, number, number,
+   *   number, Object): void} options.paintTile
+   * - Paints one tile: `(ctx, world, tx, ty, x, y, theme)`.
+   * @param {number} [options.chunkTiles=TileCacheConfig.ChunkTiles]
+   * - Chunk edge length in tiles. Default is `TileCacheConfig.ChunkTiles`
+   */
+  constructor({
+    createCanvas,
+    paintTile,
+    chunkTiles = TileCacheConfig.ChunkTiles
+  }) {
+    this._createCanvas = createCanvas
+    this._paintTile = paintTile
+    this._chunkTiles = chunkTiles
+    this._chunkPixels = chunkTiles * PhysicsConfig.TileSize
+
+    /**
+     * @type {Map<string, TileChunk>}
+     */
+    this._chunks = new Map()
+
+    // What the cached canvases were rasterized for
+    this._generator = null
+    this._theme = null
+  }
+
+  /**
+   * Number of chunks currently rasterized.
+   *
+   * @returns {number}
+   */
+  get count() {
+    return this._chunks.size
+  }
+
+  /**
+   * Drops every cached canvas. Called on resize; level and theme changes are
+   * detected automatically in `draw`.
+   *
+   * @returns {void}
+   */
+  invalidate() {
+    this._chunks.clear()
+    this._generator = null
+    this._theme = null
+  }
+
+  /**
+   * Draws the visible part of the world.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * - Target context.
+   * @param {Object} world
+   * - The game world.
+   * @param {{ x: number; y: number }} camera
+   * - Top-left world position of the view.
+   * @param {number} viewWidth
+   * - View width in pixels.
+   * @param {number} viewHeight
+   * - View height in pixels.
+   * @param {Object} theme
+   * - Level theme colors.
+   * @returns {void}
+   */
+  draw(ctx, world, camera, viewWidth, viewHeight, theme) {
+    // World.reset always swaps in a fresh generator, so a new one means a new
+    // maze and item layout
+    if (world.generator !== this._generator || theme !== this._theme) {
+      this._chunks.clear()
+      this._generator = world.generator
+      this._theme = theme
+    }
+
+    const px = this._chunkPixels
+    const startX = Math.floor(camera.x / px)
+    const endX = Math.floor((camera.x + viewWidth) / px)
+    const startY = Math.floor(camera.y / px)
+    const endY = Math.floor((camera.y + viewHeight) / px)
+
+    for (let cy = startY; cy <= endY; cy++) {
+      for (let cx = startX; cx <= endX; cx++) {
+        const chunk = this._getChunk(cx, cy, world, theme)
+        if (chunk.itemRevision !== world.itemRevision) {
+          this._refreshItems(chunk, world, theme)
+        }
+        ctx.drawImage(
+          chunk.canvas,
+          Math.round(cx * px - camera.x),
+          Math.round(cy * px - camera.y)
+        )
+      }
+    }
+
+    // Keep a ring of chunks around the view so small camera moves reuse them
+    const margin = TileCacheConfig.MarginChunks * 2
+    this._evict((endX - startX + 1 + margin) * (endY - startY + 1 + margin))
+  }
+
+  /**
+   * Returns a cached chunk, rasterizing it if needed, and marks it as most
+   * recently used.
+   *
+   * @access private
+   */
+  _getChunk(cx, cy, world, theme) {
+    const key = `${cx},${cy}`
+    let chunk = this._chunks.get(key)
+    if (chunk) {
+      this._chunks.delete(key)
+    } else {
+      chunk = this._rasterize(cx, cy, world, theme)
+    }
+    this._chunks.set(key, chunk)
+    return chunk
+  }
+
+  /**
+   * @access private
+   */
+  _rasterize(cx, cy, world, theme) {
+    const size = this._chunkTiles
+    const ts = PhysicsConfig.TileSize
+    const canvas = this._createCanvas(this._chunkPixels, this._chunkPixels)
+    const ctx = canvas.getContext('2d')
+    const items = new Array(size * size)
+
+    for (let ly = 0; ly < size; ly++) {
+      for (let lx = 0; lx < size; lx++) {
+        const tx = cx * size + lx
+        const ty = cy * size + ly
+        items[ly * size + lx] = world.getItemAt(tx, ty)
+        this._paintTile(ctx, world, tx, ty, lx * ts, ly * ts, theme)
+      }
+    }
+
+    return { cx, cy, canvas, ctx, items, itemRevision: world.itemRevision }
+  }
+
+  /**
+   * Repaints the tiles whose item changed since the chunk was last refreshed.
+   *
+   * @access private
+   */
+  _refreshItems(chunk, world, theme) {
+    const size = this._chunkTiles
+    const ts = PhysicsConfig.TileSize
+
+    for (let i = 0; i < chunk.items.length; i++) {
+      const lx = i % size
+      const ly = (i - lx) / size
+      const tx = chunk.cx * size + lx
+      const ty = chunk.cy * size + ly
+      const item = world.getItemAt(tx, ty)
+      if (item === chunk.items[i]) continue
+
+      chunk.items[i] = item
+      this._paintTile(chunk.ctx, world, tx, ty, lx * ts, ly * ts, theme)
+    }
+    chunk.itemRevision = world.itemRevision
+  }
+
+  /**
+   * Drops least recently used chunks beyond `capacity`.
+   *
+   * @access private
+   */
+  _evict(capacity) {
+    for (const key of this._chunks.keys()) {
+      if (this._chunks.size <= capacity) break
+      this._chunks.delete(key)
+    }
+  }
+}
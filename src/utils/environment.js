@@ -9,6 +9,9 @@ const defaultWindowImpl = {
 }
 
 const defaultDocumentImpl = {
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  hidden: false,
   body: null,
   head: { appendChild: () => {} },
   createElement: () => ({})
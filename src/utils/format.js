@@ -0,0 +1,22 @@
+/**
+ * Formats a duration as minutes and seconds (e.g. `03:07`).
+ *
+ * @param {number} ms  - Duration in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
+}
+
+/**
+ * Formats a date as an ISO calendar day in UTC (e.g. `2025-01-31`).
+ *
+ * @param {Date} date  - The date to format.
+ * @returns {string}
+ */
+export function formatUtcDate(date) {
+  return date.toISOString().slice(0, 10)
+}
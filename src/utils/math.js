@@ -32,3 +32,80 @@ export function lerp(start, end, factor) {
 export function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max)
 }
+
+/**
+ * Moves a coordinate by `delta` in steps no longer than `maxStep`, stopping at
+ * the last position before the first collision. Keeps fast movers from skipping
+ * over obstacles thinner than their per-tick distance.
+ *
+ * @param {number} start
+ * - Starting coordinate.
+ * @param {number} delta
+ * - Full displacement.
+ * @param {number} maxStep
+ * - Longest step between checks.
+ * @param {function(number): boolean} collides
+ * - Whether a coordinate is blocked.
+ * @returns {number}
+ * The reached coordinate.
+ */
+export function sweepAxis(start, delta, maxStep, collides) {
+  const steps = Math.ceil(Math.abs(delta) / maxStep)
+  let position = start
+  for (let i = 1; i <= steps; i++) {
+    const next = start + (delta * i) / steps
+    if (collides(next)) break
+    position = next
+  }
+  return position
+}
+
+/**
+ * Hashes a string into an unsigned 32-bit integer (FNV-1a).
+ *
+ * @param {string} str  - The string to hash.
+ * @returns {number} An integer between 0 and 2^32 - 1.
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Combines a seed with a salt into a new, well-distributed seed. Used to derive
+ * independent sub-seeds (per level, per system) from a single run seed.
+ *
+ * @param {number} seed  - The parent seed.
+ * @param {number} salt  - Distinguishes sibling seeds derived from the same
+ *                       parent.
+ * @returns {number} An integer between 0 and 2^31 - 2.
+ */
+export function mixSeed(seed, salt) {
+  let h = (seed ^ Math.imul(salt + 1, 0x9e3779b1)) >>> 0
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b)
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+  h ^= h >>> 16
+  return (h >>> 0) % 2147483647
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) with the same contract
+ * as `Math.random`.
+ *
+ * @param {number} seed  - The seed value.
+ * @returns {function(): number} Generator returning numbers in [0, 1).
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,56 @@
+import { hashString, mixSeed } from './math.js'
+
+/**
+ * Exclusive upper bound for run and level seeds. Keeps seeds small enough that
+ * the world's `seed * prime` products stay exact doubles.
+ *
+ * @constant {number}
+ */
+export const MAX_SEED = 2147483647
+
+/**
+ * Picks a fresh random run seed.
+ *
+ * @returns {number}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * MAX_SEED)
+}
+
+/**
+ * Normalizes user-provided seed text. Numeric strings are used as-is (modulo
+ * `MAX_SEED`); any other text is hashed so words work as seeds too.
+ *
+ * @param {string | null | undefined} value  - Raw seed text.
+ * @returns {number | null} The seed, or null if the value is empty.
+ */
+export function parseSeed(value) {
+  const text = typeof value === 'string' ? value.trim() : ''
+  if (!text) return null
+  if (/^\d+$/.test(text)) return Number(BigInt(text) % BigInt(MAX_SEED))
+  return hashString(text) % MAX_SEED
+}
+
+/**
+ * Reads a `?seed=` query parameter from the page URL.
+ *
+ * @param {Window} windowRef  - The window whose location is inspected.
+ * @returns {number | null} The parsed seed, or null if none was given.
+ */
+export function readSeedParam(windowRef) {
+  const search = windowRef?.location?.search
+  if (!search) return null
+  return parseSeed(new URLSearchParams(search).get('seed'))
+}
+
+/**
+ * Derives the world seed for a level from the run seed, so a whole run is
+ * reproducible from one number.
+ *
+ * @param {number} runSeed  - The run seed.
+ * @param {number} level    - The level number (1-5).
+ * @returns {number}
+ */
+export function deriveLevelSeed(runSeed, level) {
+  return mixSeed(runSeed, level)
+}
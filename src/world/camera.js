@@ -17,6 +17,10 @@ export class Camera {
   constructor({ viewport = defaultViewport } = {}) {
     this.x = 0
     this.y = 0
+    this.prevX = 0
+    this.prevY = 0
+    this.renderX = 0
+    this.renderY = 0
     this._getViewport = viewport
   }
 
@@ -40,6 +44,41 @@ export class Camera {
     this.y = lerp(this.y, desiredY, PhysicsConfig.CameraLerpFactor)
   }
 
+  /**
+   * Moves the camera instantly, skipping smoothing and interpolation (e.g.
+   * after a spawn or level change).
+   *
+   * @param {number} x  - The new top-left world X coordinate.
+   * @param {number} y  - The new top-left world Y coordinate.
+   * @returns {void}
+   */
+  snapTo(x, y) {
+    this.x = this.prevX = this.renderX = x
+    this.y = this.prevY = this.renderY = y
+  }
+
+  /**
+   * Stores the current position as the starting point of the next simulation
+   * tick.
+   *
+   * @returns {void}
+   */
+  snapshotPosition() {
+    this.prevX = this.x
+    this.prevY = this.y
+  }
+
+  /**
+   * Blends the previous and current tick positions into the render position.
+   *
+   * @param {number} alpha  - Fraction of the next tick already elapsed (0-1).
+   * @returns {void}
+   */
+  interpolate(alpha) {
+    this.renderX = lerp(this.prevX, this.x, alpha)
+    this.renderY = lerp(this.prevY, this.y, alpha)
+  }
+
   /**
    * Updates the viewport measurement strategy (e.g., during window resize or
    * testing).
@@ -0,0 +1,136 @@
+/**
+ * @typedef {Object} Chunk
+ * @property {number}     cx     - Chunk X coordinate.
+ * @property {number}     cy     - Chunk Y coordinate.
+ * @property {Uint8Array} tiles  - Row-major `TileTypes` values.
+ * @property {Int16Array} items  - Row-major `ITEM_REGISTRY` indices, `NO_ITEM`
+ *                               where the tile is empty.
+ */
+
+/**
+ * Marks a tile without an item in `Chunk.items`.
+ *
+ * @constant {number}
+ */
+export const NO_ITEM = -1
+
+/**
+ * Least-recently-used cache of square world chunks. Chunks are created on
+ * first access through the `fill` callback, and the least recently used one is
+ * dropped once `capacity` is exceeded.
+ */
+export class ChunkCache {
+  /**
+   * @param {Object} options
+   * - Cache options.
+   * @param {number} options.size
+   * - Chunk edge length in tiles.
+   * @param {number} options.capacity
+   * - Maximum number of chunks kept in memory.
+   * @param {function(Chunk): void} options.fill
+   * - Writes the tiles and items of a newly allocated chunk.
+   */
+  constructor({ size, capacity, fill }) {
+    this.size = size
+    this._capacity = capacity
+    this._fill = fill
+
+    /**
+     * @type {Map<string, Chunk>}
+     */
+    this._chunks = new Map()
+    this._last = null
+  }
+
+  /**
+   * Number of chunks currently cached.
+   *
+   * @returns {number}
+   */
+  get count() {
+    return this._chunks.size
+  }
+
+  /**
+   * Returns the chunk containing a tile, generating it if needed.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {Chunk}
+   */
+  getChunkAt(tx, ty) {
+    const cx = Math.floor(tx / this.size)
+    const cy = Math.floor(ty / this.size)
+
+    // Consecutive lookups almost always hit the same chunk
+    const last = this._last
+    if (last && last.cx === cx && last.cy === cy) return last
+
+    const key = `${cx},${cy}`
+    let chunk = this._chunks.get(key)
+    if (chunk) {
+      // Re-insert to mark as most recently used
+      this._chunks.delete(key)
+    } else {
+      chunk = this._createChunk(cx, cy)
+    }
+    this._chunks.set(key, chunk)
+    if (this._chunks.size > this._capacity) {
+      this._chunks.delete(this._chunks.keys().next().value)
+    }
+
+    this._last = chunk
+    return chunk
+  }
+
+  /**
+   * Returns the cached chunk containing a tile without generating or touching
+   * it.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {Chunk | undefined}
+   */
+  peekChunkAt(tx, ty) {
+    const cx = Math.floor(tx / this.size)
+    const cy = Math.floor(ty / this.size)
+    return this._chunks.get(`${cx},${cy}`)
+  }
+
+  /**
+   * Index of a tile inside its chunk's arrays.
+   *
+   * @param {Chunk}  chunk  - The chunk containing the tile.
+   * @param {number} tx     - Tile X coordinate.
+   * @param {number} ty     - Tile Y coordinate.
+   * @returns {number}
+   */
+  indexOf(chunk, tx, ty) {
+    return (ty - chunk.cy * this.size) * this.size + (tx - chunk.cx * this.size)
+  }
+
+  /**
+   * Drops every cached chunk.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._chunks.clear()
+    this._last = null
+  }
+
+  /**
+   * @access private
+   */
+  _createChunk(cx, cy) {
+    const area = this.size * this.size
+    const chunk = {
+      cx,
+      cy,
+      tiles: new Uint8Array(area),
+      items: new Int16Array(area).fill(NO_ITEM)
+    }
+    this._fill(chunk)
+    return chunk
+  }
+}
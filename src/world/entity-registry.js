@@ -0,0 +1,211 @@
+import { CollisionConfig, ScreenConfig } from '../config/index.js'
+import { sweepAxis } from '../utils/math.js'
+import { boxesOverlap } from './spatial-hash.js'
+
+/**
+ * Holds the entities of the current level and runs their components each
+ * tick: behaviors first, then velocity movement, then player contacts.
+ * Entities are kept in insertion order so ticks stay deterministic.
+ *
+ * Contacts compare swept boxes (where a collider was over the whole tick),
+ * so fast movers cannot pass through each other between two ticks. With an
+ * `index`, colliders are also filed in that spatial hash and contacts only
+ * test the entities near the player.
+ */
+export class EntityRegistry {
+  /**
+   * @param {Object} [options={}]
+   * - Registry options. Default is `{}`
+   * @param {import('./spatial-hash.js').SpatialHash | null}
+   * [options.index=null]
+   * - Broadphase to keep up to date, usually `World.entityIndex`. Default is
+   * `null`
+   */
+  constructor({ index = null } = {}) {
+    /**
+     * @type {import('./entity.js').Entity[]}
+     */
+    this._entities = []
+    this._index = index
+  }
+
+  /**
+   * Number of registered entities.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this._entities.length
+  }
+
+  /**
+   * Iterates the registered entities in insertion order.
+   *
+   * @returns {Iterator<import('./entity.js').Entity>}
+   */
+  [Symbol.iterator]() {
+    return this._entities[Symbol.iterator]()
+  }
+
+  /**
+   * Registers an entity.
+   *
+   * @param {T} entity  - The entity to add.
+   * @returns {T} The added entity.
+   * @template {import('./entity.js').Entity} T
+   */
+  add(entity) {
+    entity.isRemoved = false
+    this._entities.push(entity)
+    if (entity.collider) this._index?.insert(entity, entity.getHitbox())
+    return entity
+  }
+
+  /**
+   * Unregisters an entity right away.
+   *
+   * @param {import('./entity.js').Entity} entity
+   * - The entity to remove.
+   * @returns {void}
+   */
+  remove(entity) {
+    const index = this._entities.indexOf(entity)
+    if (index !== -1) this._entities.splice(index, 1)
+    this._index?.remove(entity)
+    entity.isRemoved = true
+  }
+
+  /**
+   * Unregisters every entity.
+   *
+   * @returns {void}
+   */
+  clear() {
+    for (const entity of this._entities) this._index?.remove(entity)
+    this._entities = []
+  }
+
+  /**
+   * Entities that have every listed component.
+   *
+   * @param {...string} components
+   * - Component names (`velocity`, `collider`, `renderable`, `behavior`).
+   * @returns {import('./entity.js').Entity[]}
+   */
+  query(...components) {
+    return this._entities.filter(entity =>
+      components.every(name => entity[name] != null)
+    )
+  }
+
+  /**
+   * Advances every entity by one tick.
+   *
+   * @param {number} dt       - Tick length in milliseconds.
+   * @param {Object} context  - Simulation context passed to behaviors; `world`
+   *                          is used for solid movement and `player` for
+   *                          contacts.
+   * @returns {void}
+   */
+  update(dt, context) {
+    const entities = [...this._entities]
+    for (const entity of entities) entity.snapshotPosition()
+    for (const entity of entities) {
+      if (!entity.isRemoved) entity.update(dt, context)
+    }
+    for (const entity of entities) {
+      if (entity.velocity && !entity.isRemoved) {
+        this._move(entity, dt, context.world)
+      }
+    }
+
+    if (this._index) {
+      for (const entity of entities) {
+        if (entity.collider && !entity.isRemoved) {
+          this._index.insert(entity, entity.getSweptHitbox())
+        }
+      }
+    }
+
+    if (context.player) this._checkContacts(entities, context)
+
+    this._entities = this._entities.filter(entity => {
+      if (entity.isRemoved) this._index?.remove(entity)
+      return !entity.isRemoved
+    })
+  }
+
+  /**
+   * Blends every entity's render position between the last two ticks.
+   *
+   * @param {number} alpha  - Fraction of the next tick already elapsed (0-1).
+   * @returns {void}
+   */
+  interpolate(alpha) {
+    for (const entity of this._entities) entity.interpolate(alpha)
+  }
+
+  /**
+   * Calls `onContact` on every collider whose swept box touches the player's.
+   * The broadphase only narrows the candidates; they are still visited in
+   * insertion order.
+   *
+   * @param {import('./entity.js').Entity[]} entities
+   * @param {Object} context
+   * @returns {void}
+   * @access private
+   */
+  _checkContacts(entities, context) {
+    const box = context.player.getSweptHitbox()
+    const nearby = this._index?.query(box)
+    for (const entity of entities) {
+      if (entity.isRemoved || !entity.collider) continue
+      if (nearby && !nearby.has(entity)) continue
+      if (boxesOverlap(entity.getSweptHitbox(), box)) entity.onContact(context)
+    }
+  }
+
+  /**
+   * Applies an entity's velocity. Solid colliders move one axis at a time and
+   * stop on walls, so they slide along them like the player; long moves are
+   * swept in `CollisionConfig.MaxStep` steps.
+   *
+   * @param {import('./entity.js').Entity} entity
+   * @param {number} dt
+   * @param {import('./world.js').World} world
+   * @returns {void}
+   * @access private
+   */
+  _move(entity, dt, world) {
+    const ratio = dt / ScreenConfig.FrameInterval
+    const dx = entity.velocity.x * ratio
+    const dy = entity.velocity.y * ratio
+    if (!entity.collider?.solid || !world) {
+      entity.x += dx
+      entity.y += dy
+      return
+    }
+
+    const step = CollisionConfig.MaxStep
+    entity.x = sweepAxis(entity.x, dx, step, x =>
+      hitsWall(entity.getHitboxAt(x, entity.y), world)
+    )
+    entity.y = sweepAxis(entity.y, dy, step, y =>
+      hitsWall(entity.getHitboxAt(entity.x, y), world)
+    )
+  }
+}
+
+/**
+ * @param {import('./spatial-hash.js').Box} box
+ * @param {import('./world.js').World} world
+ * @returns {boolean}
+ */
+function hitsWall(box, world) {
+  return (
+    world.isWall(box.left, box.top) ||
+    world.isWall(box.right, box.top) ||
+    world.isWall(box.left, box.bottom) ||
+    world.isWall(box.right, box.bottom)
+  )
+}
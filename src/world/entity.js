@@ -0,0 +1,198 @@
+import { lerp } from '../utils/math.js'
+import { unionBoxes } from './spatial-hash.js'
+
+/**
+ * @typedef {Object} Collider
+ * @property {number}  width      - Box width in pixels.
+ * @property {number}  height     - Box height in pixels.
+ * @property {number}  [offsetX]  - Box center relative to the entity position.
+ *                                Default is `0`
+ * @property {number}  [offsetY]  - Box center relative to the entity position.
+ *                                Default is `0`
+ * @property {boolean} [solid]    - Whether velocity movement is stopped by
+ *                                walls. Default is `false`
+ */
+
+/**
+ * @typedef {Object} Renderable
+ * @property {string}  type           - Renderer draw handler, e.g. `emoji` or
+ *                                    `player`.
+ * @property {number}  [sortOffsetY]  - Offset from the position to the point
+ *                                    used for depth sorting.
+ * @property {boolean} [showInFog]    - Draw the entity outside the player's
+ *                                    sight too. Default is `false`
+ */
+
+/**
+ * @typedef {Object} Behavior
+ * @property {function(Entity, number, Object): void} [update]
+ * - Called every tick with the entity, the tick length in milliseconds and the
+ * simulation context.
+ * @property {function(Entity, Object): void} [onContact]
+ * - Called on ticks the entity's collider touches the player.
+ */
+
+/**
+ * A thing that lives in the world on the fixed-step simulation. Its position
+ * is built in; velocity, collider, renderable and behavior are optional
+ * components that `EntityRegistry` and the renderer act on when present.
+ */
+export class Entity {
+  /**
+   * @param {Object} [options={}]
+   * - Entity options. Default is `{}`
+   * @param {number} [options.x=0]
+   * - World X position. Default is `0`
+   * @param {number} [options.y=0]
+   * - World Y position. Default is `0`
+   * @param {{ x: number; y: number } | null} [options.velocity=null]
+   * - Pixels moved per 60 Hz frame. Default is `null`
+   * @param {Collider | null} [options.collider=null]
+   * - Hitbox. Default is `null`
+   * @param {Renderable | null} [options.renderable=null]
+   * - How the entity is drawn. Default is `null`
+   * @param {Behavior | null} [options.behavior=null]
+   * - Per-tick logic and contact reaction. Default is `null`
+   */
+  constructor({
+    x = 0,
+    y = 0,
+    velocity = null,
+    collider = null,
+    renderable = null,
+    behavior = null
+  } = {}) {
+    this.place({ x, y })
+    this.velocity = velocity
+    this.collider = collider
+    this.renderable = renderable
+    this.behavior = behavior
+    this.isRemoved = false
+  }
+
+  /**
+   * Moves the entity without interpolating from its old position.
+   *
+   * @param {{ x: number; y: number }} pos  - World position.
+   * @returns {void}
+   */
+  place(pos) {
+    this.x = pos.x
+    this.y = pos.y
+    this.prevX = pos.x
+    this.prevY = pos.y
+    this.renderX = pos.x
+    this.renderY = pos.y
+  }
+
+  /**
+   * Stores the current position as the starting point of the next simulation
+   * tick.
+   *
+   * @returns {void}
+   */
+  snapshotPosition() {
+    this.prevX = this.x
+    this.prevY = this.y
+  }
+
+  /**
+   * Blends the previous and current tick positions into the render position.
+   *
+   * @param {number} alpha  - Fraction of the next tick already elapsed (0-1).
+   * @returns {void}
+   */
+  interpolate(alpha) {
+    this.renderX = lerp(this.prevX, this.x, alpha)
+    this.renderY = lerp(this.prevY, this.y, alpha)
+  }
+
+  /**
+   * Runs the behavior component for one tick.
+   *
+   * @param {number} dt       - Tick length in milliseconds.
+   * @param {Object} context  - Simulation context (world, player, events).
+   * @returns {void}
+   */
+  update(dt, context) {
+    this.behavior?.update?.(this, dt, context)
+  }
+
+  /**
+   * Reacts to touching the player.
+   *
+   * @param {Object} context  - Simulation context (world, player, events).
+   * @returns {void}
+   */
+  onContact(context) {
+    this.behavior?.onContact?.(this, context)
+  }
+
+  /**
+   * Marks the entity for removal at the end of the current tick.
+   *
+   * @returns {void}
+   */
+  remove() {
+    this.isRemoved = true
+  }
+
+  /**
+   * World-space box of the collider, at the tick position or, with
+   * `interpolated`, at the render position.
+   *
+   * @param {boolean} [interpolated=false]
+   * - Use the render position. Default is `false`
+   * @returns {import('./spatial-hash.js').Box}
+   */
+  getHitbox(interpolated = false) {
+    return interpolated
+      ? this.getHitboxAt(this.renderX, this.renderY)
+      : this.getHitboxAt(this.x, this.y)
+  }
+
+  /**
+   * Area the collider covered on its way from the previous to the current tick
+   * position.
+   *
+   * @returns {import('./spatial-hash.js').Box}
+   */
+  getSweptHitbox() {
+    return unionBoxes(
+      this.getHitboxAt(this.prevX, this.prevY),
+      this.getHitboxAt(this.x, this.y)
+    )
+  }
+
+  /**
+   * World-space box of the collider with the entity at a given position.
+   *
+   * @param {number} x
+   * - World X position.
+   * @param {number} y
+   * - World Y position.
+   * @returns {import('./spatial-hash.js').Box}
+   */
+  getHitboxAt(x, y) {
+    const collider = this.collider
+    if (!collider) return { left: x, top: y, right: x, bottom: y }
+
+    const cx = x + (collider.offsetX ?? 0)
+    const cy = y + (collider.offsetY ?? 0)
+    return {
+      left: cx - collider.width / 2,
+      top: cy - collider.height / 2,
+      right: cx + collider.width / 2,
+      bottom: cy + collider.height / 2
+    }
+  }
+
+  /**
+   * Render-space Y used to draw entities back to front.
+   *
+   * @returns {number}
+   */
+  getSortY() {
+    return this.renderY + (this.renderable?.sortOffsetY ?? 0)
+  }
+}
@@ -0,0 +1,268 @@
+import { ProcGenConfig } from '../config/index.js'
+
+/**
+ * Remembers which tiles of the current level the player has seen, as a sparse
+ * set of bitmap chunks so the explored area can grow without bound, and which
+ * tiles are in sight right now.
+ */
+export class ExplorationMap {
+  /**
+   * @param {Object} [options={}]
+   * - Map options. Default is `{}`
+   * @param {number} [options.chunkSize=ProcGenConfig.ChunkSize]
+   * - Tiles per chunk edge. Default is `ProcGenConfig.ChunkSize`
+   */
+  constructor({ chunkSize = ProcGenConfig.ChunkSize } = {}) {
+    this._chunkSize = chunkSize
+
+    /**
+     * @type {Map<string, Uint8Array>}
+     */
+    this._chunks = new Map()
+    this._count = 0
+    this._revision = 0
+
+    /**
+     * Tiles currently in sight, as a square window around the last center.
+     *
+     * @type {{
+     *   x: number
+     *   y: number
+     *   radius: number
+     *   tiles: Uint8Array
+     * } | null}
+     */
+    this._sight = null
+  }
+
+  /**
+   * Number of explored tiles.
+   *
+   * @returns {number}
+   */
+  get count() {
+    return this._count
+  }
+
+  /**
+   * Counter bumped whenever tiles are explored or forgotten or the sight
+   * changes, so views caching the map know when to redraw it.
+   *
+   * @returns {number}
+   */
+  get revision() {
+    return this._revision
+  }
+
+  /**
+   * Forgets every explored tile.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._chunks.clear()
+    this._count = 0
+    this._sight = null
+    this._revision++
+  }
+
+  /**
+   * Whether a tile has been explored.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {boolean}
+   */
+  isExplored(tx, ty) {
+    const chunk = this._chunks.get(this._getChunkKey(tx, ty))
+    return !!chunk && chunk[this._getIndex(tx, ty)] === 1
+  }
+
+  /**
+   * Marks a single tile as explored.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {boolean} True if the tile was not explored before.
+   */
+  markExplored(tx, ty) {
+    const key = this._getChunkKey(tx, ty)
+    let chunk = this._chunks.get(key)
+    if (!chunk) {
+      chunk = new Uint8Array(this._chunkSize * this._chunkSize)
+      this._chunks.set(key, chunk)
+    }
+
+    const index = this._getIndex(tx, ty)
+    if (chunk[index] === 1) return false
+
+    chunk[index] = 1
+    this._count++
+    this._revision++
+    return true
+  }
+
+  /**
+   * The explored tiles as plain data: one hex-encoded bitmap per chunk key.
+   *
+   * @returns {Record<string, string>}
+   */
+  serialize() {
+    const data = {}
+    for (const [key, chunk] of this._chunks) {
+      let hex = ''
+      for (let i = 0; i < chunk.length; i += 4) {
+        const nibble =
+          chunk[i] |
+          (chunk[i + 1] << 1) |
+          (chunk[i + 2] << 2) |
+          (chunk[i + 3] << 3)
+        hex += nibble.toString(16)
+      }
+      data[key] = hex
+    }
+    return data
+  }
+
+  /**
+   * Replaces the explored tiles with data from `serialize()`. Chunks that do
+   * not fit the chunk size are skipped. The sight is recomputed on the next
+   * `updateSight`.
+   *
+   * @param {Record<string, string>} data  - Serialized explored tiles.
+   * @returns {void}
+   */
+  restore(data) {
+    this.clear()
+    const length = this._chunkSize * this._chunkSize
+    for (const [key, hex] of Object.entries(data)) {
+      if (typeof hex !== 'string' || hex.length * 4 !== length) continue
+
+      const chunk = new Uint8Array(length)
+      for (let i = 0; i < length; i++) {
+        chunk[i] = (parseInt(hex[i >> 2], 16) >> (i & 3)) & 1
+        this._count += chunk[i]
+      }
+      this._chunks.set(key, chunk)
+    }
+  }
+
+  /**
+   * Whether a tile was in sight at the last `updateSight`.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {boolean}
+   */
+  isVisible(tx, ty) {
+    const sight = this._sight
+    if (!sight) return false
+
+    const span = sight.radius * 2 + 1
+    const x = tx - sight.x + sight.radius
+    const y = ty - sight.y + sight.radius
+    if (x < 0 || y < 0 || x >= span || y >= span) return false
+    return sight.tiles[y * span + x] === 1
+  }
+
+  /**
+   * Recomputes the tiles in sight from a center tile and explores them. A tile
+   * is in sight when it lies within `radius` and the straight line to it passes
+   * no opaque tile; opaque tiles themselves can be seen. Repeated calls for the
+   * same center are skipped, since the maze does not change within a level.
+   *
+   * @param {number} tx
+   * - Center tile X.
+   * @param {number} ty
+   * - Center tile Y.
+   * @param {number} radius
+   * - Sight radius in tiles.
+   * @param {function(number, number): boolean} isOpaque
+   * - Whether a tile blocks sight.
+   * @returns {void}
+   */
+  updateSight(tx, ty, radius, isOpaque) {
+    const last = this._sight
+    if (last && last.x === tx && last.y === ty && last.radius === radius) {
+      return
+    }
+
+    const span = radius * 2 + 1
+    const tiles = new Uint8Array(span * span)
+    const radiusSq = radius * radius
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy > radiusSq) continue
+        if (!this._hasLineOfSight(tx, ty, dx, dy, isOpaque)) continue
+
+        tiles[(dy + radius) * span + dx + radius] = 1
+        this.markExplored(tx + dx, ty + dy)
+      }
+    }
+
+    this._sight = { x: tx, y: ty, radius, tiles }
+    this._revision++
+  }
+
+  /**
+   * Walks a Bresenham line from a tile to an offset, failing on any opaque tile
+   * before the end. Diagonal steps squeezing between two opaque tiles are
+   * blocked so sight cannot leak through wall corners.
+   *
+   * @access private
+   */
+  _hasLineOfSight(x0, y0, dx, dy, isOpaque) {
+    const stepX = Math.sign(dx)
+    const stepY = Math.sign(dy)
+    const absX = Math.abs(dx)
+    const absY = Math.abs(dy)
+    let error = absX - absY
+    let x = 0
+    let y = 0
+
+    while (x !== dx || y !== dy) {
+      const doubled = error * 2
+      const moveX = doubled > -absY
+      const moveY = doubled < absX
+
+      if (
+        moveX &&
+        moveY &&
+        isOpaque(x0 + x + stepX, y0 + y) &&
+        isOpaque(x0 + x, y0 + y + stepY)
+      ) {
+        return false
+      }
+      if (moveX) {
+        error -= absY
+        x += stepX
+      }
+      if (moveY) {
+        error += absX
+        y += stepY
+      }
+
+      if ((x !== dx || y !== dy) && isOpaque(x0 + x, y0 + y)) return false
+    }
+    return true
+  }
+
+  /**
+   * @access private
+   */
+  _getChunkKey(tx, ty) {
+    const size = this._chunkSize
+    return `${Math.floor(tx / size)},${Math.floor(ty / size)}`
+  }
+
+  /**
+   * @access private
+   */
+  _getIndex(tx, ty) {
+    const size = this._chunkSize
+    const lx = ((tx % size) + size) % size
+    const ly = ((ty % size) + size) % size
+    return ly * size + lx
+  }
+}
@@ -0,0 +1,212 @@
+import { EnemyConfig, PhysicsConfig, ScreenConfig } from '../config/index.js'
+import { createSeededRandom } from '../utils/math.js'
+import { Entity } from './entity.js'
+import { Pathfinder } from './pathfinder.js'
+
+/**
+ * Behavior states of a `GarbageCollector`.
+ *
+ * @enum {string}
+ */
+export const GarbageCollectorStates = Object.freeze({
+  PATROL: 'patrol',
+  CHASE: 'chase'
+})
+
+/**
+ * Roaming enemy that patrols the corridors around its spawn tile and chases
+ * the player along A* routes once they come close. Its position is the
+ * center of its tile-sized body; touching the player hurts them.
+ */
+export class GarbageCollector extends Entity {
+  /**
+   * @param {Object} options
+   * - Enemy options.
+   * @param {{ x: number; y: number }} options.home
+   * - Spawn tile; patrol targets are picked around it.
+   * @param {number} options.level
+   * - Current level, which sets the speed.
+   * @param {number} options.seed
+   * - Seed of the patrol target choices.
+   * @param {Object} [options.config=EnemyConfig.GarbageCollector]
+   * - Tuning values. Default is `EnemyConfig.GarbageCollector`
+   */
+  constructor({ home, level, seed, config = EnemyConfig.GarbageCollector }) {
+    const ts = PhysicsConfig.TileSize
+    super({
+      x: (home.x + 0.5) * ts,
+      y: (home.y + 0.5) * ts,
+      collider: { width: config.HitboxSize, height: config.HitboxSize },
+      renderable: {
+        type: 'emoji',
+        emoji: config.Emoji,
+        size: 40,
+        outline: 'hazard',
+        bobSpeed: 6,
+        badge: null,
+        sortOffsetY: config.HitboxSize / 2
+      }
+    })
+    this.home = { ...home }
+    this.speed = config.BaseSpeed + config.SpeedPerLevel * (level - 1)
+    this.state = GarbageCollectorStates.PATROL
+
+    this._config = config
+    this._random = createSeededRandom(seed)
+
+    /**
+     * Tiles still to walk, starting with the next waypoint.
+     *
+     * @type {{ x: number; y: number }[]}
+     */
+    this._route = []
+    this._waitTimer = 0
+    this._repathTimer = 0
+  }
+
+  /**
+   * Tile under the enemy's center.
+   *
+   * @returns {{ x: number; y: number }}
+   */
+  get tile() {
+    const ts = PhysicsConfig.TileSize
+    return { x: Math.floor(this.x / ts), y: Math.floor(this.y / ts) }
+  }
+
+  /**
+   * Picks the behavior for this tick and walks the current route.
+   *
+   * @param {number} dt
+   * - Tick length in milliseconds.
+   * @param {{
+   *   world: import('./world.js').World
+   *   playerTile: { x: number; y: number }
+   * }} context
+   * - The world to route through and the tile of the player's feet.
+   * @returns {void}
+   */
+  update(dt, { world, playerTile: target }) {
+    const config = this._config
+    const tile = this.tile
+    const distance = Math.hypot(target.x - tile.x, target.y - tile.y)
+
+    if (this.state === GarbageCollectorStates.PATROL) {
+      if (distance <= config.ChaseRadius) {
+        this.state = GarbageCollectorStates.CHASE
+        this._repathTimer = 0
+      }
+    } else if (distance > config.LoseRadius) {
+      this.state = GarbageCollectorStates.PATROL
+      this._route = []
+    }
+
+    if (this.state === GarbageCollectorStates.CHASE) {
+      this._repathTimer -= dt
+      if (this._repathTimer <= 0) {
+        this._repathTimer = config.RepathInterval
+        const route = this._findRoute(world, target)
+        if (route) {
+          this._route = route
+        } else {
+          this.state = GarbageCollectorStates.PATROL
+          this._route = []
+        }
+      }
+    } else if (this._route.length === 0) {
+      this._waitTimer -= dt
+      if (this._waitTimer <= 0) this._pickPatrolRoute(world)
+    }
+
+    const isChasing = this.state === GarbageCollectorStates.CHASE
+    this.renderable.badge = isChasing ? '!' : null
+    this.renderable.bobSpeed = isChasing ? 14 : 6
+
+    this._walk(dt)
+  }
+
+  /**
+   * Deals contact damage to the player.
+   *
+   * @param {{ hurtPlayer: function(number, number, number): void }} context
+   * - Simulation context.
+   * @returns {void}
+   */
+  onContact(context) {
+    context.hurtPlayer(this._config.Damage, this.x, this.y)
+  }
+
+  /**
+   * Routes to a random walkable tile around the home tile, or waits for the
+   * next attempt when none was found.
+   *
+   * @param {import('./world.js').World} world
+   * @returns {void}
+   * @access private
+   */
+  _pickPatrolRoute(world) {
+    const radius = this._config.PatrolRadius
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const goal = {
+        x: this.home.x + Math.floor(this._random() * (radius * 2 + 1)) - radius,
+        y: this.home.y + Math.floor(this._random() * (radius * 2 + 1)) - radius
+      }
+      const route = this._findRoute(world, goal)
+      if (route && route.length > 1) {
+        this._route = route
+        return
+      }
+    }
+    this._waitTimer = this._config.PatrolPause
+  }
+
+  /**
+   * @param {import('./world.js').World} world
+   * @param {{ x: number; y: number }} goal
+   * @returns {{ x: number; y: number }[] | null}
+   * The route without the current tile.
+   * @access private
+   */
+  _findRoute(world, goal) {
+    const pathfinder = new Pathfinder(world, {
+      exploredOnly: false,
+      maxNodes: this._config.PathNodes
+    })
+    const route = pathfinder.findPath(this.tile, goal)
+    return route && route.slice(1)
+  }
+
+  /**
+   * Moves toward the tile centers of the route, dropping reached waypoints.
+   * Waits at the end of a patrol route before picking the next one.
+   *
+   * @param {number} dt  - Tick length in milliseconds.
+   * @returns {void}
+   * @access private
+   */
+  _walk(dt) {
+    const ts = PhysicsConfig.TileSize
+    let step = this.speed * (dt / ScreenConfig.FrameInterval)
+
+    while (step > 0 && this._route.length > 0) {
+      const waypoint = this._route[0]
+      const dx = (waypoint.x + 0.5) * ts - this.x
+      const dy = (waypoint.y + 0.5) * ts - this.y
+      const distance = Math.hypot(dx, dy)
+
+      if (distance > step) {
+        this.x += (dx / distance) * step
+        this.y += (dy / distance) * step
+        return
+      }
+
+      this.x += dx
+      this.y += dy
+      step -= distance
+      this._route.shift()
+      if (this._route.length === 0) {
+        this._waitTimer = this._config.PatrolPause
+      }
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { ProcGenConfig, TileTypes } from '../../config/index.js'
+import { createSeededRandom, mixSeed } from '../../utils/math.js'
+import { RegionMazeGenerator } from './maze-generator.js'
+
+/** Salt separating the cave noise from the other level seed streams. */
+const NOISE_SALT = 0x6361
+
+/**
+ * Organic caves grown with a cellular automaton. The starting noise is a pure
+ * function of global tile coordinates and each region is smoothed with a margin
+ * around it, so caves flow across region borders; pockets not reachable from
+ * the region's connector hub are filled in.
+ */
+export class CaveGenerator extends RegionMazeGenerator {
+  /**
+   * Generates the tiles of one region.
+   *
+   * @param {number} rx  - Region X coordinate.
+   * @param {number} ry  - Region Y coordinate.
+   * @returns {Uint8Array} Row-major tile types, `regionSize` squared.
+   */
+  generateRegion(rx, ry) {
+    const size = this.regionSize
+    const random = this._createRegionRandom(rx, ry)
+    const tiles = this._growCave(rx * size, ry * size)
+
+    const hub = {
+      x: Math.floor(size / 2) - 1,
+      y: Math.floor(size / 2) - 1
+    }
+    this._carveRect(tiles, hub.x - 1, hub.y - 1, 4, 4)
+    this._carveConnectors(tiles, rx, ry, hub, random)
+    this._fillUnreachable(tiles, hub)
+
+    return tiles
+  }
+
+  /**
+   * Seeds noise over the region plus a margin and smooths it with the cellular
+   * automaton.
+   *
+   * @param {number} originX  - Tile X coordinate of the region's top left.
+   * @param {number} originY  - Tile Y coordinate of the region's top left.
+   * @returns {Uint8Array} Row-major tile types of the region only.
+   * @access private
+   */
+  _growCave(originX, originY) {
+    const { FillChance, Iterations } = ProcGenConfig.Cave
+    const size = this.regionSize
+    const span = size + Iterations * 2
+    const noiseSeed = mixSeed(this.seed, NOISE_SALT)
+
+    let grid = new Uint8Array(span * span)
+    for (let y = 0; y < span; y++) {
+      for (let x = 0; x < span; x++) {
+        const gx = originX + x - Iterations
+        const gy = originY + y - Iterations
+        const random = createSeededRandom(mixSeed(mixSeed(noiseSeed, gx), gy))
+        grid[y * span + x] =
+          random() < FillChance ? TileTypes.WALL : TileTypes.FLOOR
+      }
+    }
+
+    for (let i = 0; i < Iterations; i++) {
+      grid = this._smooth(grid, span)
+    }
+
+    const tiles = new Uint8Array(size * size)
+    for (let y = 0; y < size; y++) {
+      const row = (y + Iterations) * span + Iterations
+      tiles.set(grid.subarray(row, row + size), y * size)
+    }
+    return tiles
+  }
+
+  /**
+   * Runs one automaton step: tiles with five or more wall neighbors become
+   * walls, tiles with three or fewer become floor. Each step corrupts one more
+   * ring at the grid edge, which the margin absorbs.
+   *
+   * @param {Uint8Array} grid  - Row-major tile types.
+   * @param {number}     span  - Grid edge length.
+   * @returns {Uint8Array} The next generation.
+   * @access private
+   */
+  _smooth(grid, span) {
+    const next = new Uint8Array(grid.length)
+    for (let y = 0; y < span; y++) {
+      for (let x = 0; x < span; x++) {
+        let walls = 0
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue
+            const nx = x + dx
+            const ny = y + dy
+            if (
+              nx < 0 ||
+              ny < 0 ||
+              nx >= span ||
+              ny >= span ||
+              grid[ny * span + nx] === TileTypes.WALL
+            ) {
+              walls++
+            }
+          }
+        }
+
+        const index = y * span + x
+        if (walls >= 5) next[index] = TileTypes.WALL
+        else if (walls <= 3) next[index] = TileTypes.FLOOR
+        else next[index] = grid[index]
+      }
+    }
+    return next
+  }
+
+  /**
+   * Turns every floor tile the hub cannot reach within the region into wall.
+   *
+   * @param {Uint8Array} tiles
+   * - Region tiles (modified).
+   * @param {{ x: number; y: number }} hub
+   * - Local hub coordinate.
+   * @returns {void}
+   * @access private
+   */
+  _fillUnreachable(tiles, hub) {
+    const size = this.regionSize
+    const reached = new Uint8Array(tiles.length)
+    const queue = [hub.y * size + hub.x]
+    reached[queue[0]] = 1
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head]
+      const x = index % size
+      const y = (index - x) / size
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < size - 1 ? index + 1 : -1,
+        y > 0 ? index - size : -1,
+        y < size - 1 ? index + size : -1
+      ]
+      for (const next of neighbors) {
+        if (next < 0 || reached[next] || tiles[next] !== TileTypes.FLOOR) {
+          continue
+        }
+        reached[next] = 1
+        queue.push(next)
+      }
+    }
+
+    for (let i = 0; i < tiles.length; i++) {
+      if (!reached[i]) tiles[i] = TileTypes.WALL
+    }
+  }
+}
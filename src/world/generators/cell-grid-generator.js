@@ -0,0 +1,76 @@
+import { ProcGenConfig, TileTypes } from '../../config/index.js'
+import { seededRandom } from '../../utils/math.js'
+import { MazeGenerator } from './maze-generator.js'
+
+const PROC_GEN = ProcGenConfig
+
+/**
+ * The original maze: a grid of 4x4 macro-cells, each with a 2x2 floor center
+ * and random openings to its right and bottom neighbors.
+ */
+export class CellGridGenerator extends MazeGenerator {
+  /**
+   * Generates the connectivity configuration for a macro-grid cell. Determines
+   * if a cell has openings to its right or bottom neighbors.
+   *
+   * @param {number} cx  - Macro-cell X coordinate.
+   * @param {number} cy  - Macro-cell Y coordinate.
+   * @returns {{ r: boolean; d: boolean }} Connectivity flags.
+   */
+  getCellConfig(cx, cy) {
+    // Add level seed to vary map layout per level
+    const seed =
+      (cx * PROC_GEN.Primes.X) ^
+      (cy * PROC_GEN.Primes.Y) ^
+      (this.seed * 1000003)
+    const r = seededRandom(seed)
+
+    if (r < PROC_GEN.ConnectionThresholds.One) return { r: true, d: false }
+    if (r < PROC_GEN.ConnectionThresholds.Two) return { r: false, d: true }
+    return { r: true, d: true }
+  }
+
+  /**
+   * Determines the tile type at a specific coordinate based on macro-cell
+   * logic.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {number} The TileType enum value (FLOOR or WALL).
+   */
+  getTileType(tx, ty) {
+    const cx = Math.floor(tx / PROC_GEN.CellSize)
+    const cy = Math.floor(ty / PROC_GEN.CellSize)
+
+    // Calculate local coordinates within the 4x4 cell (handling negative wrapping)
+    const lx =
+      ((tx % PROC_GEN.CellSize) + PROC_GEN.CellSize) % PROC_GEN.CellSize
+    const ly =
+      ((ty % PROC_GEN.CellSize) + PROC_GEN.CellSize) % PROC_GEN.CellSize
+
+    // Center 2x2 is always floor
+    if ((lx === 1 || lx === 2) && (ly === 1 || ly === 2)) return TileTypes.FLOOR
+
+    const curr = this.getCellConfig(cx, cy)
+
+    // Horizontal logic
+    if (ly === 1 || ly === 2) {
+      if (lx === 0) {
+        const left = this.getCellConfig(cx - 1, cy)
+        if (left.r) return TileTypes.FLOOR
+      }
+      if (lx === 3 && curr.r) return TileTypes.FLOOR
+    }
+
+    // Vertical logic
+    if (lx === 1 || lx === 2) {
+      if (ly === 0) {
+        const top = this.getCellConfig(cx, cy - 1)
+        if (top.d) return TileTypes.FLOOR
+      }
+      if (ly === 3 && curr.d) return TileTypes.FLOOR
+    }
+
+    return TileTypes.WALL
+  }
+}
@@ -0,0 +1,43 @@
+import { ProcGenConfig } from '../../config/index.js'
+import { CaveGenerator } from './cave-generator.js'
+import { CellGridGenerator } from './cell-grid-generator.js'
+import { RoomsGenerator } from './rooms-generator.js'
+
+export { MazeGenerator, RegionMazeGenerator } from './maze-generator.js'
+export { CaveGenerator, CellGridGenerator, RoomsGenerator }
+
+/**
+ * Maze generator implementations by the names used in
+ * `ProcGenConfig.LevelGenerators`.
+ *
+ * @type {Readonly<
+ *   Record<string, typeof import('./maze-generator.js').MazeGenerator>
+ * >}
+ */
+export const MazeGenerators = Object.freeze({
+  cells: CellGridGenerator,
+  cave: CaveGenerator,
+  rooms: RoomsGenerator
+})
+
+/**
+ * Creates the maze generator configured for a level. Levels past the end of
+ * `ProcGenConfig.LevelGenerators` reuse its last entry.
+ *
+ * @param {number} level
+ * - The level number (1-based).
+ * @param {number} seed
+ * - The level seed.
+ * @returns {import('./maze-generator.js').MazeGenerator}
+ * @throws {Error}
+ * If the configured generator name is unknown.
+ */
+export function createLevelGenerator(level, seed) {
+  const names = ProcGenConfig.LevelGenerators
+  const name = names[Math.min(Math.max(level, 1), names.length) - 1]
+  const Generator = MazeGenerators[name]
+  if (!Generator) {
+    throw new Error(`MazeGenerators: unknown generator "${name}"`)
+  }
+  return new Generator({ seed })
+}
@@ -0,0 +1,243 @@
+import { ProcGenConfig, TileTypes } from '../../config/index.js'
+import { createSeededRandom, mixSeed } from '../../utils/math.js'
+
+/**
+ * Salts separating the independent random streams derived from a level seed.
+ *
+ * @enum {number}
+ */
+const Salts = Object.freeze({ REGION: 1, EDGE_X: 2, EDGE_Y: 3 })
+
+/**
+ * Base class for maze generators. A generator turns a level seed into an
+ * infinite tile grid; `World` asks it for individual tiles and layers items,
+ * collision and spawning on top.
+ *
+ * Implementations must be pure functions of the seed and coordinates, and
+ * every floor tile must be connected to every other one.
+ */
+export class MazeGenerator {
+  /**
+   * @param {Object} options       - Generator options.
+   * @param {number} options.seed  - Level seed driving the layout.
+   */
+  constructor({ seed }) {
+    this.seed = seed
+  }
+
+  /**
+   * Returns the tile type at a tile coordinate.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {number} The TileType enum value (FLOOR or WALL).
+   * @abstract
+   */
+  // eslint-disable-next-line no-unused-vars
+  getTileType(tx, ty) {
+    throw new Error(`${this.constructor.name}: getTileType not implemented`)
+  }
+}
+
+/**
+ * Base class for generators that lay out the world in square regions, each
+ * generated as a whole and cached. Regions are stitched together through 2-tile
+ * openings on every shared edge; `_carveConnectors` links a region's interior
+ * to all four of them, which keeps the whole infinite grid connected.
+ */
+export class RegionMazeGenerator extends MazeGenerator {
+  /**
+   * @param {Object} options
+   * - Generator options.
+   * @param {number} options.seed
+   * - Level seed driving the layout.
+   * @param {number} [options.regionSize=ProcGenConfig.RegionSize]
+   * - Region edge length in tiles. Default is `ProcGenConfig.RegionSize`
+   * @param {number} [options.cacheSize=ProcGenConfig.RegionCacheSize]
+   * - Number of generated regions kept in memory. Default is
+   * `ProcGenConfig.RegionCacheSize`
+   */
+  constructor({
+    seed,
+    regionSize = ProcGenConfig.RegionSize,
+    cacheSize = ProcGenConfig.RegionCacheSize
+  }) {
+    super({ seed })
+    this.regionSize = regionSize
+    this._cacheSize = cacheSize
+
+    /**
+     * @type {Map<string, Uint8Array>}
+     */
+    this._regions = new Map()
+    this._lastKey = null
+    this._lastRegion = null
+  }
+
+  /**
+   * Returns the tile type at a tile coordinate, generating its region on first
+   * access.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {number} The TileType enum value (FLOOR or WALL).
+   */
+  getTileType(tx, ty) {
+    const size = this.regionSize
+    const rx = Math.floor(tx / size)
+    const ry = Math.floor(ty / size)
+    const region = this._getRegion(rx, ry)
+    return region[(ty - ry * size) * size + (tx - rx * size)]
+  }
+
+  /**
+   * Generates the tiles of one region.
+   *
+   * @param {number} rx  - Region X coordinate.
+   * @param {number} ry  - Region Y coordinate.
+   * @returns {Uint8Array} Row-major tile types, `regionSize` squared.
+   * @abstract
+   */
+  // eslint-disable-next-line no-unused-vars
+  generateRegion(rx, ry) {
+    throw new Error(`${this.constructor.name}: generateRegion not implemented`)
+  }
+
+  /**
+   * Creates the random stream of a region.
+   *
+   * @param {number} rx  - Region X coordinate.
+   * @param {number} ry  - Region Y coordinate.
+   * @returns {function(): number} Generator returning numbers in [0, 1).
+   * @access protected
+   */
+  _createRegionRandom(rx, ry) {
+    return createSeededRandom(
+      mixSeed(mixSeed(mixSeed(this.seed, Salts.REGION), rx), ry)
+    )
+  }
+
+  /**
+   * Carves 2-wide L-shaped corridors from a hub inside the region to the
+   * openings on all four region edges.
+   *
+   * @param {Uint8Array} tiles
+   * - Region tiles (modified).
+   * @param {number} rx
+   * - Region X coordinate.
+   * @param {number} ry
+   * - Region Y coordinate.
+   * @param {{ x: number; y: number }} hub
+   * - Local hub coordinate.
+   * @param {function(): number} random
+   * - Region random stream.
+   * @returns {void}
+   * @access protected
+   */
+  _carveConnectors(tiles, rx, ry, hub, random) {
+    const last = this.regionSize - 2
+    const targets = [
+      { x: last, y: this._getEdgeOpening(rx, ry, Salts.EDGE_X) },
+      { x: 0, y: this._getEdgeOpening(rx - 1, ry, Salts.EDGE_X) },
+      { x: this._getEdgeOpening(rx, ry, Salts.EDGE_Y), y: last },
+      { x: this._getEdgeOpening(rx, ry - 1, Salts.EDGE_Y), y: 0 }
+    ]
+
+    for (const target of targets) {
+      const bend =
+        random() < 0.5 ? { x: target.x, y: hub.y } : { x: hub.x, y: target.y }
+      this._carveLine(tiles, hub, bend)
+      this._carveLine(tiles, bend, target)
+    }
+  }
+
+  /**
+   * Carves a 2x2 brush along a horizontal or vertical line.
+   *
+   * @param {Uint8Array} tiles
+   * - Region tiles (modified).
+   * @param {{ x: number; y: number }} from
+   * - Local start coordinate.
+   * @param {{ x: number; y: number }} to
+   * - Local end coordinate.
+   * @returns {void}
+   * @access protected
+   */
+  _carveLine(tiles, from, to) {
+    const stepX = Math.sign(to.x - from.x)
+    const stepY = Math.sign(to.y - from.y)
+    let { x, y } = from
+
+    for (;;) {
+      this._carveRect(tiles, x, y, 2, 2)
+      if (x === to.x && y === to.y) break
+      x += stepX
+      y += stepY
+    }
+  }
+
+  /**
+   * Sets a rectangle of the region to floor, clipped to the region bounds.
+   *
+   * @param {Uint8Array} tiles  - Region tiles (modified).
+   * @param {number}     x      - Local left coordinate.
+   * @param {number}     y      - Local top coordinate.
+   * @param {number}     w      - Width in tiles.
+   * @param {number}     h      - Height in tiles.
+   * @returns {void}
+   * @access protected
+   */
+  _carveRect(tiles, x, y, w, h) {
+    const size = this.regionSize
+    for (let ly = Math.max(0, y); ly < Math.min(size, y + h); ly++) {
+      for (let lx = Math.max(0, x); lx < Math.min(size, x + w); lx++) {
+        tiles[ly * size + lx] = TileTypes.FLOOR
+      }
+    }
+  }
+
+  /**
+   * Position of the opening on the right (`EDGE_X`) or bottom (`EDGE_Y`) edge
+   * of a region, shared with the neighbor on the other side.
+   *
+   * @param {number} rx    - Region X coordinate.
+   * @param {number} ry    - Region Y coordinate.
+   * @param {number} salt  - `Salts.EDGE_X` or `Salts.EDGE_Y`.
+   * @returns {number} Local offset along the edge of the first opening tile.
+   * @access private
+   */
+  _getEdgeOpening(rx, ry, salt) {
+    const random = createSeededRandom(
+      mixSeed(mixSeed(mixSeed(this.seed, salt), rx), ry)
+    )
+    // Keep openings off the corners so corridors never merge diagonally
+    return 2 + Math.floor(random() * (this.regionSize - 5))
+  }
+
+  /**
+   * Returns a region from the cache, generating it if needed. The oldest region
+   * is evicted once the cache is full.
+   *
+   * @param {number} rx  - Region X coordinate.
+   * @param {number} ry  - Region Y coordinate.
+   * @returns {Uint8Array}
+   * @access private
+   */
+  _getRegion(rx, ry) {
+    const key = `${rx},${ry}`
+    if (key === this._lastKey) return this._lastRegion
+
+    let region = this._regions.get(key)
+    if (!region) {
+      region = this.generateRegion(rx, ry)
+      this._regions.set(key, region)
+      if (this._regions.size > this._cacheSize) {
+        this._regions.delete(this._regions.keys().next().value)
+      }
+    }
+
+    this._lastKey = key
+    this._lastRegion = region
+    return region
+  }
+}
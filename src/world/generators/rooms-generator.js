@@ -0,0 +1,35 @@
+import { ProcGenConfig, TileTypes } from '../../config/index.js'
+import { RegionMazeGenerator } from './maze-generator.js'
+
+/**
+ * Rooms and corridors: every region holds one rectangular room, linked to the
+ * neighboring regions by corridors leaving from its center.
+ */
+export class RoomsGenerator extends RegionMazeGenerator {
+  /**
+   * Generates the tiles of one region.
+   *
+   * @param {number} rx  - Region X coordinate.
+   * @param {number} ry  - Region Y coordinate.
+   * @returns {Uint8Array} Row-major tile types, `regionSize` squared.
+   */
+  generateRegion(rx, ry) {
+    const { MinSize, MaxSize } = ProcGenConfig.Rooms
+    const size = this.regionSize
+    const random = this._createRegionRandom(rx, ry)
+    const tiles = new Uint8Array(size * size).fill(TileTypes.WALL)
+
+    // Leave a one tile margin so rooms of adjacent regions never merge
+    const maxSize = Math.min(MaxSize, size - 2)
+    const w = MinSize + Math.floor(random() * (maxSize - MinSize + 1))
+    const h = MinSize + Math.floor(random() * (maxSize - MinSize + 1))
+    const x = 1 + Math.floor(random() * (size - 1 - w))
+    const y = 1 + Math.floor(random() * (size - 1 - h))
+    this._carveRect(tiles, x, y, w, h)
+
+    const hub = { x: x + Math.floor(w / 2) - 1, y: y + Math.floor(h / 2) - 1 }
+    this._carveConnectors(tiles, rx, ry, hub, random)
+
+    return tiles
+  }
+}
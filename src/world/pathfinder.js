@@ -0,0 +1,271 @@
+import {
+  CollisionConfig,
+  PathfindingConfig,
+  PhysicsConfig,
+  SpriteConfig
+} from '../config/index.js'
+
+/**
+ * Offset from the sprite's top-left corner to the center of its collision box
+ * at the feet, the point routes are walked with.
+ *
+ * @constant {{ x: number; y: number }}
+ */
+export const FOOTPRINT_OFFSET = Object.freeze({
+  x: (SpriteConfig.Width * SpriteConfig.Scale) / 2,
+  y:
+    SpriteConfig.Height * SpriteConfig.Scale -
+    CollisionConfig.VerticalOffset +
+    CollisionConfig.Height / 2
+})
+
+/**
+ * Neighbor steps as `[dx, dy, cost]`; diagonals cost √2.
+ *
+ * @constant {[number, number, number][]}
+ */
+const STEPS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, Math.SQRT2],
+  [1, -1, Math.SQRT2],
+  [-1, 1, Math.SQRT2],
+  [-1, -1, Math.SQRT2]
+]
+
+/**
+ * A* search over the world's tile grid. A tile is walkable when the player's
+ * collision box fits with its center on the tile center, and diagonal steps
+ * are only taken when both tiles beside them are walkable, so the box never
+ * clips a wall corner while walking a route.
+ */
+export class Pathfinder {
+  /**
+   * @param {import('./world.js').World} world
+   * - The world to search.
+   * @param {Object} [options={}]
+   * - Search options. Default is `{}`
+   * @param {number} [options.maxNodes=PathfindingConfig.MaxNodes]
+   * - Tiles expanded before a search gives up. Default is
+   * `PathfindingConfig.MaxNodes`
+   * @param {boolean} [options.exploredOnly=true]
+   * - Only route through tiles the player has explored. Default is `true`
+   */
+  constructor(
+    world,
+    { maxNodes = PathfindingConfig.MaxNodes, exploredOnly = true } = {}
+  ) {
+    this._world = world
+    this._maxNodes = maxNodes
+    this._exploredOnly = exploredOnly
+  }
+
+  /**
+   * Whether the player can stand centered on a tile.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {boolean}
+   */
+  isWalkable(tx, ty) {
+    const world = this._world
+    if (this._exploredOnly && !world.exploration.isExplored(tx, ty)) {
+      return false
+    }
+    const position = Pathfinder.getSpritePosition(tx, ty)
+    return !world.checkCollision(position.x, position.y)
+  }
+
+  /**
+   * Finds the shortest walkable route between two tiles.
+   *
+   * @param {{ x: number; y: number }} start
+   * - Start tile.
+   * @param {{ x: number; y: number }} goal
+   * - Target tile.
+   * @returns {{ x: number; y: number }[] | null}
+   * Tiles from start to goal, both included, or `null` if the goal is not
+   * walkable or not reachable within the node budget.
+   */
+  findPath(start, goal) {
+    if (!this.isWalkable(goal.x, goal.y)) return null
+
+    const startKey = `${start.x},${start.y}`
+    const goalKey = `${goal.x},${goal.y}`
+    const heuristic = (x, y) => {
+      const dx = Math.abs(goal.x - x)
+      const dy = Math.abs(goal.y - y)
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)
+    }
+
+    const walkable = new Map()
+    const isWalkable = (x, y) => {
+      const key = `${x},${y}`
+      let value = walkable.get(key)
+      if (value === undefined) {
+        value = this.isWalkable(x, y)
+        walkable.set(key, value)
+      }
+      return value
+    }
+
+    const open = new MinHeap()
+    const nodes = new Map([
+      [startKey, { x: start.x, y: start.y, cost: 0, parent: null }]
+    ])
+    const closed = new Set()
+    open.push(nodes.get(startKey), heuristic(start.x, start.y))
+
+    while (open.size > 0 && closed.size < this._maxNodes) {
+      const node = open.pop()
+      const key = `${node.x},${node.y}`
+      if (closed.has(key)) continue
+      if (key === goalKey) return this._buildPath(node)
+      closed.add(key)
+
+      for (const [dx, dy, stepCost] of STEPS) {
+        const x = node.x + dx
+        const y = node.y + dy
+        const nextKey = `${x},${y}`
+        if (closed.has(nextKey) || !isWalkable(x, y)) continue
+        if (
+          dx !== 0 &&
+          dy !== 0 &&
+          (!isWalkable(node.x + dx, node.y) || !isWalkable(node.x, node.y + dy))
+        ) {
+          continue
+        }
+
+        const cost = node.cost + stepCost
+        const known = nodes.get(nextKey)
+        if (known && known.cost <= cost) continue
+
+        const next = { x, y, cost, parent: node }
+        nodes.set(nextKey, next)
+        open.push(next, cost + heuristic(x, y))
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Sprite top-left position that centers the collision box on a tile.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {{ x: number; y: number }}
+   */
+  static getSpritePosition(tx, ty) {
+    const ts = PhysicsConfig.TileSize
+    return {
+      x: (tx + 0.5) * ts - FOOTPRINT_OFFSET.x,
+      y: (ty + 0.5) * ts - FOOTPRINT_OFFSET.y
+    }
+  }
+
+  /**
+   * Tile under the center of the collision box of a sprite.
+   *
+   * @param {number} x  - Sprite top-left X.
+   * @param {number} y  - Sprite top-left Y.
+   * @returns {{ x: number; y: number }}
+   */
+  static getFootprintTile(x, y) {
+    const ts = PhysicsConfig.TileSize
+    return {
+      x: Math.floor((x + FOOTPRINT_OFFSET.x) / ts),
+      y: Math.floor((y + FOOTPRINT_OFFSET.y) / ts)
+    }
+  }
+
+  /**
+   * Walks the parent links of the goal node back to the start.
+   *
+   * @param {{ x: number; y: number; parent: Object | null }} node
+   * - The goal node.
+   * @returns {{ x: number; y: number }[]}
+   * @access private
+   */
+  _buildPath(node) {
+    const path = []
+    for (let current = node; current; current = current.parent) {
+      path.push({ x: current.x, y: current.y })
+    }
+    return path.reverse()
+  }
+}
+
+/** Binary min-heap of values ordered by a numeric priority. */
+class MinHeap {
+  constructor() {
+    /**
+     * @type {{ value: any; priority: number }[]}
+     */
+    this._items = []
+  }
+
+  /**
+   * Number of queued values.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this._items.length
+  }
+
+  /**
+   * @param {any}    value     - Value to queue.
+   * @param {number} priority  - Lower values are popped first.
+   * @returns {void}
+   */
+  push(value, priority) {
+    const items = this._items
+    items.push({ value, priority })
+    let index = items.length - 1
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (items[parent].priority <= priority) break
+      ;[items[parent], items[index]] = [items[index], items[parent]]
+      index = parent
+    }
+  }
+
+  /**
+   * Removes and returns the value with the lowest priority.
+   *
+   * @returns {any}
+   */
+  pop() {
+    const items = this._items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let index = 0
+      for (;;) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+        if (
+          left < items.length &&
+          items[left].priority < items[smallest].priority
+        ) {
+          smallest = left
+        }
+        if (
+          right < items.length &&
+          items[right].priority < items[smallest].priority
+        ) {
+          smallest = right
+        }
+        if (smallest === index) break
+        ;[items[smallest], items[index]] = [items[index], items[smallest]]
+        index = smallest
+      }
+    }
+    return top.value
+  }
+}
@@ -3,19 +3,33 @@ import {
   Directions,
   PhysicsConfig,
   SpriteConfig,
-  ScreenConfig
+  ScreenConfig,
+  StatusEffectTypes,
+  CollisionConfig
 } from '../config/index.js'
+import { sweepAxis } from '../utils/math.js'
+import { Entity } from './entity.js'
+import { StatusEffects } from './status-effects.js'
 
 /** Manages the player character's physics, health, and animation state. */
-export class Player {
+export class Player extends Entity {
   /** Initializes player defaults and internal animation timers. */
   constructor() {
-    this.x = 0
-    this.y = 0
+    super({
+      renderable: {
+        type: 'player',
+        // Sort by the bottom of the collision box at the feet
+        sortOffsetY:
+          SpriteConfig.Height * SpriteConfig.Scale -
+          CollisionConfig.VerticalOffset +
+          CollisionConfig.Height,
+        showInFog: true
+      }
+    })
     this.health = StatsConfig.MaxHealth
     this.direction = Directions.DOWN
     this.frame = 0
-    this.multiplier = 1
+    this.effects = new StatusEffects()
 
     // Internal State
     this._animTimer = 0
@@ -23,16 +37,15 @@ export class Player {
   }
 
   /**
-   * Repositions the player and resets health and speed modifiers.
+   * Repositions the player and resets health and status effects.
    *
    * @param {{ x: number; y: number }} pos  - The world coordinates to spawn at.
    * @returns {void}
    */
   reset(pos) {
-    this.x = pos.x
-    this.y = pos.y
+    this.place(pos)
     this.health = StatsConfig.MaxHealth
-    this.multiplier = 1
+    this.effects.clear()
     this.direction = Directions.DOWN
     this.frame = 0
 
@@ -41,12 +54,64 @@ export class Player {
   }
 
   /**
-   * Advances the sprite animation frame based on elapsed time.
+   * The collision box at the sprite's feet with the sprite at a given position,
+   * matching `World.checkCollision`.
+   *
+   * @param {number} x
+   * - Sprite top-left X.
+   * @param {number} y
+   * - Sprite top-left Y.
+   * @returns {import('./spatial-hash.js').Box}
+   */
+  getHitboxAt(x, y) {
+    const scale = SpriteConfig.Scale
+    const cx = x + (SpriteConfig.Width * scale) / 2
+    const top = y + SpriteConfig.Height * scale - CollisionConfig.VerticalOffset
+    return {
+      left: cx - CollisionConfig.Width / 2,
+      top,
+      right: cx + CollisionConfig.Width / 2,
+      bottom: top + CollisionConfig.Height
+    }
+  }
+
+  /**
+   * Current speed multiplier from active status effects.
+   *
+   * @returns {number}
+   */
+  get multiplier() {
+    return this.effects.speedMultiplier
+  }
+
+  /**
+   * Whether a speed boost (and its damage immunity) is active.
+   *
+   * @returns {boolean}
+   */
+  get isBoosted() {
+    return this.effects.has(StatusEffectTypes.BOOST)
+  }
+
+  /**
+   * Whether a slow-down is active.
+   *
+   * @returns {boolean}
+   */
+  get isSlowed() {
+    return this.effects.has(StatusEffectTypes.SLOW)
+  }
+
+  /**
+   * Counts down status effects and advances the sprite animation frame based on
+   * elapsed time.
    *
    * @param {number} dt  - Delta time in milliseconds.
    * @returns {void}
    */
   update(dt) {
+    this.effects.update(dt)
+
     if (!this._isMoving) {
       this.frame = 0
       this._animTimer = 0
@@ -66,7 +131,8 @@ export class Player {
 
   /**
    * Calculates physics and resolves wall collisions. Checks X and Y axes
-   * independently to allow "sliding" along walls.
+   * independently to allow "sliding" along walls, and sweeps long moves in
+   * steps of at most `CollisionConfig.MaxStep` so they cannot skip over a wall.
    *
    * @param {{ x: number; y: number }} vec
    * - Normalized input vector.
@@ -86,16 +152,28 @@ export class Player {
     const distance = speed * frameRatio
 
     if (vec.x !== 0) {
-      const nextX = this.x + vec.x * distance
-      if (!world.checkCollision(nextX, this.y)) {
-        this.x = nextX
-      }
+      this.x = sweepAxis(this.x, vec.x * distance, CollisionConfig.MaxStep, x =>
+        world.checkCollision(x, this.y)
+      )
     }
     if (vec.y !== 0) {
-      const nextY = this.y + vec.y * distance
-      if (!world.checkCollision(this.x, nextY)) {
-        this.y = nextY
-      }
+      this.y = sweepAxis(this.y, vec.y * distance, CollisionConfig.MaxStep, y =>
+        world.checkCollision(this.x, y)
+      )
     }
   }
+
+  /**
+   * Turns the player to face the movement direction. Vertical movement wins on
+   * diagonals; a zero vector keeps the current facing.
+   *
+   * @param {{ x: number; y: number }} vec  - Input vector.
+   * @returns {void}
+   */
+  face(vec) {
+    if (vec.y < 0) this.direction = Directions.UP
+    else if (vec.y > 0) this.direction = Directions.DOWN
+    else if (vec.x < 0) this.direction = Directions.LEFT
+    else if (vec.x > 0) this.direction = Directions.RIGHT
+  }
 }
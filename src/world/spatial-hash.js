@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} Box
+ * @property {number} left    - World X of the left edge.
+ * @property {number} top     - World Y of the top edge.
+ * @property {number} right   - World X of the right edge.
+ * @property {number} bottom  - World Y of the bottom edge.
+ */
+
+/**
+ * Uniform grid broadphase. Objects are filed under every cell their box
+ * touches, so a query only has to look at the cells around the queried box
+ * instead of every object. Queries return candidates; callers still run their
+ * exact overlap test on them.
+ *
+ * @template T
+ */
+export class SpatialHash {
+  /**
+   * @param {Object} options           - Hash options.
+   * @param {number} options.cellSize  - Cell edge length in pixels.
+   */
+  constructor({ cellSize }) {
+    this._cellSize = cellSize
+
+    /**
+     * Objects per `"cx,cy"` cell key.
+     *
+     * @type {Map<string, Set<T>>}
+     */
+    this._cells = new Map()
+
+    /**
+     * Cell range each object is filed under.
+     *
+     * @type {Map<
+     *   T,
+     *   { minX: number; minY: number; maxX: number; maxY: number }
+     * >}
+     */
+    this._ranges = new Map()
+  }
+
+  /**
+   * Number of objects in the hash.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this._ranges.size
+  }
+
+  /**
+   * Files an object under the cells its box touches, replacing any previous
+   * box. Objects that stay within the same cells are left alone.
+   *
+   * @param {T}   object  - The object to store.
+   * @param {Box} box     - Its world-space bounds.
+   * @returns {void}
+   */
+  insert(object, box) {
+    const range = this._getRange(box)
+    const current = this._ranges.get(object)
+    if (
+      current &&
+      current.minX === range.minX &&
+      current.minY === range.minY &&
+      current.maxX === range.maxX &&
+      current.maxY === range.maxY
+    ) {
+      return
+    }
+
+    if (current) this.remove(object)
+    this._ranges.set(object, range)
+    this._forEachCell(range, key => {
+      let cell = this._cells.get(key)
+      if (!cell) {
+        cell = new Set()
+        this._cells.set(key, cell)
+      }
+      cell.add(object)
+    })
+  }
+
+  /**
+   * Takes an object out of the hash.
+   *
+   * @param {T} object  - The object to remove.
+   * @returns {void}
+   */
+  remove(object) {
+    const range = this._ranges.get(object)
+    if (!range) return
+
+    this._ranges.delete(object)
+    this._forEachCell(range, key => {
+      const cell = this._cells.get(key)
+      cell.delete(object)
+      if (cell.size === 0) this._cells.delete(key)
+    })
+  }
+
+  /**
+   * Objects filed under any cell the box touches.
+   *
+   * @param {Box} box  - World-space bounds to look around.
+   * @returns {Set<T>} Broadphase candidates.
+   */
+  query(box) {
+    const found = new Set()
+    this._forEachCell(this._getRange(box), key => {
+      const cell = this._cells.get(key)
+      if (cell) for (const object of cell) found.add(object)
+    })
+    return found
+  }
+
+  /**
+   * Removes every object.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._cells.clear()
+    this._ranges.clear()
+  }
+
+  /**
+   * @param {Box} box
+   * @returns {{ minX: number; minY: number; maxX: number; maxY: number }}
+   * @access private
+   */
+  _getRange(box) {
+    const size = this._cellSize
+    return {
+      minX: Math.floor(box.left / size),
+      minY: Math.floor(box.top / size),
+      maxX: Math.floor(box.right / size),
+      maxY: Math.floor(box.bottom / size)
+    }
+  }
+
+  /**
+   * @param {{ minX: number; minY: number; maxX: number; maxY: number }} range
+   * @param {function(string): void} callback
+   * @returns {void}
+   * @access private
+   */
+  _forEachCell(range, callback) {
+    for (let cy = range.minY; cy <= range.maxY; cy++) {
+      for (let cx = range.minX; cx <= range.maxX; cx++) {
+        callback(`${cx},${cy}`)
+      }
+    }
+  }
+}
+
+/**
+ * Whether two boxes touch or overlap.
+ *
+ * @param {Box} a  - First box.
+ * @param {Box} b  - Second box.
+ * @returns {boolean}
+ */
+export function boxesOverlap(a, b) {
+  return (
+    a.left <= b.right &&
+    a.right >= b.left &&
+    a.top <= b.bottom &&
+    a.bottom >= b.top
+  )
+}
+
+/**
+ * Smallest box containing both boxes. Taking it over a box's start and end
+ * positions of a tick gives the area the box swept through on the way.
+ *
+ * @param {Box} a  - First box.
+ * @param {Box} b  - Second box.
+ * @returns {Box}
+ */
+export function unionBoxes(a, b) {
+  return {
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom)
+  }
+}
@@ -0,0 +1,133 @@
+import { StatusEffectConfig } from '../config/index.js'
+
+/**
+ * Tracks timed status effects (boost, slow) in game time. Durations only
+ * advance through `update(dt)`, so effects freeze whenever the simulation does.
+ */
+export class StatusEffects {
+  /** Creates an empty effect set. */
+  constructor() {
+    /**
+     * @type {Map<string, { remaining: number; duration: number }>}
+     */
+    this._effects = new Map()
+  }
+
+  /**
+   * Applies an effect. Effects listed in the config's `cancels` are removed
+   * first; re-applying an active effect adds to its remaining time.
+   *
+   * @param {string} type      - A `StatusEffectTypes` value.
+   * @param {number} duration  - Duration to add in milliseconds.
+   * @returns {void}
+   */
+  apply(type, duration) {
+    const config = StatusEffectConfig[type]
+    if (!config) return
+
+    for (const cancelled of config.cancels) {
+      this._effects.delete(cancelled)
+    }
+
+    const current = this._effects.get(type)
+    const remaining = (current?.remaining ?? 0) + duration
+    this._effects.set(type, { remaining, duration: remaining })
+  }
+
+  /**
+   * Removes a single effect immediately.
+   *
+   * @param {string} type  - A `StatusEffectTypes` value.
+   * @returns {void}
+   */
+  remove(type) {
+    this._effects.delete(type)
+  }
+
+  /**
+   * Removes every active effect.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._effects.clear()
+  }
+
+  /**
+   * Replaces every effect with a saved list from `list()`. Unknown and expired
+   * effects are skipped.
+   *
+   * @param {{ type: string; remaining: number; duration: number }[]} effects
+   * - The effects to restore.
+   * @returns {void}
+   */
+  restore(effects) {
+    this._effects.clear()
+    for (const { type, remaining, duration } of effects) {
+      if (!StatusEffectConfig[type] || !(remaining > 0)) continue
+      this._effects.set(type, {
+        remaining,
+        duration: Math.max(remaining, duration || 0)
+      })
+    }
+  }
+
+  /**
+   * Counts down all active effects and drops the ones that have expired.
+   *
+   * @param {number} dt  - Delta time in milliseconds.
+   * @returns {void}
+   */
+  update(dt) {
+    for (const [type, effect] of this._effects) {
+      effect.remaining -= dt
+      if (effect.remaining <= 0) this._effects.delete(type)
+    }
+  }
+
+  /**
+   * Checks whether an effect is currently active.
+   *
+   * @param {string} type  - A `StatusEffectTypes` value.
+   * @returns {boolean}
+   */
+  has(type) {
+    return this._effects.has(type)
+  }
+
+  /**
+   * Returns the remaining time of an effect.
+   *
+   * @param {string} type  - A `StatusEffectTypes` value.
+   * @returns {number} Remaining milliseconds, or 0 if inactive.
+   */
+  getRemaining(type) {
+    return this._effects.get(type)?.remaining ?? 0
+  }
+
+  /**
+   * Combined speed multiplier of all active effects.
+   *
+   * @returns {number}
+   */
+  get speedMultiplier() {
+    let multiplier = 1
+    for (const type of this._effects.keys()) {
+      multiplier *= StatusEffectConfig[type].multiplier
+    }
+    return multiplier
+  }
+
+  /**
+   * Lists active effects for display (e.g. HUD countdowns).
+   *
+   * @returns {{ type: string; remaining: number; duration: number }[]}
+   */
+  list() {
+    return Array.from(this._effects, ([type, effect]) => ({
+      type,
+      remaining: effect.remaining,
+      duration: effect.duration
+    }))
+  }
+}
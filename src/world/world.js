@@ -9,151 +9,276 @@ import {
   Directions,
   ScreenConfig,
   ProcGenConfig,
-  ItemPlacementConfig
+  ItemPlacementConfig,
+  ExplorationConfig
 } from '../config/index.js'
 import { seededRandom } from '../utils/math.js'
+import { deriveLevelSeed, generateSeed } from '../utils/seed.js'
+import { ChunkCache, NO_ITEM } from './chunk-cache.js'
+import { ExplorationMap } from './exploration-map.js'
+import { SpatialHash } from './spatial-hash.js'
+import { createLevelGenerator } from './generators/index.js'
 
 const PROC_GEN = ProcGenConfig
 
+/** 4-connected neighbor offsets used when walking the tile grid. */
+const NEIGHBOR_OFFSETS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1]
+]
+
+/** Cell edge length of the entity broadphase, in pixels. */
+const ENTITY_CELL_SIZE = PhysicsConfig.TileSize * 2
+
+/** Registry index of every item definition, as stored in chunk item arrays. */
+const ITEM_INDICES = new Map(ITEM_REGISTRY.map((item, index) => [item, index]))
+
 /**
  * Manages the procedural grid, tile logic, entity collision, and item
  * persistence.
  */
 export class World {
-  constructor() {
+  /**
+   * @param {Object} [options={}]
+   * - Configuration options. Default is `{}`
+   * @param {number} [options.seed=generateSeed()]
+   * - Run seed that every level seed is derived from. Default is a random seed.
+   */
+  constructor({ seed = generateSeed() } = {}) {
     this._collectedItems = new Set()
-    this._levelSeed = Math.floor(Math.random() * 2147483647) // Random seed for first level
+    this._itemRevision = 0
+    this._exploration = new ExplorationMap()
+    this._entityIndex = new SpatialHash({ cellSize: ENTITY_CELL_SIZE })
+    this._levelArea = null
+    this._runSeed = seed
+    this._levelSeed = deriveLevelSeed(seed, 1)
+    this._generator = createLevelGenerator(1, this._levelSeed)
 
     // Pre-calculate total rarity weight to avoid re-looping every frame
     this._totalItemRarity = ITEM_REGISTRY.reduce(
       (sum, item) => sum + item.rarity,
       0
     )
-    this._guaranteedItemTiles = new Map()
+    this._guaranteedItemPlacements = []
+    this._chunks = new ChunkCache({
+      size: PROC_GEN.ChunkSize,
+      capacity: PROC_GEN.ChunkCacheSize,
+      fill: chunk => this._fillChunk(chunk)
+    })
     this._populateGuaranteedItems()
   }
 
   /**
    * Resets the world state and regenerates the map and items for a new level.
-   * Generates a random seed for each level to ensure unique layouts.
+   * The level seed is derived from the run seed, so the same run seed always
+   * produces the same sequence of mazes and item layouts.
    *
-   * @param {number} [_level=1]  - The current level number (for reference
-   *                             only).
+   * @param {number} [level=1]  - The level number to generate. Default is `1`
+   * @param {number} [runSeed]  - A new run seed to switch to. Default keeps the
+   *                            current run seed.
    * @returns {void}
    */
-  // eslint-disable-next-line no-unused-vars
-  reset(_level = 1) {
+  reset(level = 1, runSeed = this._runSeed) {
     this._collectedItems.clear()
-    // Generate a new random seed for each level
-    this._levelSeed = Math.floor(Math.random() * 2147483647)
+    this._exploration.clear()
+    this._entityIndex.clear()
+    this._levelArea = null
+    this._runSeed = runSeed
+    this._levelSeed = deriveLevelSeed(runSeed, level)
+    this._generator = createLevelGenerator(level, this._levelSeed)
+    this._chunks.clear()
     // Regenerate guaranteed items for the new level
-    this._guaranteedItemTiles.clear()
+    this._guaranteedItemPlacements = []
     this._populateGuaranteedItems()
   }
 
   /**
-   * Generates the connectivity configuration for a macro-grid cell. Determines
-   * if a cell has openings to its right or bottom neighbors.
+   * The maze generator laying out the current level.
    *
-   * @param {number} cx  - Macro-cell X coordinate.
-   * @param {number} cy  - Macro-cell Y coordinate.
-   * @returns {{ r: boolean; d: boolean }} Connectivity flags.
+   * @returns {import('./generators/index.js').MazeGenerator}
    */
-  getCellConfig(cx, cy) {
-    // Add level seed to vary map layout per level
-    const seed =
-      (cx * PROC_GEN.Primes.X) ^
-      (cy * PROC_GEN.Primes.Y) ^
-      (this._levelSeed * 1000003)
-    const r = seededRandom(seed)
-
-    if (r < PROC_GEN.ConnectionThresholds.One) return { r: true, d: false }
-    if (r < PROC_GEN.ConnectionThresholds.Two) return { r: false, d: true }
-    return { r: true, d: true }
+  get generator() {
+    return this._generator
   }
 
   /**
-   * Determines the tile type at a specific coordinate based on macro-cell
-   * logic.
+   * Determines the tile type at a specific coordinate using the current level's
+   * maze generator. Tiles are generated a chunk at a time and cached.
    *
    * @param {number} tx  - Tile X coordinate.
    * @param {number} ty  - Tile Y coordinate.
    * @returns {number} The TileType enum value (FLOOR or WALL).
    */
   getTileType(tx, ty) {
-    const cx = Math.floor(tx / PROC_GEN.CellSize)
-    const cy = Math.floor(ty / PROC_GEN.CellSize)
+    const chunk = this._chunks.getChunkAt(tx, ty)
+    return chunk.tiles[this._chunks.indexOf(chunk, tx, ty)]
+  }
 
-    // Calculate local coordinates within the 4x4 cell (handling negative wrapping)
-    const lx =
-      ((tx % PROC_GEN.CellSize) + PROC_GEN.CellSize) % PROC_GEN.CellSize
-    const ly =
-      ((ty % PROC_GEN.CellSize) + PROC_GEN.CellSize) % PROC_GEN.CellSize
+  /**
+   * Resolves which item, if any, exists at a tile coordinate.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {Object | null} The item definition or null.
+   */
+  getItemAt(tx, ty) {
+    const chunk = this._chunks.getChunkAt(tx, ty)
+    const index = chunk.items[this._chunks.indexOf(chunk, tx, ty)]
+    return index === NO_ITEM ? null : ITEM_REGISTRY[index]
+  }
 
-    // Center 2x2 is always floor
-    if ((lx === 1 || lx === 2) && (ly === 1 || ly === 2)) return TileTypes.FLOOR
+  /**
+   * Items whose tile center lies inside a box. The tile grid is the item
+   * broadphase: only the tiles under the box are looked at, however large it
+   * is, so a box swept over a whole tick finds every item passed on the way.
+   *
+   * @param {import('./spatial-hash.js').Box} box
+   * - World-space bounds, e.g. a swept collision box.
+   * @returns {{ item: Object; tx: number; ty: number }[]}
+   * Items in row-major tile order.
+   */
+  queryItems(box) {
+    const ts = PhysicsConfig.TileSize
+    const found = []
+    for (let ty = Math.floor(box.top / ts); ty <= box.bottom / ts; ty++) {
+      const itemY = (ty + 0.5) * ts
+      if (itemY < box.top || itemY > box.bottom) continue
+      for (let tx = Math.floor(box.left / ts); tx <= box.right / ts; tx++) {
+        const itemX = (tx + 0.5) * ts
+        if (itemX < box.left || itemX > box.right) continue
+        const item = this.getItemAt(tx, ty)
+        if (item) found.push({ item, tx, ty })
+      }
+    }
+    return found
+  }
 
-    const curr = this.getCellConfig(cx, cy)
+  /**
+   * Broadphase of the level's entities, kept up to date by the `EntityRegistry`
+   * that owns them and emptied on `reset()`.
+   *
+   * @returns {SpatialHash<import('./entity.js').Entity>}
+   */
+  get entityIndex() {
+    return this._entityIndex
+  }
 
-    // Horizontal logic
-    if (ly === 1 || ly === 2) {
-      if (lx === 0) {
-        const left = this.getCellConfig(cx - 1, cy)
-        if (left.r) return TileTypes.FLOOR
+  /**
+   * Entities whose last swept collider may touch a box. Candidates only;
+   * callers run the exact overlap test.
+   *
+   * @param {import('./spatial-hash.js').Box} box
+   * - World-space bounds.
+   * @returns {Set<import('./entity.js').Entity>}
+   */
+  queryEntities(box) {
+    return this._entityIndex.query(box)
+  }
+
+  /**
+   * Removes the item at a tile coordinate for the rest of the level.
+   *
+   * @param {number} tx  - Tile X coordinate.
+   * @param {number} ty  - Tile Y coordinate.
+   * @returns {void}
+   */
+  collectItem(tx, ty) {
+    this._collectedItems.add(`${tx},${ty}`)
+    this._setCachedItem(tx, ty, NO_ITEM)
+    this._itemRevision++
+  }
+
+  /**
+   * Generates the tiles and items of a newly allocated chunk, applying the
+   * level's guaranteed and already collected items.
+   *
+   * @param {import('./chunk-cache.js').Chunk} chunk
+   * - The chunk to fill.
+   * @returns {void}
+   * @access private
+   */
+  _fillChunk(chunk) {
+    const { size } = this._chunks
+    const originX = chunk.cx * size
+    const originY = chunk.cy * size
+
+    for (let ly = 0; ly < size; ly++) {
+      for (let lx = 0; lx < size; lx++) {
+        const index = ly * size + lx
+        const type = this._generator.getTileType(originX + lx, originY + ly)
+        chunk.tiles[index] = type
+        if (type === TileTypes.FLOOR) {
+          chunk.items[index] = this._rollItem(originX + lx, originY + ly)
+        }
       }
-      if (lx === 3 && curr.r) return TileTypes.FLOOR
     }
 
-    // Vertical logic
-    if (lx === 1 || lx === 2) {
-      if (ly === 0) {
-        const top = this.getCellConfig(cx, cy - 1)
-        if (top.d) return TileTypes.FLOOR
-      }
-      if (ly === 3 && curr.d) return TileTypes.FLOOR
+    for (const { item, tx, ty } of this._guaranteedItemPlacements) {
+      const lx = tx - originX
+      const ly = ty - originY
+      if (lx < 0 || ly < 0 || lx >= size || ly >= size) continue
+      chunk.items[ly * size + lx] = ITEM_INDICES.get(item)
     }
 
-    return TileTypes.WALL
+    for (let i = 0; i < chunk.items.length; i++) {
+      if (chunk.items[i] === NO_ITEM) continue
+      const tx = originX + (i % size)
+      const ty = originY + Math.floor(i / size)
+      if (this._collectedItems.has(`${tx},${ty}`)) chunk.items[i] = NO_ITEM
+    }
   }
 
   /**
-   * Resolves which item, if any, exists at a tile coordinate.
+   * Rolls the random item of a floor tile.
    *
    * @param {number} tx  - Tile X coordinate.
    * @param {number} ty  - Tile Y coordinate.
-   * @returns {Object | null} The item definition or null.
+   * @returns {number} An `ITEM_REGISTRY` index or `NO_ITEM`.
+   * @access private
    */
-  getItemAt(tx, ty) {
-    const key = `${tx},${ty}`
-    if (this._collectedItems.has(key)) return null
-    if (this.getTileType(tx, ty) === TileTypes.WALL) return null
-
-    const guaranteedItem = this._guaranteedItemTiles.get(key)
-    if (guaranteedItem) return guaranteedItem
-
+  _rollItem(tx, ty) {
     // Add level seed to vary item spawns per level
     const seed =
       (tx * PROC_GEN.ItemSeed.X) ^
       (ty * PROC_GEN.ItemSeed.Y) ^
       (this._levelSeed * 2000003)
-    if (seededRandom(seed) > PROC_GEN.SpawnChance) return null
+    if (seededRandom(seed) > PROC_GEN.SpawnChance) return NO_ITEM
 
     const roll = seededRandom(seed + 1)
     let accumulator = 0
 
-    for (const item of ITEM_REGISTRY) {
-      accumulator += item.rarity / this._totalItemRarity
-      if (roll <= accumulator) return item
+    for (let i = 0; i < ITEM_REGISTRY.length; i++) {
+      accumulator += ITEM_REGISTRY[i].rarity / this._totalItemRarity
+      if (roll <= accumulator) return i
     }
 
-    return null
+    return NO_ITEM
+  }
+
+  /**
+   * Updates the item of a tile in its chunk, if that chunk is cached. Chunks
+   * generated later pick the change up in `_fillChunk`.
+   *
+   * @param {number} tx     - Tile X coordinate.
+   * @param {number} ty     - Tile Y coordinate.
+   * @param {number} index  - An `ITEM_REGISTRY` index or `NO_ITEM`.
+   * @returns {void}
+   * @access private
+   */
+  _setCachedItem(tx, ty, index) {
+    const chunk = this._chunks.peekChunkAt(tx, ty)
+    if (chunk) chunk.items[this._chunks.indexOf(chunk, tx, ty)] = index
   }
 
   /**
    * Prepares a fixed mapping from tiles to required collectibles so every
    * target item is present at least once in the world. Uses level seed to vary
    * placement each level. Enhanced with minimum distance constraints between
-   * same item types, spawn awareness, and improved distribution.
+   * same item types, spawn awareness, and improved distribution. Candidates
+   * come from a flood fill out of the spawn tile, so every placed item is
+   * connected to spawn and scored by its walking distance.
    *
    * @returns {void}
    * @access private
@@ -168,24 +293,12 @@ export class World {
     const spawnTy = Math.floor(spawn.y / PhysicsConfig.TileSize)
 
     const config = ItemPlacementConfig
-    let limit = Math.max(160, required * 3)
-    let candidateTiles = this._collectFloorTiles(
+    const candidateTiles = this._collectReachableTiles(
       required * 4,
-      limit,
       spawnTx,
       spawnTy
     )
 
-    while (candidateTiles.length < required * 2 && limit <= 400) {
-      limit += 40
-      candidateTiles = this._collectFloorTiles(
-        required * 4,
-        limit,
-        spawnTx,
-        spawnTy
-      )
-    }
-
     // Shuffle candidate tiles using level seed
     const shuffledTiles = this._shuffleWithSeed(candidateTiles, this._levelSeed)
 
@@ -207,8 +320,6 @@ export class World {
           tile,
           score: this._scoreTileForPlacement(
             tile,
-            spawnTx,
-            spawnTy,
             placedTiles,
             placementsByType.get(itemType) || [],
             currentMinDistance
@@ -242,15 +353,9 @@ export class World {
           continue
         }
 
-        // Check distance from spawn
-        const spawnDist = this._calculateDistance(
-          spawnTx,
-          spawnTy,
-          tile.tx,
-          tile.ty
-        )
-        if (spawnDist < config.MinDistanceFromSpawn) continue
-        if (spawnDist > config.MaxDistanceFromSpawn) continue
+        // Check walking distance from spawn
+        if (tile.distance < config.MinDistanceFromSpawn) continue
+        if (tile.distance > config.MaxDistanceFromSpawn) continue
 
         // Check distance from same item type
         const existingPlacements = placementsByType.get(itemType) || []
@@ -265,20 +370,7 @@ export class World {
         })
 
         if (!tooClose) {
-          // Basic accessibility check - ensure it's a valid floor tile
-          if (this.getTileType(tile.tx, tile.ty) !== TileTypes.FLOOR) {
-            continue
-          }
-
-          // Place the item
-          const key = `${tile.tx},${tile.ty}`
-          this._guaranteedItemTiles.set(key, item)
-          placedTiles.push(tile)
-
-          if (!placementsByType.has(itemType)) {
-            placementsByType.set(itemType, [])
-          }
-          placementsByType.get(itemType).push(tile)
+          this._placeGuaranteedItem(item, tile, placedTiles, placementsByType)
           placed = true
         }
       }
@@ -297,8 +389,6 @@ export class World {
             tile,
             score: this._scoreTileForPlacementRelaxed(
               tile,
-              spawnTx,
-              spawnTy,
               placedTiles,
               placementsByType.get(itemType) || [],
               currentMinDistance,
@@ -330,14 +420,8 @@ export class World {
             continue
           }
 
-          // Check distance from spawn (relaxed)
-          const spawnDist = this._calculateDistance(
-            spawnTx,
-            spawnTy,
-            tile.tx,
-            tile.ty
-          )
-          if (spawnDist < relaxedSpawnMin) continue
+          // Check walking distance from spawn (relaxed)
+          if (tile.distance < relaxedSpawnMin) continue
 
           // Check distance from same item type (relaxed)
           const existingPlacements = placementsByType.get(itemType) || []
@@ -351,18 +435,8 @@ export class World {
             return dist < currentMinDistance
           })
 
-          if (
-            !tooClose &&
-            this.getTileType(tile.tx, tile.ty) === TileTypes.FLOOR
-          ) {
-            const key = `${tile.tx},${tile.ty}`
-            this._guaranteedItemTiles.set(key, item)
-            placedTiles.push(tile)
-
-            if (!placementsByType.has(itemType)) {
-              placementsByType.set(itemType, [])
-            }
-            placementsByType.get(itemType).push(tile)
+          if (!tooClose) {
+            this._placeGuaranteedItem(item, tile, placedTiles, placementsByType)
             placed = true
           }
         }
@@ -378,9 +452,6 @@ export class World {
           if (placedTiles.some(p => p.tx === tile.tx && p.ty === tile.ty)) {
             continue
           }
-          if (this.getTileType(tile.tx, tile.ty) !== TileTypes.FLOOR) {
-            continue
-          }
 
           // Check minimum distance from same item type even in final fallback
           const existingPlacements = placementsByType.get(itemType) || []
@@ -399,8 +470,6 @@ export class World {
           // Score this tile even with relaxed constraints
           const score = this._scoreTileForPlacementRelaxed(
             tile,
-            spawnTx,
-            spawnTy,
             placedTiles,
             placementsByType.get(itemType) || [],
             config.MinDistanceSameTypeFallback, // Still enforce minimum distance
@@ -414,20 +483,49 @@ export class World {
         }
 
         if (bestTile) {
-          const key = `${bestTile.tx},${bestTile.ty}`
-          this._guaranteedItemTiles.set(key, item)
-          placedTiles.push(bestTile)
-
-          if (!placementsByType.has(itemType)) {
-            placementsByType.set(itemType, [])
-          }
-          placementsByType.get(itemType).push(bestTile)
+          this._placeGuaranteedItem(
+            item,
+            bestTile,
+            placedTiles,
+            placementsByType
+          )
           placed = true
         }
       }
     }
   }
 
+  /**
+   * Records a guaranteed item on a candidate tile.
+   *
+   * @param {Object} item
+   * - The target item.
+   * @param {{ tx: number; ty: number; distance: number }} tile
+   * - A reachable candidate tile.
+   * @param {Array} placedTiles
+   * - Tiles used so far (updated).
+   * @param {Map<string, Array>} placementsByType
+   * - Tiles used per item id (updated).
+   * @returns {void}
+   * @access private
+   */
+  _placeGuaranteedItem(item, tile, placedTiles, placementsByType) {
+    this._setCachedItem(tile.tx, tile.ty, ITEM_INDICES.get(item))
+    this._itemRevision++
+    this._guaranteedItemPlacements.push({
+      item,
+      tx: tile.tx,
+      ty: tile.ty,
+      distance: tile.distance
+    })
+    placedTiles.push(tile)
+
+    if (!placementsByType.has(item.id)) {
+      placementsByType.set(item.id, [])
+    }
+    placementsByType.get(item.id).push(tile)
+  }
+
   /**
    * Shuffles an array using a seed for deterministic randomization.
    *
@@ -470,12 +568,8 @@ export class World {
    * Scores a tile for item placement based on distance from spawn, other items,
    * and accessibility.
    *
-   * @param {{ tx: number; ty: number }} tile
-   * - Tile to score.
-   * @param {number} spawnTx
-   * - Spawn tile X coordinate.
-   * @param {number} spawnTy
-   * - Spawn tile Y coordinate.
+   * @param {{ tx: number; ty: number; distance: number }} tile
+   * - Tile to score, with its walking distance from spawn.
    * @param {Array} placedTiles
    * - Already placed tiles.
    * @param {Array} sameTypePlacements
@@ -486,33 +580,16 @@ export class World {
    * Score (higher is better, 0 means invalid).
    * @access private
    */
-  _scoreTileForPlacement(
-    tile,
-    spawnTx,
-    spawnTy,
-    placedTiles,
-    sameTypePlacements,
-    minDistance
-  ) {
+  _scoreTileForPlacement(tile, placedTiles, sameTypePlacements, minDistance) {
     // Check if tile is already used
     if (placedTiles.some(p => p.tx === tile.tx && p.ty === tile.ty)) {
       return 0
     }
 
-    // Check if it's a valid floor tile
-    if (this.getTileType(tile.tx, tile.ty) !== TileTypes.FLOOR) {
-      return 0
-    }
-
     const config = ItemPlacementConfig
 
-    // Check distance from spawn
-    const spawnDist = this._calculateDistance(
-      spawnTx,
-      spawnTy,
-      tile.tx,
-      tile.ty
-    )
+    // Check walking distance from spawn
+    const spawnDist = tile.distance
     if (spawnDist < config.MinDistanceFromSpawn) return 0
     if (spawnDist > config.MaxDistanceFromSpawn) return 0
 
@@ -566,12 +643,8 @@ export class World {
   /**
    * Scores a tile for item placement with relaxed constraints (for fallback).
    *
-   * @param {{ tx: number; ty: number }} tile
-   * - Tile to score.
-   * @param {number} spawnTx
-   * - Spawn tile X coordinate.
-   * @param {number} spawnTy
-   * - Spawn tile Y coordinate.
+   * @param {{ tx: number; ty: number; distance: number }} tile
+   * - Tile to score, with its walking distance from spawn.
    * @param {Array} placedTiles
    * - Already placed tiles.
    * @param {Array} sameTypePlacements
@@ -586,8 +659,6 @@ export class World {
    */
   _scoreTileForPlacementRelaxed(
     tile,
-    spawnTx,
-    spawnTy,
     placedTiles,
     sameTypePlacements,
     minDistance,
@@ -598,20 +669,10 @@ export class World {
       return 0
     }
 
-    // Check if it's a valid floor tile
-    if (this.getTileType(tile.tx, tile.ty) !== TileTypes.FLOOR) {
-      return 0
-    }
-
     const config = ItemPlacementConfig
 
-    // Check distance from spawn (relaxed)
-    const spawnDist = this._calculateDistance(
-      spawnTx,
-      spawnTy,
-      tile.tx,
-      tile.ty
-    )
+    // Check walking distance from spawn (relaxed)
+    const spawnDist = tile.distance
     if (spawnDist < minSpawnDist) return 0
     if (spawnDist > config.MaxDistanceFromSpawn) return 0
 
@@ -658,36 +719,46 @@ export class World {
   }
 
   /**
-   * Collects floor tile coordinates within a square radius to assign forced
-   * spawns for guaranteed items. Uses a spiral pattern for better distribution.
-   * Now spawn-aware to filter tiles by distance from spawn.
+   * Flood-fills floor tiles outward from the spawn tile (breadth-first), so
+   * every returned tile is connected to spawn through the maze corridors and
+   * carries its shortest walking distance in tiles. Tiles come back nearest
+   * first.
    *
    * @param {number} needed
-   * - Number of floor tiles required.
-   * @param {number} limit
-   * - Radius (in tiles) to examine around the origin.
+   * - Number of candidate tiles required.
    * @param {number} spawnTx
    * - Spawn tile X coordinate.
    * @param {number} spawnTy
    * - Spawn tile Y coordinate.
-   * @returns {Array.<{ tx: number; ty: number }>}
+   * @returns {Array.<{ tx: number; ty: number; distance: number }>}
+   * @access private
    */
-  _collectFloorTiles(needed, limit, spawnTx = 0, spawnTy = 0) {
+  _collectReachableTiles(needed, spawnTx, spawnTy) {
+    const config = ItemPlacementConfig
     const tiles = []
-    const tileSet = new Set() // Avoid duplicates
-
-    // Spiral outward from origin for better distribution
-    for (let radius = 0; radius <= limit && tiles.length < needed; radius++) {
-      // Top and bottom rows
-      for (let tx = -radius; tx <= radius && tiles.length < needed; tx++) {
-        this._addFloorTileIfValid(tiles, tileSet, tx, -radius, spawnTx, spawnTy)
-        this._addFloorTileIfValid(tiles, tileSet, tx, radius, spawnTx, spawnTy)
-      }
-
-      // Left and right columns (excluding corners already covered)
-      for (let ty = -radius + 1; ty < radius && tiles.length < needed; ty++) {
-        this._addFloorTileIfValid(tiles, tileSet, -radius, ty, spawnTx, spawnTy)
-        this._addFloorTileIfValid(tiles, tileSet, radius, ty, spawnTx, spawnTy)
+    const visited = new Set([`${spawnTx},${spawnTy}`])
+    const queue = [{ tx: spawnTx, ty: spawnTy, distance: 0 }]
+
+    for (
+      let head = 0;
+      head < queue.length &&
+      tiles.length < needed &&
+      visited.size < config.MaxSearchTiles;
+      head++
+    ) {
+      const tile = queue[head]
+      if (tile.distance > config.MaxDistanceFromSpawn) break
+      if (tile.distance >= config.MinDistanceFromSpawn) tiles.push(tile)
+
+      for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+        const tx = tile.tx + dx
+        const ty = tile.ty + dy
+        const key = `${tx},${ty}`
+        if (visited.has(key)) continue
+        if (this.getTileType(tx, ty) !== TileTypes.FLOOR) continue
+
+        visited.add(key)
+        queue.push({ tx, ty, distance: tile.distance + 1 })
       }
     }
 
@@ -732,38 +803,151 @@ export class World {
   }
 
   /**
-   * Helper to add a floor tile if valid and not already added.
-   * Filters by distance from spawn if spawn coordinates provided.
+   * Guaranteed target item placements of the current level, each with its
+   * shortest walking distance from spawn in tiles.
+   *
+   * @returns {{
+   *   item: Object
+   *   tx: number
+   *   ty: number
+   *   distance: number
+   * }[]}
+   */
+  get guaranteedItems() {
+    return this._guaranteedItemPlacements
+  }
+
+  /**
+   * The run seed the current level was derived from.
+   *
+   * @returns {number}
+   */
+  get runSeed() {
+    return this._runSeed
+  }
+
+  /**
+   * The seed driving the current level's maze and item layout.
    *
-   * @param {Array}  tiles    - Array to add tile to.
-   * @param {Set}    tileSet  - Set tracking already added tiles.
-   * @param {number} tx       - Tile X coordinate.
-   * @param {number} ty       - Tile Y coordinate.
-   * @param {number} spawnTx  - Spawn tile X coordinate.
-   * @param {number} spawnTy  - Spawn tile Y coordinate.
+   * @returns {number}
+   */
+  get levelSeed() {
+    return this._levelSeed
+  }
+
+  /**
+   * Tiles of the current level the player has seen.
+   *
+   * @returns {ExplorationMap}
+   */
+  get exploration() {
+    return this._exploration
+  }
+
+  /**
+   * Updates what the player sees from a tile and explores it. Sight extends
+   * `ExplorationConfig.SightRadius` tiles and is blocked by walls.
+   *
+   * @param {number} tx  - Tile X coordinate of the viewer.
+   * @param {number} ty  - Tile Y coordinate of the viewer.
    * @returns {void}
+   */
+  revealFrom(tx, ty) {
+    this._exploration.updateSight(
+      tx,
+      ty,
+      ExplorationConfig.SightRadius,
+      (x, y) => this.getTileType(x, y) === TileTypes.WALL
+    )
+  }
+
+  /**
+   * Share of the level's floor explored so far, in whole percent. The level
+   * area is the bounding box of the spawn and every guaranteed item, padded by
+   * `ExplorationConfig.AreaPadding`.
+   *
+   * @returns {number} Integer between 0 and 100.
+   */
+  getExploredPercent() {
+    const area = (this._levelArea ??= this._measureLevelArea())
+    const revision = this._exploration.revision
+    if (area.revision === revision) return area.percent
+
+    let explored = 0
+    for (let ty = area.top; ty <= area.bottom; ty++) {
+      for (let tx = area.left; tx <= area.right; tx++) {
+        if (
+          this.getTileType(tx, ty) === TileTypes.FLOOR &&
+          this._exploration.isExplored(tx, ty)
+        ) {
+          explored++
+        }
+      }
+    }
+
+    area.revision = revision
+    area.percent =
+      area.floor > 0 ? Math.floor((explored / area.floor) * 100) : 100
+    return area.percent
+  }
+
+  /**
+   * Computes the bounds and floor tile count of the level area.
+   *
+   * @returns {{
+   *   left: number
+   *   top: number
+   *   right: number
+   *   bottom: number
+   *   floor: number
+   *   revision: number
+   *   percent: number
+   * }}
    * @access private
    */
-  _addFloorTileIfValid(tiles, tileSet, tx, ty, spawnTx = 0, spawnTy = 0) {
-    const key = `${tx},${ty}`
-    if (tileSet.has(key)) return
+  _measureLevelArea() {
+    const spawn = this.findSpawn()
+    const xs = [Math.floor(spawn.x / PhysicsConfig.TileSize)]
+    const ys = [Math.floor(spawn.y / PhysicsConfig.TileSize)]
+    for (const { tx, ty } of this._guaranteedItemPlacements) {
+      xs.push(tx)
+      ys.push(ty)
+    }
 
-    if (this.getTileType(tx, ty) !== TileTypes.FLOOR) return
+    const padding = ExplorationConfig.AreaPadding
+    const area = {
+      left: Math.min(...xs) - padding,
+      top: Math.min(...ys) - padding,
+      right: Math.max(...xs) + padding,
+      bottom: Math.max(...ys) + padding,
+      floor: 0,
+      revision: -1,
+      percent: 0
+    }
 
-    // Check distance from spawn
-    const config = ItemPlacementConfig
-    const spawnDist = this._calculateDistance(spawnTx, spawnTy, tx, ty)
-    if (spawnDist < config.MinDistanceFromSpawn) return
-    if (spawnDist > config.MaxDistanceFromSpawn) return
+    for (let ty = area.top; ty <= area.bottom; ty++) {
+      for (let tx = area.left; tx <= area.right; tx++) {
+        if (this.getTileType(tx, ty) === TileTypes.FLOOR) area.floor++
+      }
+    }
+    return area
+  }
 
-    tiles.push({ tx, ty })
-    tileSet.add(key)
+  /**
+   * Counter bumped whenever an item appears or disappears, so views caching
+   * item graphics know when to refresh them.
+   *
+   * @returns {number}
+   */
+  get itemRevision() {
+    return this._itemRevision
   }
 
   /**
-   * Exposes the internal set of collected item keys.
+   * Keys (`tx,ty`) of the items collected this level. Read-only; collect items
+   * through `collectItem` so cached chunks stay in sync.
    *
-   * @returns {Set<string>}
+   * @returns {ReadonlySet<string>}
    */
   get collectedItems() {
     return this._collectedItems
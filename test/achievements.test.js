@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { AchievementTracker } from '../src/core/achievements.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import { SimulationEvents } from '../src/core/simulation.js'
+import {
+  ITEM_REGISTRY,
+  ItemCategories,
+  StatsConfig
+} from '../src/config/index.js'
+
+const TICK = 1000 / 60
+const find = id => ITEM_REGISTRY.find(item => item.id === id)
+
+/** Tracker plus a helper feeding it ticks with advancing game time. */
+function createTracker(storage = new MemoryStorage()) {
+  const tracker = new AchievementTracker({ storage })
+  const stats = { level: 1, elapsed: 0, playerHealth: StatsConfig.MaxHealth }
+  tracker.startRun(stats)
+  const tick = (events = []) => {
+    stats.elapsed += TICK
+    return tracker.handleTick(events, stats).map(achievement => achievement.id)
+  }
+  return { tracker, stats, tick }
+}
+
+const collect = item => ({ type: SimulationEvents.ITEM_COLLECTED, item })
+
+describe('AchievementTracker', () => {
+  it('unlocks level achievements once and persists them', () => {
+    const storage = new MemoryStorage()
+    const { stats, tick } = createTracker(storage)
+    assert.deepEqual(tick(), [])
+
+    stats.level = 2
+    const events = [{ type: SimulationEvents.LEVEL_ADVANCED, level: 2 }]
+    assert.deepEqual(tick(events), ['hello-world', 'zero-warnings'])
+    assert.deepEqual(tick(), [])
+
+    const reloaded = new AchievementTracker({ storage })
+    assert.equal(reloaded.isUnlocked('hello-world'), true)
+    assert.equal(reloaded.unlockedCount, 2)
+  })
+
+  it('only counts clean levels without hazard pickups', () => {
+    const { stats, tick } = createTracker()
+    stats.level = 3
+    tick([collect(find('dns'))])
+    stats.level = 4
+    assert.ok(
+      !tick([{ type: SimulationEvents.LEVEL_ADVANCED, level: 4 }]).includes(
+        'clean-code'
+      )
+    )
+
+    const clean = createTracker()
+    const advance = level =>
+      clean.tick([{ type: SimulationEvents.LEVEL_ADVANCED, level }])
+    assert.ok(!advance(3).includes('clean-code'))
+    assert.ok(advance(4).includes('clean-code'))
+  })
+
+  it('counts blocked hits per run', () => {
+    const { tracker, stats, tick } = createTracker()
+    for (let i = 0; i < 9; i++) tick([{ type: SimulationEvents.IMMUNE }])
+    tracker.startRun(stats)
+    assert.deepEqual(tick([{ type: SimulationEvents.IMMUNE }]), [])
+  })
+
+  it('needs a continuous stretch under the RAM threshold', () => {
+    const { stats, tick } = createTracker()
+    stats.playerHealth = StatsConfig.MaxHealth * 0.05
+    for (let i = 0; i < 60 * 30; i++) tick()
+    stats.playerHealth = StatsConfig.MaxHealth
+    tick()
+    stats.playerHealth = StatsConfig.MaxHealth * 0.05
+
+    let unlocked = []
+    for (let i = 0; i <= 60 * 60 && unlocked.length === 0; i++) {
+      unlocked = tick()
+    }
+    assert.deepEqual(unlocked, ['running-on-fumes'])
+    assert.ok(stats.elapsed >= 90000)
+  })
+
+  it('tracks legendary items across runs', () => {
+    const storage = new MemoryStorage()
+    const legendary = ITEM_REGISTRY.filter(
+      item => item.category === ItemCategories.LEGENDARY
+    )
+    const [first, ...rest] = legendary
+    createTracker(storage).tick([collect(first)])
+
+    const { tracker, tick } = createTracker(storage)
+    const status = tracker.list().find(s => s.achievement.id === 'legendary')
+    assert.deepEqual(status.progress, { current: 1, total: legendary.length })
+    assert.ok(tick(rest.map(collect)).includes('legendary'))
+  })
+})
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ChunkCache, NO_ITEM } from '../src/world/chunk-cache.js'
+
+function createCache(capacity = 2) {
+  const filled = []
+  const cache = new ChunkCache({
+    size: 4,
+    capacity,
+    fill: chunk => {
+      filled.push(`${chunk.cx},${chunk.cy}`)
+      chunk.tiles.fill(1)
+    }
+  })
+  return { cache, filled }
+}
+
+describe('ChunkCache', () => {
+  it('fills each chunk once and maps tiles to it', () => {
+    const { cache, filled } = createCache()
+    const chunk = cache.getChunkAt(-1, 5)
+    assert.deepEqual([chunk.cx, chunk.cy], [-1, 1])
+    assert.equal(cache.indexOf(chunk, -1, 5), 1 * 4 + 3)
+    assert.equal(chunk.tiles[0], 1)
+    assert.equal(chunk.items[0], NO_ITEM)
+
+    assert.equal(cache.getChunkAt(-4, 7), chunk)
+    assert.deepEqual(filled, ['-1,1'])
+  })
+
+  it('evicts the least recently used chunk', () => {
+    const { cache, filled } = createCache(2)
+    cache.getChunkAt(0, 0)
+    cache.getChunkAt(4, 0)
+    cache.getChunkAt(0, 0)
+    cache.getChunkAt(8, 0)
+
+    assert.equal(cache.count, 2)
+    assert.ok(cache.peekChunkAt(0, 0))
+    assert.equal(cache.peekChunkAt(4, 0), undefined)
+
+    cache.getChunkAt(4, 0)
+    assert.deepEqual(filled, ['0,0', '1,0', '2,0', '1,0'])
+  })
+
+  it('drops every chunk on clear', () => {
+    const { cache, filled } = createCache()
+    cache.getChunkAt(0, 0)
+    cache.clear()
+    assert.equal(cache.count, 0)
+    cache.getChunkAt(0, 0)
+    assert.equal(filled.length, 2)
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ItemCodex, describeItemEffect } from '../src/core/codex.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import { ITEM_REGISTRY, ItemCategories } from '../src/config/index.js'
+
+const find = id => ITEM_REGISTRY.find(item => item.id === id)
+
+describe('ItemCodex', () => {
+  it('counts pickups and persists them across sessions', () => {
+    const storage = new MemoryStorage()
+    const codex = new ItemCodex({ storage })
+    assert.equal(codex.isDiscovered('coffee'), false)
+
+    assert.equal(codex.record(find('coffee')), true)
+    assert.equal(codex.record(find('coffee')), false)
+    codex.record(find('bsod'))
+
+    const reloaded = new ItemCodex({ storage })
+    assert.equal(reloaded.getCount('coffee'), 2)
+    assert.equal(reloaded.getCount('bsod'), 1)
+    assert.equal(reloaded.discoveredCount, 2)
+    assert.equal(reloaded.size, ITEM_REGISTRY.length)
+  })
+
+  it('ignores unknown ids and invalid counts in storage', () => {
+    const storage = new MemoryStorage()
+    storage.setItem(
+      'memory-leak:codex',
+      JSON.stringify({ coffee: 3, pizza: -1, dns: 'x', removed: 5 })
+    )
+    const codex = new ItemCodex({ storage })
+    assert.equal(codex.getCount('coffee'), 3)
+    assert.equal(codex.discoveredCount, 1)
+  })
+
+  it('groups every item into category pages in codex order', () => {
+    const codex = new ItemCodex({ storage: new MemoryStorage() })
+    codex.record(find('gpu'))
+    const pages = codex.getPages()
+
+    assert.deepEqual(
+      pages.map(page => page.category),
+      Object.values(ItemCategories)
+    )
+    assert.equal(
+      pages.reduce((total, page) => total + page.entries.length, 0),
+      ITEM_REGISTRY.length
+    )
+    assert.deepEqual(pages[0].entries[0], { item: find('gpu'), count: 1 })
+    assert.equal(pages.at(-1).label, 'HAZARDS')
+  })
+
+  it('describes item effects', () => {
+    assert.equal(describeItemEffect(find('coffee')), '+40KB RAM')
+    assert.equal(describeItemEffect(find('bsod')), '-128KB RAM')
+    assert.equal(describeItemEffect(find('energy')), 'SPEED BOOST')
+    assert.equal(describeItemEffect(find('jira')), 'SLOWDOWN')
+    assert.equal(describeItemEffect(find('git')), 'CACHE FRAGMENT')
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DailyChallenge,
+  formatDailySummary,
+  getDailySeed
+} from '../src/core/daily.js'
+import { FINAL_LEVEL } from '../src/core/simulation.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import { TARGET_ITEMS } from '../src/config/index.js'
+
+/** A finished daily run. */
+function result(overrides = {}) {
+  return {
+    level: 2,
+    score: 1234,
+    duration: 65000,
+    victory: false,
+    levels: [TARGET_ITEMS.length, 0],
+    ...overrides
+  }
+}
+
+/** Challenge whose clock can be moved with `clock.time`. */
+function createChallenge(storage = new MemoryStorage()) {
+  const clock = { time: '2026-03-04T10:00:00Z' }
+  const daily = new DailyChallenge({
+    storage,
+    now: () => new Date(clock.time)
+  })
+  return { daily, clock }
+}
+
+describe('getDailySeed', () => {
+  it('is stable per day and differs between days', () => {
+    assert.equal(getDailySeed('2026-03-04'), getDailySeed('2026-03-04'))
+    assert.notEqual(getDailySeed('2026-03-04'), getDailySeed('2026-03-05'))
+  })
+})
+
+describe('DailyChallenge', () => {
+  it('uses the UTC day of the injected clock', () => {
+    const { daily, clock } = createChallenge()
+    clock.time = '2026-03-04T23:59:59Z'
+    assert.equal(daily.dateKey, '2026-03-04')
+    assert.equal(daily.seed, getDailySeed('2026-03-04'))
+  })
+
+  it('claims the scored attempt when the run starts', () => {
+    const storage = new MemoryStorage()
+    const { daily } = createChallenge(storage)
+    assert.equal(daily.hasPlayedToday(), false)
+
+    assert.equal(daily.startAttempt(daily.dateKey), true)
+    assert.equal(daily.hasPlayedToday(), true)
+    assert.equal(daily.startAttempt(daily.dateKey), false)
+
+    // Reloading the page does not give the attempt back
+    assert.equal(createChallenge(storage).daily.hasPlayedToday(), true)
+  })
+
+  it('records only the first finished result of a day', () => {
+    const { daily } = createChallenge()
+    const dateKey = daily.dateKey
+    daily.startAttempt(dateKey)
+
+    assert.equal(daily.recordAttempt(dateKey, result({ score: 100 })), true)
+    assert.equal(daily.recordAttempt(dateKey, result({ score: 900 })), false)
+    assert.equal(daily.getRecord().score, 100)
+    assert.equal(daily.getRecord().finished, true)
+  })
+
+  it('starts over on a new day', () => {
+    const { daily, clock } = createChallenge()
+    daily.startAttempt(daily.dateKey)
+    daily.recordAttempt(daily.dateKey, result())
+
+    clock.time = '2026-03-05T00:00:01Z'
+    assert.equal(daily.hasPlayedToday(), false)
+    assert.equal(daily.startAttempt(daily.dateKey), true)
+  })
+})
+
+describe('formatDailySummary', () => {
+  it('lists progress per level without spoilers', () => {
+    const total = TARGET_ITEMS.length
+    const text = formatDailySummary('2026-03-04', result())
+
+    assert.deepEqual(text.split('\n'), [
+      'Memory Leak Daily 2026-03-04',
+      `💥 Level 2/${FINAL_LEVEL} · 1234 pts · 01:05`,
+      `L1 🟩🟩🟩🟩🟩 ${total}/${total}`,
+      `L2 ⬛⬛⬛⬛⬛ 0/${total}`
+    ])
+    assert.ok(
+      formatDailySummary('2026-03-04', result({ victory: true })).includes('✅')
+    )
+  })
+})
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Entity } from '../src/world/entity.js'
+import { EntityRegistry } from '../src/world/entity-registry.js'
+import { SpatialHash } from '../src/world/spatial-hash.js'
+import { World } from '../src/world/world.js'
+import { PhysicsConfig, TileTypes } from '../src/config/index.js'
+
+const TICK = 1000 / 60
+const ts = PhysicsConfig.TileSize
+
+/**
+ * World with walls everywhere except a 3x3 room of tiles 1..3.
+ *
+ * @returns {World}
+ */
+function createRoomWorld() {
+  const world = Object.create(World.prototype)
+  world.getTileType = (tx, ty) =>
+    tx >= 1 && tx <= 3 && ty >= 1 && ty <= 3 ? TileTypes.FLOOR : TileTypes.WALL
+  return world
+}
+
+/** Player stand-in with a fixed hitbox. */
+const player = {
+  getHitbox: () => ({ left: 100, top: 100, right: 120, bottom: 120 }),
+  getSweptHitbox: () => ({ left: 100, top: 100, right: 120, bottom: 120 })
+}
+
+describe('EntityRegistry', () => {
+  it('runs behaviors in insertion order and applies velocity', () => {
+    const registry = new EntityRegistry()
+    const order = []
+    const behavior = { update: entity => order.push(entity.name) }
+    const a = registry.add(new Entity({ behavior }))
+    const b = registry.add(
+      new Entity({ x: 10, velocity: { x: 2, y: -1 }, behavior })
+    )
+    a.name = 'a'
+    b.name = 'b'
+
+    registry.update(TICK, {})
+    assert.deepEqual(order, ['a', 'b'])
+    assert.equal(b.x, 12)
+    assert.equal(b.y, -1)
+    assert.equal(b.prevX, 10)
+
+    registry.interpolate(0.5)
+    assert.equal(b.renderX, 11)
+  })
+
+  it('stops solid colliders at walls and lets them slide', () => {
+    const registry = new EntityRegistry()
+    const entity = registry.add(
+      new Entity({
+        x: 2.5 * ts,
+        y: 2.5 * ts,
+        velocity: { x: 6, y: 6 },
+        collider: { width: 20, height: 20, solid: true }
+      })
+    )
+    const world = createRoomWorld()
+    for (let i = 0; i < 60; i++) registry.update(TICK, { world })
+
+    const box = entity.getHitbox()
+    assert.ok(box.right < 4 * ts && box.bottom < 4 * ts)
+    assert.ok(box.right > 4 * ts - 10 && box.bottom > 4 * ts - 10)
+  })
+
+  it('reports player contacts and drops removed entities', () => {
+    const registry = new EntityRegistry()
+    const touched = []
+    const behavior = {
+      onContact: entity => {
+        touched.push(entity)
+        entity.remove()
+      }
+    }
+    const near = registry.add(
+      new Entity({
+        x: 110,
+        y: 110,
+        collider: { width: 8, height: 8 },
+        behavior
+      })
+    )
+    registry.add(
+      new Entity({
+        x: 300,
+        y: 300,
+        collider: { width: 8, height: 8 },
+        behavior
+      })
+    )
+
+    registry.update(TICK, { player })
+    assert.deepEqual(touched, [near])
+    assert.equal(registry.size, 1)
+    assert.equal(near.isRemoved, true)
+  })
+
+  it('catches contacts of entities that pass the player within a tick', () => {
+    const index = new SpatialHash({ cellSize: 2 * ts })
+    const registry = new EntityRegistry({ index })
+    const touched = []
+    const bullet = registry.add(
+      new Entity({
+        x: 0,
+        y: 110,
+        velocity: { x: 300, y: 0 },
+        collider: { width: 8, height: 8 },
+        behavior: { onContact: entity => touched.push(entity) }
+      })
+    )
+
+    registry.update(TICK, { player })
+    assert.equal(bullet.x, 300)
+    assert.deepEqual(touched, [bullet])
+    assert.ok(index.query(bullet.getHitbox()).has(bullet))
+
+    bullet.remove()
+    registry.update(TICK, { player })
+    assert.equal(index.size, 0)
+  })
+
+  it('queries entities by component', () => {
+    const registry = new EntityRegistry()
+    const moving = registry.add(new Entity({ velocity: { x: 1, y: 0 } }))
+    registry.add(new Entity({ renderable: { type: 'emoji', emoji: '👾' } }))
+
+    assert.deepEqual(registry.query('velocity'), [moving])
+    assert.equal(registry.query('velocity', 'renderable').length, 0)
+    registry.clear()
+    assert.equal(registry.size, 0)
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ExplorationMap } from '../src/world/exploration-map.js'
+
+describe('ExplorationMap', () => {
+  it('marks tiles once, including negative coordinates', () => {
+    const map = new ExplorationMap({ chunkSize: 4 })
+    assert.equal(map.markExplored(-5, 3), true)
+    assert.equal(map.markExplored(-5, 3), false)
+    assert.ok(map.isExplored(-5, 3))
+    assert.ok(!map.isExplored(-1, 3))
+    assert.ok(!map.isExplored(3, 3))
+    assert.equal(map.count, 1)
+  })
+
+  it('sees a full circle in the open and skips repeated centers', () => {
+    const map = new ExplorationMap()
+    map.updateSight(10, 10, 2, () => false)
+    assert.equal(map.count, 13)
+    assert.ok(map.isExplored(12, 10))
+    assert.ok(!map.isExplored(12, 12))
+    assert.ok(map.isVisible(10, 8))
+
+    const revision = map.revision
+    map.updateSight(10, 10, 2, () => false)
+    assert.equal(map.revision, revision)
+  })
+
+  it('stops sight at walls but sees the walls themselves', () => {
+    const map = new ExplorationMap()
+    // A wall column at x = 2
+    map.updateSight(0, 0, 4, x => x === 2)
+    assert.ok(map.isVisible(1, 0))
+    assert.ok(map.isVisible(2, 0))
+    assert.ok(!map.isVisible(3, 0))
+    assert.ok(!map.isExplored(3, 1))
+    assert.ok(map.isVisible(-4, 0))
+  })
+
+  it('does not see through diagonal wall corners', () => {
+    const map = new ExplorationMap()
+    const walls = new Set(['1,0', '0,1'])
+    map.updateSight(0, 0, 3, (x, y) => walls.has(`${x},${y}`))
+    assert.ok(!map.isVisible(1, 1))
+    assert.ok(!map.isVisible(2, 2))
+  })
+
+  it('moves the visible window with the viewer', () => {
+    const map = new ExplorationMap()
+    map.updateSight(0, 0, 2, () => false)
+    map.updateSight(10, 0, 2, () => false)
+    assert.ok(map.isExplored(0, 0))
+    assert.ok(!map.isVisible(0, 0))
+    assert.ok(map.isVisible(10, 0))
+  })
+
+  it('forgets everything on clear', () => {
+    const map = new ExplorationMap()
+    map.updateSight(0, 0, 3, () => false)
+    const revision = map.revision
+    map.clear()
+    assert.equal(map.count, 0)
+    assert.ok(!map.isExplored(0, 0))
+    assert.ok(!map.isVisible(0, 0))
+    assert.ok(map.revision > revision)
+  })
+
+  it('restores serialized tiles without the sight', () => {
+    const map = new ExplorationMap({ chunkSize: 4 })
+    map.updateSight(1, 1, 3, () => false)
+    const data = JSON.parse(JSON.stringify(map.serialize()))
+
+    const restored = new ExplorationMap({ chunkSize: 4 })
+    restored.restore({ ...data, '9,9': 'f' })
+    assert.equal(restored.count, map.count)
+    assert.ok(restored.isExplored(-2, 1))
+    assert.ok(!restored.isExplored(-2, -2))
+    assert.ok(!restored.isVisible(1, 1))
+  })
+})
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { World } from '../src/world/world.js'
+import {
+  GarbageCollector,
+  GarbageCollectorStates
+} from '../src/world/garbage-collector.js'
+import { GameSimulation, SimulationEvents } from '../src/core/simulation.js'
+import {
+  EnemyConfig,
+  StatsConfig,
+  StatusEffectTypes,
+  TileTypes
+} from '../src/config/index.js'
+
+const TICK = 1000 / 60
+const config = EnemyConfig.GarbageCollector
+
+/**
+ * World whose tiles come from an ASCII map (`#` is a wall); everything outside
+ * the map is wall.
+ *
+ * @param {string[]} rows
+ * @returns {World}
+ */
+function createMapWorld(rows) {
+  const world = Object.create(World.prototype)
+  world.getTileType = (tx, ty) =>
+    rows[ty]?.[tx] === '.' ? TileTypes.FLOOR : TileTypes.WALL
+  return world
+}
+
+const CORRIDOR = createMapWorld([
+  '##############################',
+  '#............................#',
+  '##############################'
+])
+
+describe('GarbageCollector', () => {
+  it('patrols floor tiles around its home', () => {
+    const enemy = new GarbageCollector({
+      home: { x: 14, y: 1 },
+      level: 1,
+      seed: 3
+    })
+    const far = { x: 1000, y: 1000 }
+    const visited = new Set()
+    for (let i = 0; i < 1200; i++) {
+      enemy.update(TICK, { world: CORRIDOR, playerTile: far })
+      const { x, y } = enemy.tile
+      visited.add(x)
+      assert.equal(y, 1)
+      assert.ok(Math.abs(x - 14) <= config.PatrolRadius)
+    }
+    assert.equal(enemy.state, GarbageCollectorStates.PATROL)
+    assert.ok(visited.size > 1, 'moves between patrol targets')
+  })
+
+  it('chases a nearby player and gives up once they are far away', () => {
+    const enemy = new GarbageCollector({
+      home: { x: 10, y: 1 },
+      level: 1,
+      seed: 3
+    })
+    const player = { x: 14, y: 1 }
+    enemy.update(TICK, { world: CORRIDOR, playerTile: player })
+    assert.equal(enemy.state, GarbageCollectorStates.CHASE)
+
+    for (let i = 0; i < 600 && enemy.tile.x !== player.x; i++) {
+      enemy.update(TICK, { world: CORRIDOR, playerTile: player })
+    }
+    assert.deepEqual(enemy.tile, player)
+
+    enemy.update(TICK, {
+      world: CORRIDOR,
+      playerTile: { x: 15 + config.LoseRadius, y: 1 }
+    })
+    assert.equal(enemy.state, GarbageCollectorStates.PATROL)
+  })
+
+  it('gets faster on later levels', () => {
+    const speeds = [1, 2, 5].map(
+      level =>
+        new GarbageCollector({ home: { x: 0, y: 0 }, level, seed: 1 }).speed
+    )
+    assert.ok(speeds[0] < speeds[1] && speeds[1] < speeds[2])
+  })
+})
+
+describe('GameSimulation enemies', () => {
+  /** Simulation with its first enemy parked on the player's feet. */
+  function createContact(seed) {
+    const sim = new GameSimulation({ seed })
+    const [enemy] = sim.entities
+    const box = sim.player.getHitbox()
+    enemy.update = () => {}
+    enemy.place({
+      x: (box.left + box.right) / 2,
+      y: (box.top + box.bottom) / 2
+    })
+    return sim
+  }
+
+  it('spawns the configured number of enemies per level', () => {
+    const sim = new GameSimulation({ seed: 11 })
+    for (let level = 1; level <= 3; level++) {
+      assert.equal(sim.entities.size, config.CountPerLevel[level - 1])
+      sim.applyCheat('jump')
+    }
+  })
+
+  it('places enemies the same way for the same seed', () => {
+    const homes = seed =>
+      [...new GameSimulation({ seed }).entities].map(enemy => enemy.home)
+    assert.deepEqual(homes(21), homes(21))
+  })
+
+  it('deals scaled contact damage with a grace period', () => {
+    const sim = createContact(7)
+    const events = sim.step({ x: 0, y: 0 }, TICK)
+    const hit = events.find(event => event.type === SimulationEvents.DAMAGE)
+    assert.equal(hit.amount, -config.Damage)
+    assert.ok(sim.stats.playerHealth <= StatsConfig.MaxHealth - config.Damage)
+
+    const next = sim.step({ x: 0, y: 0 }, TICK)
+    assert.ok(!next.some(event => event.type === SimulationEvents.DAMAGE))
+  })
+
+  it('is blocked by the boost', () => {
+    const sim = createContact(7)
+    sim.player.effects.apply(StatusEffectTypes.BOOST, 5000)
+    const events = sim.step({ x: 0, y: 0 }, TICK)
+    assert.ok(events.some(event => event.type === SimulationEvents.IMMUNE))
+    assert.equal(sim.stats.playerHealth, StatsConfig.MaxHealth)
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  CaveGenerator,
+  CellGridGenerator,
+  MazeGenerator,
+  RoomsGenerator,
+  createLevelGenerator
+} from '../src/world/generators/index.js'
+import { ProcGenConfig, TileTypes } from '../src/config/index.js'
+
+const GENERATORS = [CellGridGenerator, CaveGenerator, RoomsGenerator]
+const RADIUS = 24
+// Paths between nearby tiles may leave the checked square, so the flood fill
+// gets room to detour
+const SEARCH_RADIUS = 72
+
+/**
+ * Counts the floor tiles in a square around the origin and how many of them one
+ * flood fill reaches.
+ *
+ * @param {MazeGenerator} generator
+ * @returns {{ floor: number; reached: number }}
+ */
+function measureConnectivity(generator) {
+  const isFloor = (x, y, radius = RADIUS) =>
+    Math.abs(x) <= radius &&
+    Math.abs(y) <= radius &&
+    generator.getTileType(x, y) === TileTypes.FLOOR
+
+  let floor = 0
+  let start = null
+  for (let x = -RADIUS; x <= RADIUS; x++) {
+    for (let y = -RADIUS; y <= RADIUS; y++) {
+      if (!isFloor(x, y)) continue
+      floor++
+      start ??= [x, y]
+    }
+  }
+
+  const seen = new Set([start.join(',')])
+  const queue = [start]
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y] = queue[head]
+    for (const [nx, ny] of [
+      [x + 1, y],
+      [x - 1, y],
+      [x, y + 1],
+      [x, y - 1]
+    ]) {
+      const key = `${nx},${ny}`
+      if (seen.has(key) || !isFloor(nx, ny, SEARCH_RADIUS)) continue
+      seen.add(key)
+      queue.push([nx, ny])
+    }
+  }
+
+  const reached = queue.filter(([x, y]) => isFloor(x, y)).length
+  return { floor, reached }
+}
+
+describe('maze generators', () => {
+  for (const Generator of GENERATORS) {
+    describe(Generator.name, () => {
+      it('connects every floor tile', () => {
+        for (const seed of [3, 77, 2024]) {
+          const { floor, reached } = measureConnectivity(
+            new Generator({ seed })
+          )
+          assert.ok(floor > 0)
+          assert.equal(reached, floor, `seed ${seed}`)
+        }
+      })
+
+      it('is a pure function of the seed and coordinates', () => {
+        const a = new Generator({ seed: 5 })
+        const b = new Generator({ seed: 5 })
+        // Visit b in reverse so generation order cannot matter
+        const coords = []
+        for (let i = -30; i <= 30; i++) coords.push([i * 3, i * -2])
+        const tilesA = coords.map(([x, y]) => a.getTileType(x, y))
+        const tilesB = coords
+          .toReversed()
+          .map(([x, y]) => b.getTileType(x, y))
+          .reverse()
+        assert.deepEqual(tilesA, tilesB)
+      })
+
+      it('varies with the seed', () => {
+        const a = new Generator({ seed: 1 })
+        const b = new Generator({ seed: 2 })
+        let differences = 0
+        for (let x = -20; x <= 20; x++) {
+          for (let y = -20; y <= 20; y++) {
+            if (a.getTileType(x, y) !== b.getTileType(x, y)) differences++
+          }
+        }
+        assert.ok(differences > 0)
+      })
+    })
+  }
+
+  it('regenerates evicted regions identically', () => {
+    const generator = new CaveGenerator({ seed: 9, cacheSize: 1 })
+    const size = generator.regionSize
+    const before = generator.getTileType(3, 3)
+    generator.getTileType(size * 5, size * 5)
+    assert.equal(generator.getTileType(3, 3), before)
+  })
+
+  it('picks the configured generator for each level', () => {
+    ProcGenConfig.LevelGenerators.forEach((name, index) => {
+      const generator = createLevelGenerator(index + 1, 1)
+      assert.ok(generator instanceof MazeGenerator)
+      assert.equal(
+        generator.constructor,
+        {
+          cells: CellGridGenerator,
+          cave: CaveGenerator,
+          rooms: RoomsGenerator
+        }[name]
+      )
+    })
+    const last = ProcGenConfig.LevelGenerators.length
+    assert.equal(
+      createLevelGenerator(last + 3, 1).constructor,
+      createLevelGenerator(last, 1).constructor
+    )
+  })
+})
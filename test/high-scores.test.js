@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { HighScoreTable } from '../src/core/high-scores.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import { HighScoreConfig } from '../src/config/index.js'
+
+/** A finished run with the given score. */
+function run(score, seed = score) {
+  return {
+    score,
+    level: 2,
+    duration: 65000,
+    seed,
+    date: '2026-01-02T03:04:05.000Z'
+  }
+}
+
+describe('HighScoreTable', () => {
+  it('keeps the best runs in descending score order', () => {
+    const table = new HighScoreTable({ storage: new MemoryStorage() })
+    for (const score of [300, 100, 500, 200]) table.submit(run(score))
+
+    assert.deepEqual(
+      table.entries.map(entry => entry.score),
+      [500, 300, 200, 100]
+    )
+    assert.equal(table.bestScore, 500)
+  })
+
+  it('caps the table and reports where a run placed', () => {
+    const table = new HighScoreTable({ storage: new MemoryStorage() })
+    for (let i = 1; i <= HighScoreConfig.Size; i++) table.submit(run(i * 100))
+
+    assert.deepEqual(table.submit(run(50)), {
+      rank: null,
+      isPersonalBest: false
+    })
+    assert.deepEqual(table.submit(run(450)), {
+      rank: HighScoreConfig.Size - 3,
+      isPersonalBest: false
+    })
+    assert.equal(table.entries.length, HighScoreConfig.Size)
+    assert.equal(table.entries.at(-1).score, 200)
+  })
+
+  it('flags a new personal best only when the old best is beaten', () => {
+    const table = new HighScoreTable({ storage: new MemoryStorage() })
+    assert.equal(table.submit(run(100)).isPersonalBest, true)
+    assert.equal(table.submit(run(100, 7)).isPersonalBest, false)
+    assert.equal(table.submit(run(150)).isPersonalBest, true)
+
+    // Ties keep the order they were played in
+    assert.deepEqual(
+      table.entries.map(entry => entry.seed),
+      [150, 100, 7]
+    )
+  })
+
+  it('persists across instances sharing a storage', () => {
+    const storage = new MemoryStorage()
+    new HighScoreTable({ storage }).submit(run(250))
+
+    const reloaded = new HighScoreTable({ storage })
+    assert.deepEqual(reloaded.entries, [run(250)])
+
+    reloaded.clear()
+    assert.equal(new HighScoreTable({ storage }).bestScore, null)
+  })
+})
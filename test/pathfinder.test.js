@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { World } from '../src/world/world.js'
+import { Pathfinder } from '../src/world/pathfinder.js'
+import { ClickToMove } from '../src/core/system/click-to-move.js'
+import { GameSimulation } from '../src/core/simulation.js'
+import { TileTypes } from '../src/config/index.js'
+
+const TICK = 1000 / 60
+
+/**
+ * World whose tiles come from an ASCII map (`#` is a wall); everything outside
+ * the map is wall. Collision runs through the real `World` methods.
+ *
+ * @param {string[]} rows
+ * @returns {World}
+ */
+function createMapWorld(rows) {
+  const world = Object.create(World.prototype)
+  world.getTileType = (tx, ty) =>
+    rows[ty]?.[tx] === '.' ? TileTypes.FLOOR : TileTypes.WALL
+  return world
+}
+
+describe('Pathfinder', () => {
+  it('finds the shortest route around walls', () => {
+    const world = createMapWorld([
+      '#######',
+      '#.....#',
+      '#####.#',
+      '#.....#',
+      '#######'
+    ])
+    const path = new Pathfinder(world, { exploredOnly: false }).findPath(
+      { x: 1, y: 1 },
+      { x: 1, y: 3 }
+    )
+
+    assert.deepEqual(path[0], { x: 1, y: 1 })
+    assert.deepEqual(path.at(-1), { x: 1, y: 3 })
+    assert.equal(path.length, 11)
+    assert.ok(path.every(({ x, y }) => world.getTileType(x, y) === 0))
+  })
+
+  it('does not cut wall corners diagonally', () => {
+    const world = createMapWorld(['####', '#..#', '#.##', '####'])
+    const path = new Pathfinder(world, { exploredOnly: false }).findPath(
+      { x: 2, y: 1 },
+      { x: 1, y: 2 }
+    )
+
+    assert.deepEqual(path, [
+      { x: 2, y: 1 },
+      { x: 1, y: 1 },
+      { x: 1, y: 2 }
+    ])
+  })
+
+  it('returns null for walls, unreachable tiles and exhausted budgets', () => {
+    const world = createMapWorld(['#####', '#.#.#', '#####'])
+    const pathfinder = new Pathfinder(world, { exploredOnly: false })
+    assert.equal(pathfinder.findPath({ x: 1, y: 1 }, { x: 2, y: 1 }), null)
+    assert.equal(pathfinder.findPath({ x: 1, y: 1 }, { x: 3, y: 1 }), null)
+
+    const open = createMapWorld(['#########', '#.......#', '#########'])
+    const limited = new Pathfinder(open, { exploredOnly: false, maxNodes: 3 })
+    assert.equal(limited.findPath({ x: 1, y: 1 }, { x: 7, y: 1 }), null)
+  })
+
+  it('only routes through explored tiles by default', () => {
+    const world = new World({ seed: 42 })
+    const spawn = world.findSpawn()
+    const start = Pathfinder.getFootprintTile(spawn.x, spawn.y)
+    world.revealFrom(start.x, start.y)
+    const pathfinder = new Pathfinder(world)
+
+    assert.equal(pathfinder.findPath(start, { x: 500, y: 500 }), null)
+    const path = pathfinder.findPath(start, start)
+    assert.deepEqual(path, [start])
+  })
+})
+
+describe('ClickToMove', () => {
+  it('walks the player to the clicked tile', () => {
+    const sim = new GameSimulation({ seed: 5 })
+    const controller = new ClickToMove()
+    const start = Pathfinder.getFootprintTile(sim.player.x, sim.player.y)
+    const pathfinder = new Pathfinder(sim.world)
+
+    // Farthest explored tile the player can reach
+    let target = null
+    for (let dy = -6; dy <= 6; dy++) {
+      for (let dx = -6; dx <= 6; dx++) {
+        const tile = { x: start.x + dx, y: start.y + dy }
+        const path = pathfinder.findPath(start, tile)
+        if (path && (!target || path.length > target.length)) target = path
+      }
+    }
+    assert.ok(target.length > 3)
+    const goal = target.at(-1)
+    assert.ok(controller.moveTo(sim.world, sim.player, goal))
+
+    for (let i = 0; i < 1200 && controller.isActive; i++) {
+      sim.step(controller.getMovementVector(sim.player), TICK)
+    }
+    assert.equal(controller.isActive, false)
+    assert.deepEqual(
+      Pathfinder.getFootprintTile(sim.player.x, sim.player.y),
+      goal
+    )
+  })
+
+  it('keeps no route when the target cannot be reached', () => {
+    const sim = new GameSimulation({ seed: 5 })
+    const controller = new ClickToMove()
+    assert.equal(
+      controller.moveTo(sim.world, sim.player, { x: 9e3, y: 0 }),
+      false
+    )
+    assert.equal(controller.isActive, false)
+    assert.deepEqual(controller.getMovementVector(sim.player), { x: 0, y: 0 })
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Player } from '../src/world/player.js'
+import { World } from '../src/world/world.js'
+import {
+  CollisionConfig,
+  Directions,
+  PhysicsConfig,
+  StatusEffectTypes
+} from '../src/config/index.js'
+
+const TICK = 1000 / 60
+
+/**
+ * Minimal world stub whose only wall is everything below `floorY`.
+ *
+ * @param {number} floorY
+ */
+function createFloorWorld(floorY) {
+  return { checkCollision: (sx, sy) => sy > floorY }
+}
+
+describe('Player.move', () => {
+  it('moves BaseSpeed pixels per 60 Hz tick', () => {
+    const player = new Player()
+    player.reset({ x: 0, y: 0 })
+    player.move({ x: 1, y: 0 }, createFloorWorld(Infinity), TICK)
+    assert.equal(player.x, PhysicsConfig.BaseSpeed)
+    assert.equal(player.y, 0)
+  })
+
+  it('slides along a wall when moving diagonally into it', () => {
+    const player = new Player()
+    player.reset({ x: 0, y: 0 })
+    const world = createFloorWorld(0)
+
+    for (let i = 0; i < 10; i++) {
+      player.move({ x: 1, y: 1 }, world, TICK)
+    }
+
+    assert.equal(player.y, 0, 'blocked axis does not move')
+    assert.equal(player.x, PhysicsConfig.BaseSpeed * 10, 'free axis slides')
+  })
+
+  it('scales speed with the active status effect', () => {
+    const player = new Player()
+    player.reset({ x: 0, y: 0 })
+    player.effects.apply(StatusEffectTypes.BOOST, 1000)
+    player.move({ x: 1, y: 0 }, createFloorWorld(Infinity), TICK)
+    assert.equal(player.x, PhysicsConfig.BaseSpeed * player.multiplier)
+    assert.ok(player.multiplier > 1)
+  })
+
+  it('sweeps long moves so it cannot skip over a thin wall', () => {
+    const player = new Player()
+    player.reset({ x: 0, y: 0 })
+    const world = { checkCollision: sx => sx >= 100 && sx <= 130 }
+
+    player.move({ x: 1, y: 0 }, world, TICK * 60)
+    assert.ok(player.x < 100, 'stops in front of the wall')
+    assert.ok(player.x > 100 - CollisionConfig.MaxStep - 1)
+  })
+
+  it('never walks into a wall of a generated world', () => {
+    const world = new World({ seed: 42 })
+    const player = new Player()
+    player.reset(world.findSpawn())
+
+    for (const vec of [
+      { x: 1, y: 0 },
+      { x: 0, y: 1 },
+      { x: -1, y: 0 },
+      { x: 0, y: -1 },
+      { x: 1, y: 1 }
+    ]) {
+      for (let i = 0; i < 120; i++) {
+        player.move(vec, world, TICK)
+        assert.equal(world.checkCollision(player.x, player.y), false)
+      }
+    }
+  })
+})
+
+describe('Player.face', () => {
+  it('prefers vertical movement on diagonals and keeps facing when idle', () => {
+    const player = new Player()
+    player.face({ x: 1, y: -1 })
+    assert.equal(player.direction, Directions.UP)
+    player.face({ x: -1, y: 0 })
+    assert.equal(player.direction, Directions.LEFT)
+    player.face({ x: 0, y: 0 })
+    assert.equal(player.direction, Directions.LEFT)
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  ReplayPlayer,
+  ReplayRecorder,
+  parseReplay,
+  serializeReplay
+} from '../src/core/replay.js'
+import { SimulationConfig } from '../src/config/index.js'
+
+const RIGHT = { x: 1, y: 0 }
+const STILL = { x: 0, y: 0 }
+const UP = { x: 0, y: -1 }
+
+/** Recording of seven ticks with cheats toggled before ticks 0, 3 and 3. */
+function record() {
+  const recorder = new ReplayRecorder({
+    seed: 42,
+    mode: 'classic',
+    cheats: ['hitbox']
+  })
+  recorder.recordCheat('jump')
+  for (const move of [RIGHT, RIGHT, RIGHT]) recorder.recordTick(move)
+  recorder.recordCheat('lag')
+  recorder.recordCheat('lag')
+  for (const move of [STILL, UP, UP, RIGHT]) recorder.recordTick(move)
+  recorder.finish({ score: 10, level: 1, victory: false })
+  return recorder
+}
+
+/** A valid replay file with some fields replaced. */
+function replayText(overrides) {
+  return JSON.stringify({ ...record().toJSON(), ...overrides })
+}
+
+describe('ReplayRecorder', () => {
+  it('run-length encodes repeated moves and stamps cheats with their tick', () => {
+    const data = record().toJSON()
+    assert.equal(data.format, REPLAY_FORMAT)
+    assert.equal(data.version, REPLAY_VERSION)
+    assert.equal(data.ticks, 7)
+    assert.deepEqual(data.moves, [
+      [1, 0, 3],
+      [0, 0, 1],
+      [0, -1, 2],
+      [1, 0, 1]
+    ])
+    assert.deepEqual(data.cheats, [
+      [0, 'jump'],
+      [3, 'lag'],
+      [3, 'lag']
+    ])
+    assert.deepEqual(data.cheatsAtStart, ['hitbox'])
+  })
+})
+
+describe('ReplayPlayer', () => {
+  it('plays back the recorded moves and cheats tick by tick', () => {
+    const player = new ReplayPlayer(parseReplay(serializeReplay(record())))
+    const ticks = []
+    while (!player.isFinished) {
+      const cheats = player.takeCheats()
+      ticks.push({ cheats, move: player.nextMove() })
+    }
+
+    assert.deepEqual(ticks, [
+      { cheats: ['jump'], move: RIGHT },
+      { cheats: [], move: RIGHT },
+      { cheats: [], move: RIGHT },
+      { cheats: ['lag', 'lag'], move: STILL },
+      { cheats: [], move: UP },
+      { cheats: [], move: UP },
+      { cheats: [], move: RIGHT }
+    ])
+    assert.deepEqual(player.nextMove(), STILL)
+  })
+})
+
+describe('parseReplay', () => {
+  it('keeps everything a recording wrote', () => {
+    const recorder = record()
+    assert.deepEqual(parseReplay(serializeReplay(recorder)), recorder.toJSON())
+  })
+
+  it('rejects text that is not JSON', () => {
+    assert.throws(() => parseReplay('{nope'), /not valid JSON/)
+  })
+
+  it('rejects other files', () => {
+    assert.throws(
+      () => parseReplay(replayText({ format: 'other' })),
+      /not a replay file/
+    )
+  })
+
+  it('rejects other versions', () => {
+    assert.throws(
+      () => parseReplay(replayText({ version: REPLAY_VERSION - 1 })),
+      /unsupported version/
+    )
+  })
+
+  it('rejects other tick rates', () => {
+    assert.throws(
+      () =>
+        parseReplay(replayText({ tickRate: SimulationConfig.TickRate * 2 })),
+      /recorded at/
+    )
+  })
+
+  it('rejects malformed input streams', () => {
+    const malformed = [
+      { seed: 'abc' },
+      { moves: 'abc' },
+      { moves: [[1, 0, 0]] },
+      { moves: [[1, 'x', 2]] },
+      { cheats: [['0', 'jump']] },
+      { cheats: [[0, 'godmode']] },
+      { cheatsAtStart: 'hitbox' },
+      { cheatsAtStart: ['godmode'] }
+    ]
+    for (const overrides of malformed) {
+      assert.throws(
+        () => parseReplay(replayText(overrides)),
+        /malformed input stream/,
+        JSON.stringify(overrides)
+      )
+    }
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SAVE_FORMAT, SaveSlot } from '../src/core/save.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import { GameSimulation } from '../src/core/simulation.js'
+import { StatusEffectTypes } from '../src/config/index.js'
+
+const TICK = 1000 / 60
+
+/** A run a few seconds into level 2 with an item taken and an effect on. */
+function createProgress() {
+  const sim = new GameSimulation({ seed: 4242 })
+  sim.applyCheat('jump')
+  for (let i = 0; i < 90; i++) sim.step({ x: 1, y: 0 }, TICK)
+  const [{ item, tx, ty }] = sim.world.guaranteedItems
+  sim.processItem(item, tx, ty)
+  sim.player.effects.apply(StatusEffectTypes.SLOW, 5000)
+  return sim
+}
+
+describe('GameSimulation snapshots', () => {
+  it('restores a run exactly through JSON', () => {
+    const sim = createProgress()
+    const snapshot = JSON.parse(JSON.stringify(sim.createSnapshot()))
+
+    const restored = new GameSimulation({ seed: 1 })
+    restored.restoreSnapshot(snapshot)
+
+    assert.equal(restored.runSeed, 4242)
+    assert.equal(restored.world.levelSeed, sim.world.levelSeed)
+    assert.deepEqual(restored.stats, sim.stats)
+    assert.deepEqual(restored.collectedUniqueIds, sim.collectedUniqueIds)
+    assert.deepEqual(restored.world.collectedItems, sim.world.collectedItems)
+    assert.equal(restored.player.x, sim.player.x)
+    assert.equal(restored.player.y, sim.player.y)
+    assert.deepEqual(restored.player.effects.list(), sim.player.effects.list())
+
+    const [{ tx, ty }] = sim.world.guaranteedItems
+    assert.equal(restored.world.getItemAt(tx, ty), null)
+  })
+
+  it('rejects a snapshot whose level generates differently', () => {
+    const snapshot = createProgress().createSnapshot()
+    const restored = new GameSimulation({ seed: 1 })
+    assert.throws(() =>
+      restored.restoreSnapshot({
+        ...snapshot,
+        levelSeed: snapshot.levelSeed + 1
+      })
+    )
+  })
+})
+
+describe('SaveSlot', () => {
+  const run = () => ({
+    simulation: createProgress().createSnapshot(),
+    hud: { collectedIds: ['a'] }
+  })
+
+  it('keeps a run across sessions until cleared', () => {
+    const storage = new MemoryStorage()
+    const saved = run()
+    assert.equal(new SaveSlot({ storage }).save(saved), true)
+
+    const slot = new SaveSlot({ storage })
+    assert.equal(slot.hasSave, true)
+    assert.deepEqual(slot.load().simulation, saved.simulation)
+    assert.deepEqual(slot.load().hud, saved.hud)
+
+    slot.clear()
+    assert.equal(slot.load(), null)
+  })
+
+  it('drops saves from other versions and corrupt saves', () => {
+    const storage = new MemoryStorage()
+    const slot = new SaveSlot({ storage })
+    const warn = console.warn
+    console.warn = () => {}
+    try {
+      slot.save(run())
+      const stored = JSON.parse(storage.getItem('memory-leak:save'))
+      storage.setItem(
+        'memory-leak:save',
+        JSON.stringify({ ...stored, version: 0 })
+      )
+      assert.equal(slot.load(), null)
+      assert.equal(storage.length, 0)
+
+      storage.setItem(
+        'memory-leak:save',
+        JSON.stringify({ format: SAVE_FORMAT, version: stored.version })
+      )
+      assert.equal(slot.hasSave, false)
+
+      storage.setItem('memory-leak:save', '{not json')
+      assert.equal(slot.load(), null)
+    } finally {
+      console.warn = warn
+    }
+  })
+})
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SettingsStore, getOutlineColors } from '../src/core/settings.js'
+import { MemoryStorage } from '../src/core/storage.js'
+import {
+  ColorPalettes,
+  ControlSchemes,
+  ItemOutlineColors,
+  SettingsConfig
+} from '../src/config/index.js'
+
+describe('SettingsStore', () => {
+  it('starts from the defaults and persists changes', () => {
+    const storage = new MemoryStorage()
+    const settings = new SettingsStore({ storage })
+    assert.deepEqual(settings.values, SettingsConfig.Defaults)
+
+    assert.equal(settings.set('controlScheme', ControlSchemes.ZQSD), true)
+    assert.equal(settings.set('muted', true), true)
+    assert.equal(settings.set('muted', true), false)
+
+    const reloaded = new SettingsStore({ storage })
+    assert.equal(reloaded.get('controlScheme'), ControlSchemes.ZQSD)
+    assert.equal(reloaded.get('muted'), true)
+  })
+
+  it('ignores invalid values and clamps ranges to their steps', () => {
+    const settings = new SettingsStore({ storage: new MemoryStorage() })
+    assert.equal(settings.set('muted', 'yes'), false)
+    assert.equal(settings.set('palette', 'sepia'), false)
+    assert.equal(settings.set('unknown', 1), false)
+
+    settings.set('musicVolume', 7)
+    assert.equal(settings.get('musicVolume'), 1)
+    settings.set('sfxVolume', 0.33)
+    assert.equal(settings.get('sfxVolume'), 0.3)
+  })
+
+  it('drops corrupt stored values', () => {
+    const storage = new MemoryStorage()
+    storage.setItem(
+      'memory-leak:settings',
+      JSON.stringify({ hudScale: 3, palette: 'protanopia', muted: 1 })
+    )
+    const settings = new SettingsStore({ storage })
+    assert.equal(settings.get('hudScale'), SettingsConfig.Defaults.hudScale)
+    assert.equal(settings.get('palette'), 'protanopia')
+    assert.equal(settings.get('muted'), false)
+  })
+
+  it('steps through values, wrapping only when asked to', () => {
+    const settings = new SettingsStore({ storage: new MemoryStorage() })
+    const { options } = SettingsConfig.Fields.hudScale
+    settings.set('hudScale', options.at(-1))
+
+    assert.equal(settings.step('hudScale', 1, { wrap: false }), false)
+    assert.equal(settings.step('hudScale'), true)
+    assert.equal(settings.get('hudScale'), options[0])
+
+    settings.set('musicVolume', 0)
+    settings.step('musicVolume', -1)
+    assert.equal(settings.get('musicVolume'), 1)
+    settings.step('musicVolume', -1)
+    assert.equal(settings.get('musicVolume'), 0.9)
+
+    settings.step('screenShake')
+    assert.equal(settings.get('screenShake'), false)
+  })
+
+  it('notifies subscribers until they unsubscribe', () => {
+    const settings = new SettingsStore({ storage: new MemoryStorage() })
+    const changes = []
+    const unsubscribe = settings.subscribe((values, key) =>
+      changes.push([key, values[key]])
+    )
+
+    settings.set('reducedMotion', true)
+    settings.set('reducedMotion', true)
+    unsubscribe()
+    settings.set('reducedMotion', false)
+    assert.deepEqual(changes, [['reducedMotion', true]])
+  })
+
+  it('resets every value to its default', () => {
+    const settings = new SettingsStore({ storage: new MemoryStorage() })
+    settings.set('palette', 'tritanopia')
+    settings.set('sfxVolume', 0)
+    settings.reset()
+    assert.deepEqual(settings.values, SettingsConfig.Defaults)
+  })
+})
+
+describe('getOutlineColors', () => {
+  it('follows the palette setting', () => {
+    const settings = new SettingsStore({ storage: new MemoryStorage() })
+    assert.equal(getOutlineColors(null), ItemOutlineColors)
+    settings.set('palette', 'deuteranopia')
+    assert.equal(getOutlineColors(settings), ColorPalettes.deuteranopia)
+  })
+})
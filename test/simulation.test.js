@@ -0,0 +1,266 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { GameSimulation, SimulationEvents } from '../src/core/simulation.js'
+import {
+  ExplorationConfig,
+  ITEM_REGISTRY,
+  PhysicsConfig,
+  StatsConfig,
+  StatusEffectTypes,
+  TARGET_ITEMS
+} from '../src/config/index.js'
+
+const TICK = 1000 / 60
+const boostItem = ITEM_REGISTRY.find(item => item.isBoost)
+const slowItem = ITEM_REGISTRY.find(item => item.isSlow)
+const hazardItem = ITEM_REGISTRY.find(item => item.health < 0)
+const compassItem = ITEM_REGISTRY.find(item => item.isCompass)
+
+/**
+ * Collects an item far away from the player so the pickup is isolated from
+ * whatever lies around spawn.
+ */
+function collect(sim, item) {
+  sim.processItem(item, 1000, 1000)
+}
+
+describe('GameSimulation.getHealthMultiplier', () => {
+  const sim = new GameSimulation({ seed: 1 })
+
+  it('is neutral on level 1', () => {
+    assert.equal(sim.getHealthMultiplier(1, true), 1)
+    assert.equal(sim.getHealthMultiplier(1, false), 1)
+  })
+
+  it('weakens healing and strengthens damage by 10% per level', () => {
+    for (let level = 2; level <= 5; level++) {
+      const offset = (level - 1) * 0.1
+      assert.ok(
+        Math.abs(sim.getHealthMultiplier(level, true) - (1 - offset)) < 1e-9
+      )
+      assert.ok(
+        Math.abs(sim.getHealthMultiplier(level, false) - (1 + offset)) < 1e-9
+      )
+    }
+  })
+
+  it('applies the scaled damage in multiples of 4 KB', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    sim.stats.level = 3
+    collect(sim, hazardItem)
+
+    const lost = StatsConfig.MaxHealth - sim.stats.playerHealth
+    assert.equal(lost % 4, 0)
+    assert.equal(lost, Math.round((-hazardItem.health * 1.2) / 4) * 4)
+  })
+})
+
+describe('GameSimulation speed effects', () => {
+  it('extends the remaining time when the same effect stacks', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    collect(sim, boostItem)
+    sim.player.effects.update(1000)
+    collect(sim, boostItem)
+
+    assert.equal(
+      sim.player.effects.getRemaining(StatusEffectTypes.BOOST),
+      StatsConfig.SpeedBoostDuration * 2 - 1000
+    )
+  })
+
+  it('replaces the opposite effect instead of stacking with it', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    collect(sim, boostItem)
+    collect(sim, slowItem)
+
+    assert.equal(sim.player.isBoosted, false)
+    assert.equal(sim.player.isSlowed, true)
+    assert.equal(
+      sim.player.effects.getRemaining(StatusEffectTypes.SLOW),
+      StatsConfig.SpeedBoostDuration
+    )
+  })
+
+  it('blocks hazard damage while boosted', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    collect(sim, boostItem)
+    collect(sim, hazardItem)
+
+    assert.equal(sim.stats.playerHealth, StatsConfig.MaxHealth)
+  })
+
+  it('expires effects in game time', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    collect(sim, boostItem)
+    const ticks = Math.ceil(StatsConfig.SpeedBoostDuration / TICK) + 1
+    for (let i = 0; i < ticks; i++) sim.step({ x: 0, y: 0 }, TICK)
+
+    assert.equal(sim.player.isBoosted, false)
+  })
+})
+
+describe('GameSimulation compass', () => {
+  it('is not a target item', () => {
+    assert.ok(compassItem)
+    assert.ok(!TARGET_ITEMS.includes(compassItem))
+  })
+
+  it('unlocks once per run when the compass item is collected', () => {
+    const sim = new GameSimulation({ seed: 4 })
+    assert.equal(sim.stats.hasCompass, false)
+
+    collect(sim, compassItem)
+    const first = sim.step({ x: 0, y: 0 }, TICK)
+    assert.equal(sim.stats.hasCompass, true)
+    assert.ok(
+      first.some(event => event.type === SimulationEvents.COMPASS_UNLOCKED)
+    )
+
+    collect(sim, compassItem)
+    const second = sim.step({ x: 0, y: 0 }, TICK)
+    assert.ok(
+      !second.some(event => event.type === SimulationEvents.COMPASS_UNLOCKED)
+    )
+
+    sim.applyCheat('jump')
+    assert.equal(sim.stats.hasCompass, true)
+    sim.reset(4)
+    assert.equal(sim.stats.hasCompass, false)
+  })
+
+  it('points to the nearest guaranteed item type still missing', () => {
+    const sim = new GameSimulation({ seed: 6 })
+    const tile = sim.getPlayerTile()
+    const distanceTo = ({ tx, ty }) => Math.hypot(tx - tile.x, ty - tile.y)
+    const placements = [...sim.world.guaranteedItems].sort(
+      (a, b) => distanceTo(a) - distanceTo(b)
+    )
+
+    let target = sim.getCompassTarget()
+    assert.equal(target.item, placements[0].item)
+    assert.equal(target.distance, distanceTo(placements[0]))
+
+    sim.collectedUniqueIds.add(placements[0].item.id)
+    target = sim.getCompassTarget()
+    assert.notEqual(target.item, placements[0].item)
+    assert.equal(target.distance, distanceTo(placements[1]))
+
+    TARGET_ITEMS.forEach(item => sim.collectedUniqueIds.add(item.id))
+    assert.equal(sim.getCompassTarget(), null)
+  })
+})
+
+describe('GameSimulation item pickup', () => {
+  it('collects items passed during a single long tick', () => {
+    const sim = new GameSimulation({ seed: 5 })
+    sim.world.checkCollision = () => false
+    const { item, tx, ty } = sim.world.guaranteedItems[0]
+    const itemX = (tx + 0.5) * PhysicsConfig.TileSize
+    const itemY = (ty + 0.5) * PhysicsConfig.TileSize
+
+    // Start with the feet box just left of the item, centered on its row
+    const offset = sim.player.getHitboxAt(0, 0)
+    sim.player.place({
+      x: itemX - 8 - offset.right,
+      y: itemY - (offset.top + offset.bottom) / 2
+    })
+    sim.step({ x: 1, y: 0 }, TICK * 20)
+
+    assert.ok(sim.player.getHitbox().left > itemX, 'ends past the item')
+    assert.ok(sim.collectedUniqueIds.has(item.id))
+    assert.equal(sim.world.getItemAt(tx, ty), null)
+  })
+})
+
+describe('GameSimulation.step', () => {
+  it('drains memory over time and ends the run', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    const events = []
+    for (let i = 0; i < 60 * 200 && !sim.isFinished; i++) {
+      events.push(...sim.step({ x: 0, y: 0 }, TICK))
+    }
+
+    assert.equal(sim.isFinished, true)
+    assert.equal(events.at(-1).type, SimulationEvents.GAME_OVER)
+    assert.deepEqual(sim.step({ x: 1, y: 0 }, TICK), [])
+  })
+
+  it('advances the level once every target item is found', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    for (const item of TARGET_ITEMS) collect(sim, item)
+    const events = sim.step({ x: 0, y: 0 }, TICK)
+
+    const advanced = events.find(
+      event => event.type === SimulationEvents.LEVEL_ADVANCED
+    )
+    assert.ok(advanced)
+    assert.equal(advanced.level, 2)
+    assert.equal(sim.stats.uniqueFound, 0)
+    assert.deepEqual(sim.stats.levelHistory, [TARGET_ITEMS.length])
+    assert.equal(sim.stats.playerHealth, StatsConfig.MaxHealth)
+  })
+
+  it('explores what the player can see on every level', () => {
+    const sim = new GameSimulation({ seed: 3 })
+    const radius = ExplorationConfig.SightRadius
+    const exploration = sim.world.exploration
+    let tile = sim.getPlayerTile()
+    assert.ok(exploration.isVisible(tile.x, tile.y))
+    assert.ok(!exploration.isExplored(tile.x + radius + 1, tile.y))
+    assert.ok(sim.stats.explored > 0 && sim.stats.explored < 100)
+
+    sim.applyCheat('jump')
+    tile = sim.getPlayerTile()
+    assert.ok(exploration.isVisible(tile.x, tile.y))
+    assert.ok(exploration.count <= (radius * 2 + 1) ** 2)
+  })
+
+  it('reports a growing explored percentage while moving', () => {
+    const sim = new GameSimulation({ seed: 8 })
+    const start = sim.stats.explored
+    for (let i = 0; i < 600; i++) {
+      sim.step(
+        [
+          { x: 1, y: 0 },
+          { x: 0, y: 1 }
+        ][Math.floor(i / 60) % 2],
+        TICK
+      )
+    }
+    assert.ok(sim.stats.explored > start)
+    assert.equal(sim.stats.explored, sim.world.getExploredPercent())
+  })
+
+  it('wins after clearing the final level', () => {
+    const sim = new GameSimulation({ seed: 1 })
+    const types = []
+    for (let level = 1; level <= 5; level++) {
+      types.push(...sim.applyCheat('jump').map(event => event.type))
+    }
+
+    assert.equal(types.at(-1), SimulationEvents.VICTORY)
+    assert.equal(sim.isFinished, true)
+    assert.equal(sim.stats.level, 5)
+  })
+
+  it('replays identically from the same seed and input', () => {
+    const run = () => {
+      const sim = new GameSimulation({ seed: 2024 })
+      for (let i = 0; i < 1200; i++) {
+        const angle = Math.floor(i / 45) % 4
+        sim.step(
+          [
+            { x: 1, y: 0 },
+            { x: 0, y: 1 },
+            { x: -1, y: 0 },
+            { x: 0, y: -1 }
+          ][angle],
+          TICK
+        )
+      }
+      return { x: sim.player.x, y: sim.player.y, stats: sim.stats }
+    }
+
+    assert.deepEqual(run(), run())
+  })
+})
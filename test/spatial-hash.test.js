@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  SpatialHash,
+  boxesOverlap,
+  unionBoxes
+} from '../src/world/spatial-hash.js'
+
+/** Box from its top-left corner and size. */
+function box(left, top, size = 10) {
+  return { left, top, right: left + size, bottom: top + size }
+}
+
+describe('SpatialHash', () => {
+  it('finds objects in the cells around a box only', () => {
+    const hash = new SpatialHash({ cellSize: 64 })
+    hash.insert('near', box(10, 10))
+    hash.insert('far', box(500, 500))
+
+    assert.deepEqual([...hash.query(box(0, 0, 40))], ['near'])
+    assert.deepEqual([...hash.query(box(450, 450, 100))], ['far'])
+    assert.equal(hash.query(box(200, 200)).size, 0)
+  })
+
+  it('files boxes spanning several cells under each of them', () => {
+    const hash = new SpatialHash({ cellSize: 64 })
+    hash.insert('wide', { left: 0, top: 0, right: 200, bottom: 10 })
+
+    assert.ok(hash.query(box(190, 0)).has('wide'))
+    assert.ok(hash.query(box(130, 0)).has('wide'))
+  })
+
+  it('moves objects on reinsertion and forgets removed ones', () => {
+    const hash = new SpatialHash({ cellSize: 64 })
+    hash.insert('mover', box(10, 10))
+    hash.insert('mover', box(300, 10))
+
+    assert.equal(hash.size, 1)
+    assert.equal(hash.query(box(10, 10)).size, 0)
+    assert.ok(hash.query(box(300, 10)).has('mover'))
+
+    hash.remove('mover')
+    assert.equal(hash.size, 0)
+    assert.equal(hash.query(box(300, 10)).size, 0)
+  })
+})
+
+describe('Box helpers', () => {
+  it('treats touching edges as overlapping', () => {
+    assert.ok(boxesOverlap(box(0, 0), box(10, 0)))
+    assert.ok(!boxesOverlap(box(0, 0), box(11, 0)))
+  })
+
+  it('unions a start and end box into the swept area', () => {
+    assert.deepEqual(unionBoxes(box(0, 0), box(100, 20)), {
+      left: 0,
+      top: 0,
+      right: 110,
+      bottom: 30
+    })
+  })
+})
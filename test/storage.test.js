@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  MemoryStorage,
+  readJson,
+  resolveStorage,
+  writeJson
+} from '../src/core/storage.js'
+
+describe('storage', () => {
+  it('falls back to shared in-memory storage outside browsers', () => {
+    const storage = resolveStorage()
+    assert.ok(storage instanceof MemoryStorage)
+    assert.equal(resolveStorage(), storage)
+  })
+
+  it('round-trips JSON values', () => {
+    const storage = new MemoryStorage()
+    assert.equal(writeJson(storage, 'key', { a: [1, 2] }), true)
+    assert.deepEqual(readJson(storage, 'key'), { a: [1, 2] })
+    assert.equal(storage.length, 1)
+  })
+
+  it('returns the fallback for missing or corrupt values', () => {
+    const storage = new MemoryStorage()
+    storage.setItem('broken', '{not json')
+    assert.deepEqual(readJson(storage, 'missing', []), [])
+    assert.equal(readJson(storage, 'broken'), null)
+  })
+
+  it('reports writes that the storage refuses', () => {
+    const full = {
+      setItem: () => {
+        throw new Error('QuotaExceededError')
+      }
+    }
+    assert.equal(writeJson(full, 'key', 1), false)
+    assert.equal(writeJson(null, 'key', 1), false)
+  })
+})
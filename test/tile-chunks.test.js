@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { TileChunkCache } from '../src/core/ui/tile-chunks.js'
+import { PhysicsConfig } from '../src/config/index.js'
+
+const CHUNK_TILES = 4
+const CHUNK_PIXELS = CHUNK_TILES * PhysicsConfig.TileSize
+const THEME = {}
+
+function createWorld() {
+  const items = new Map()
+  return {
+    generator: {},
+    itemRevision: 0,
+    items,
+    getItemAt: (tx, ty) => items.get(`${tx},${ty}`) ?? null
+  }
+}
+
+function createCache() {
+  const painted = []
+  const blits = []
+  const cache = new TileChunkCache({
+    chunkTiles: CHUNK_TILES,
+    createCanvas: (width, height) => ({
+      width,
+      height,
+      getContext: () => ({})
+    }),
+    paintTile: (ctx, world, tx, ty) => painted.push(`${tx},${ty}`)
+  })
+  const target = { drawImage: (canvas, x, y) => blits.push([x, y]) }
+  return { cache, painted, blits, target }
+}
+
+describe('TileChunkCache', () => {
+  it('rasterizes visible chunks once and blits them', () => {
+    const { cache, painted, blits, target } = createCache()
+    const world = createWorld()
+    const camera = { x: 10, y: 0 }
+
+    cache.draw(target, world, camera, CHUNK_PIXELS, CHUNK_PIXELS - 1, THEME)
+    assert.equal(painted.length, CHUNK_TILES * CHUNK_TILES * 2)
+    assert.deepEqual(blits, [
+      [-10, 0],
+      [CHUNK_PIXELS - 10, 0]
+    ])
+
+    cache.draw(target, world, camera, CHUNK_PIXELS, CHUNK_PIXELS - 1, THEME)
+    assert.equal(painted.length, CHUNK_TILES * CHUNK_TILES * 2)
+    assert.equal(blits.length, 4)
+  })
+
+  it('repaints only tiles whose item changed', () => {
+    const { cache, painted, target } = createCache()
+    const world = createWorld()
+    world.items.set('1,2', { id: 'a' })
+    cache.draw(target, world, { x: 0, y: 0 }, 10, 10, THEME)
+    painted.length = 0
+
+    world.items.delete('1,2')
+    world.itemRevision++
+    cache.draw(target, world, { x: 0, y: 0 }, 10, 10, THEME)
+    assert.deepEqual(painted, ['1,2'])
+  })
+
+  it('rasterizes again after a level or theme change', () => {
+    const { cache, painted, target } = createCache()
+    const world = createWorld()
+    const draw = theme =>
+      cache.draw(target, world, { x: 0, y: 0 }, 10, 10, theme)
+    const area = CHUNK_TILES * CHUNK_TILES
+
+    draw(THEME)
+    world.generator = {}
+    draw(THEME)
+    assert.equal(painted.length, area * 2)
+
+    draw({})
+    assert.equal(painted.length, area * 3)
+
+    cache.invalidate()
+    assert.equal(cache.count, 0)
+  })
+
+  it('keeps only a ring of chunks around the view', () => {
+    const { cache, target } = createCache()
+    const world = createWorld()
+    for (let i = 0; i < 20; i++) {
+      cache.draw(target, world, { x: i * CHUNK_PIXELS, y: 0 }, 10, 10, THEME)
+    }
+    assert.ok(cache.count <= 9)
+  })
+})
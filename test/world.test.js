@@ -0,0 +1,269 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { World } from '../src/world/world.js'
+import {
+  CollisionConfig,
+  ItemPlacementConfig,
+  PhysicsConfig,
+  ProcGenConfig,
+  SpriteConfig,
+  TARGET_ITEMS,
+  TileTypes
+} from '../src/config/index.js'
+
+const SEEDS = [1, 42, 12345]
+const LEVELS = [1, 2, 3] // One level per maze generator
+const ts = PhysicsConfig.TileSize
+
+/**
+ * Breadth-first search over floor tiles from a start tile, staying within a
+ * square of `radius` tiles around the origin.
+ *
+ * @param {World}  world
+ * @param {number} startX
+ * @param {number} startY
+ * @param {number} radius
+ * @returns {Map<string, number>} Walking distance of every reached tile,
+ *                                keyed by `x,y`.
+ */
+function floodFill(world, startX, startY, radius) {
+  const distances = new Map([[`${startX},${startY}`, 0]])
+  const queue = [[startX, startY]]
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y] = queue[head]
+    const distance = distances.get(`${x},${y}`)
+    for (const [dx, dy] of [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1]
+    ]) {
+      const nx = x + dx
+      const ny = y + dy
+      const key = `${nx},${ny}`
+      if (Math.abs(nx) > radius || Math.abs(ny) > radius) continue
+      if (distances.has(key)) continue
+      if (world.getTileType(nx, ny) !== TileTypes.FLOOR) continue
+      distances.set(key, distance + 1)
+      queue.push([nx, ny])
+    }
+  }
+  return distances
+}
+
+function createWorld(seed, level) {
+  const world = new World({ seed })
+  world.reset(level)
+  return world
+}
+
+describe('World.getTileType', () => {
+  it('always opens the center of every macro cell', () => {
+    const world = createWorld(7, 1)
+    const size = ProcGenConfig.CellSize
+    for (let cx = -5; cx <= 5; cx++) {
+      for (let cy = -5; cy <= 5; cy++) {
+        for (const [lx, ly] of [
+          [1, 1],
+          [1, 2],
+          [2, 1],
+          [2, 2]
+        ]) {
+          assert.equal(
+            world.getTileType(cx * size + lx, cy * size + ly),
+            TileTypes.FLOOR
+          )
+        }
+      }
+    }
+  })
+
+  it('keeps passages continuous across cell borders', () => {
+    const world = createWorld(7, 1)
+    const size = ProcGenConfig.CellSize
+    for (let cx = -5; cx <= 5; cx++) {
+      for (let cy = -5; cy <= 5; cy++) {
+        const { r, d } = world.generator.getCellConfig(cx, cy)
+        assert.ok(r || d, `cell ${cx},${cy} has no exit`)
+
+        for (const offset of [1, 2]) {
+          const right = world.getTileType(cx * size + 3, cy * size + offset)
+          const rightNeighbor = world.getTileType(
+            (cx + 1) * size,
+            cy * size + offset
+          )
+          assert.equal(right, rightNeighbor)
+          assert.equal(right === TileTypes.FLOOR, r)
+
+          const down = world.getTileType(cx * size + offset, cy * size + 3)
+          const downNeighbor = world.getTileType(
+            cx * size + offset,
+            (cy + 1) * size
+          )
+          assert.equal(down, downNeighbor)
+          assert.equal(down === TileTypes.FLOOR, d)
+        }
+      }
+    }
+  })
+
+  for (const seed of SEEDS) {
+    it(`connects every floor tile near spawn (seed ${seed})`, () => {
+      for (const level of LEVELS) {
+        const world = createWorld(seed, level)
+        const spawn = world.findSpawn()
+        const reached = floodFill(world, spawn.x / ts, spawn.y / ts, 96)
+
+        for (let x = -24; x <= 24; x++) {
+          for (let y = -24; y <= 24; y++) {
+            if (world.getTileType(x, y) !== TileTypes.FLOOR) continue
+            assert.ok(
+              reached.has(`${x},${y}`),
+              `level ${level}: floor ${x},${y} unreachable`
+            )
+          }
+        }
+      }
+    })
+  }
+
+  it('produces the same maze for the same seed and level', () => {
+    const a = createWorld(99, 4)
+    const b = createWorld(99, 4)
+    for (let x = -20; x <= 20; x++) {
+      for (let y = -20; y <= 20; y++) {
+        assert.equal(a.getTileType(x, y), b.getTileType(x, y))
+      }
+    }
+  })
+
+  it('serves the level generator tiles across chunk borders', () => {
+    const world = createWorld(5, 3)
+    const size = ProcGenConfig.ChunkSize
+    for (let x = -size - 2; x <= size + 2; x++) {
+      for (let y = -3; y <= 3; y++) {
+        assert.equal(world.getTileType(x, y), world.generator.getTileType(x, y))
+      }
+    }
+  })
+})
+
+describe('World.collectItem', () => {
+  it('removes the item for the rest of the level', () => {
+    const world = createWorld(42, 1)
+    const { tx, ty } = world.guaranteedItems[0]
+    world.collectItem(tx, ty)
+    assert.equal(world.getItemAt(tx, ty), null)
+
+    // Push the chunk out of the cache so it is regenerated
+    const size = ProcGenConfig.ChunkSize
+    for (let i = 1; i <= ProcGenConfig.ChunkCacheSize + 1; i++) {
+      world.getTileType(tx + i * size * 4, ty)
+    }
+    assert.equal(world.getItemAt(tx, ty), null)
+    assert.ok(world.collectedItems.has(`${tx},${ty}`))
+
+    world.reset(1)
+    assert.equal(world.getItemAt(tx, ty), world.guaranteedItems[0].item)
+  })
+})
+
+describe('World.queryItems', () => {
+  it('returns the items whose tile center lies inside the box', () => {
+    const world = createWorld(42, 1)
+    const { item, tx, ty } = world.guaranteedItems[0]
+    const cx = (tx + 0.5) * ts
+    const cy = (ty + 0.5) * ts
+
+    const swept = { left: cx - 5 * ts, top: cy - 1, right: cx + 1, bottom: cy }
+    assert.ok(
+      world
+        .queryItems(swept)
+        .some(
+          found => found.tx === tx && found.ty === ty && found.item === item
+        )
+    )
+
+    const beside = { left: cx + 1, top: cy - 1, right: cx + ts, bottom: cy + 1 }
+    assert.ok(!world.queryItems(beside).some(found => found.tx === tx))
+  })
+})
+
+describe('World.checkCollision', () => {
+  it('reports no collision at the spawn point', () => {
+    for (const seed of SEEDS) {
+      const world = createWorld(seed, 1)
+      const spawn = world.findSpawn()
+      assert.equal(world.checkCollision(spawn.x, spawn.y), false)
+    }
+  })
+
+  it('reports a collision when the feet overlap a wall tile', () => {
+    const world = createWorld(42, 1)
+    let wall = null
+    for (let x = -10; x <= 10 && !wall; x++) {
+      for (let y = -10; y <= 10 && !wall; y++) {
+        if (world.getTileType(x, y) === TileTypes.WALL) wall = { x, y }
+      }
+    }
+    assert.ok(wall, 'expected a wall tile near the origin')
+
+    // Put the top edge of the collision box (at the sprite's feet) on the
+    // center of the wall tile
+    const sx =
+      wall.x * ts + ts / 2 - (SpriteConfig.Width * SpriteConfig.Scale) / 2
+    const sy =
+      wall.y * ts +
+      ts / 2 -
+      SpriteConfig.Height * SpriteConfig.Scale +
+      CollisionConfig.VerticalOffset
+    assert.equal(world.checkCollision(sx, sy), true)
+  })
+})
+
+describe('World guaranteed items', () => {
+  for (const seed of SEEDS) {
+    it(`places every target item on reachable floor (seed ${seed})`, () => {
+      for (const level of LEVELS) {
+        const world = createWorld(seed, level)
+        const spawn = world.findSpawn()
+        const placements = world.guaranteedItems
+        const radius = Math.max(
+          ...placements.map(({ tx, ty }) =>
+            Math.max(Math.abs(tx), Math.abs(ty))
+          )
+        )
+        const distances = floodFill(
+          world,
+          spawn.x / ts,
+          spawn.y / ts,
+          radius + ProcGenConfig.CellSize * 8
+        )
+
+        for (const target of TARGET_ITEMS) {
+          const placement = placements.find(({ item }) => item === target)
+          assert.ok(placement, `level ${level}: ${target.id} was not placed`)
+
+          const { tx, ty } = placement
+          assert.equal(world.getTileType(tx, ty), TileTypes.FLOOR)
+          assert.equal(world.getItemAt(tx, ty), target)
+          assert.ok(
+            distances.has(`${tx},${ty}`),
+            `level ${level}: ${target.id} at ${tx},${ty} unreachable`
+          )
+        }
+      }
+    })
+  }
+
+  it('reports the shortest walking distance from spawn', () => {
+    const world = createWorld(42, 2)
+    const spawn = world.findSpawn()
+    const distances = floodFill(world, spawn.x / ts, spawn.y / ts, 200)
+
+    for (const { tx, ty, distance } of world.guaranteedItems) {
+      assert.equal(distance, distances.get(`${tx},${ty}`))
+      assert.ok(distance >= ItemPlacementConfig.MinDistanceFromSpawn)
+    }
+  })
+})